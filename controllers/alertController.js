@@ -0,0 +1,457 @@
+// controllers/alertController.js
+const mongoose = require('mongoose');
+const Alert = require('../models/alert');
+const Delivery = require('../models/delivery');
+const alertResponse = require('../services/alertResponseService');
+const { hasPermission } = require('../middleware/authMiddleware');
+const { buildCapMessage, buildAtomFeed } = require('../services/capService');
+
+// Closed alerts stay in the feeds this long so consumers see the all-clear
+const FEED_CLOSED_MS = (parseInt(process.env.CAP_FEED_CLOSED_HOURS) || 24) * 60 * 60 * 1000;
+const CAP_STATION_FIELDS = 'name region lat lng riverGaugeId';
+
+function publicBaseUrl(req) {
+  return process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+// Active alerts plus recently closed ones, for the CAP and Atom feeds
+async function findFeedAlerts(req) {
+  const filter = {
+    $or: [
+      { state: 'active' },
+      { state: 'closed', closedAt: { $gte: new Date(Date.now() - FEED_CLOSED_MS) } }
+    ]
+  };
+
+  if (req.query.station) {
+    if (!mongoose.isValidObjectId(req.query.station)) {
+      const err = new Error('Invalid station ID');
+      err.status = 400;
+      throw err;
+    }
+    filter.station = req.query.station;
+  }
+
+  return Alert.find(filter)
+    .populate('station', CAP_STATION_FIELDS)
+    .sort({ updatedAt: -1 })
+    .limit(200);
+}
+
+// Shared error handling for the responder workflow actions
+function sendWorkflowError(res, error, label) {
+  if (error.status || error.name === 'ValidationError') {
+    return res.status(error.status || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: error.message
+  });
+}
+
+// @desc    List alerts, newest first; responders also see assignees and notes
+// @route   GET /api/alerts
+// @access  Public
+const getAlerts = async (req, res) => {
+  try {
+    const responder = hasPermission(req.user, 'alerts:acknowledge');
+    const filter = {};
+
+    if (req.query.station) {
+      if (!mongoose.isValidObjectId(req.query.station)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid station ID'
+        });
+      }
+      filter.station = req.query.station;
+    }
+    // Enumerated filters; anything else (including query objects) is a 400
+    const enums = { state: Alert.ALERT_STATES, status: Alert.RESPONSE_STATUSES, level: Alert.ALERT_LEVELS };
+    for (const [param, values] of Object.entries(enums)) {
+      if (req.query[param] && !values.includes(req.query[param])) {
+        return res.status(400).json({
+          success: false,
+          message: `${param} must be one of: ${values.join(', ')}`
+        });
+      }
+    }
+
+    if (req.query.state) filter.state = req.query.state;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.assignedTo) {
+      if (!responder) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to filter alerts by assignee'
+        });
+      }
+      if (!mongoose.isValidObjectId(req.query.assignedTo)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user ID'
+        });
+      }
+      filter.assignedTo = req.query.assignedTo;
+    }
+    if (req.query.level) filter.peakLevel = req.query.level;
+    if (req.query.from || req.query.to) {
+      filter.openedAt = {};
+      if (req.query.from) filter.openedAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.openedAt.$lte = new Date(req.query.to);
+
+      if (Object.values(filter.openedAt).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid from or to date'
+        });
+      }
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const alerts = await Alert.find(filter)
+      .select('-transitions')
+      .populate('station', 'name region lat lng')
+      .sort({ openedAt: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      count: alerts.length,
+      data: responder ? alerts : alerts.map(alertResponse.publicAlert)
+    });
+  } catch (error) {
+    console.error('Get alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get an alert with its full transition history; responders also
+//          see who acknowledged, holds and resolved it, and its notes
+// @route   GET /api/alerts/:id
+// @access  Public
+const getAlert = async (req, res) => {
+  try {
+    const responder = hasPermission(req.user, 'alerts:acknowledge');
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid alert ID'
+      });
+    }
+
+    const query = Alert.findById(req.params.id).populate('station', 'name region lat lng');
+    if (responder) query.populate('acknowledgedBy assignedTo resolvedBy notes.author', 'username role');
+    const alert = await query;
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: responder ? alert : alertResponse.publicAlert(alert)
+    });
+  } catch (error) {
+    console.error('Get alert error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get an alert's state transitions, optionally filtered by event;
+//          responders also see who made each change and their notes
+// @route   GET /api/alerts/:id/history
+// @access  Public
+const getAlertHistory = async (req, res) => {
+  try {
+    const responder = hasPermission(req.user, 'alerts:acknowledge');
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid alert ID'
+      });
+    }
+
+    const events = req.query.event
+      ? String(req.query.event).split(',').map(e => e.trim()).filter(Boolean)
+      : [];
+    if (!events.every(e => Alert.TRANSITION_EVENTS.includes(e))) {
+      return res.status(400).json({
+        success: false,
+        message: `event must be one of: ${Alert.TRANSITION_EVENTS.join(', ')}`
+      });
+    }
+
+    const alert = await Alert.findById(req.params.id).select('station state transitions');
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    const transitions = events.length > 0
+      ? alert.transitions.filter(t => events.includes(t.event))
+      : alert.transitions;
+
+    res.json({
+      success: true,
+      count: transitions.length,
+      data: responder ? transitions : transitions.map(alertResponse.publicTransition)
+    });
+  } catch (error) {
+    console.error('Get alert history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get per-channel delivery status for an alert's notifications
+// @route   GET /api/alerts/:id/deliveries
+// @access  Private/Responder, Admin
+const getAlertDeliveries = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid alert ID'
+      });
+    }
+
+    const filter = { alert: req.params.id };
+    if (req.query.channel) filter.channel = req.query.channel;
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.event) filter.event = req.query.event;
+
+    const deliveries = await Delivery.find(filter)
+      .select('-message')
+      .populate('user', 'username email')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 200, 1000));
+
+    // Totals by channel and status, e.g. { sms: { sent: 10, failed: 1 } }
+    const summary = {};
+    deliveries.forEach(d => {
+      summary[d.channel] = summary[d.channel] || {};
+      summary[d.channel][d.status] = (summary[d.channel][d.status] || 0) + 1;
+    });
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      summary,
+      data: deliveries
+    });
+  } catch (error) {
+    console.error('Get alert deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Atom feed of active alerts with each CAP 1.2 message embedded
+// @route   GET /api/alerts/cap
+// @access  Public
+const getCapFeed = async (req, res) => {
+  try {
+    const alerts = await findFeedAlerts(req);
+    const xml = buildAtomFeed(alerts, {
+      baseUrl: publicBaseUrl(req),
+      selfPath: req.originalUrl,
+      title: 'FloodGuard CAP Flood Alerts',
+      embedCap: true
+    });
+
+    res.type('application/atom+xml').send(xml);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get CAP feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Atom feed of active alerts linking to their CAP documents
+// @route   GET /api/alerts/feed.atom
+// @access  Public
+const getAtomFeed = async (req, res) => {
+  try {
+    const alerts = await findFeedAlerts(req);
+    const xml = buildAtomFeed(alerts, {
+      baseUrl: publicBaseUrl(req),
+      selfPath: req.originalUrl
+    });
+
+    res.type('application/atom+xml').send(xml);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get Atom feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get an alert's latest message as a CAP 1.2 document
+// @route   GET /api/alerts/:id/cap
+// @access  Public
+const getAlertCap = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid alert ID'
+      });
+    }
+
+    const alert = await Alert.findById(req.params.id).populate('station', CAP_STATION_FIELDS);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    // The CAP area comes from the station
+    if (!alert.station) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert station no longer exists'
+      });
+    }
+
+    res.type('application/cap+xml').send(buildCapMessage(alert, alert.station, { baseUrl: publicBaseUrl(req) }));
+  } catch (error) {
+    console.error('Get alert CAP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Acknowledge an open alert
+// @route   POST /api/alerts/:id/acknowledge
+// @access  Private/Responder, Admin
+const acknowledgeAlert = async (req, res) => {
+  try {
+    const alert = await alertResponse.acknowledgeAlert(req.params.id, req.user, req.body.note);
+
+    res.json({
+      success: true,
+      message: 'Alert acknowledged',
+      data: alert
+    });
+  } catch (error) {
+    sendWorkflowError(res, error, 'Acknowledge alert');
+  }
+};
+
+// @desc    Assign an alert to a responder
+// @route   POST /api/alerts/:id/assign
+// @access  Private/Responder, Admin
+const assignAlert = async (req, res) => {
+  try {
+    const assigneeId = req.body.userId || req.userId;
+    const alert = await alertResponse.assignAlert(req.params.id, assigneeId, req.user, req.body.note);
+
+    res.json({
+      success: true,
+      message: 'Alert assigned',
+      data: alert
+    });
+  } catch (error) {
+    sendWorkflowError(res, error, 'Assign alert');
+  }
+};
+
+// @desc    Change an alert's response status
+// @route   PATCH /api/alerts/:id/status
+// @access  Private/Responder, Admin
+const updateAlertStatus = async (req, res) => {
+  try {
+    const alert = await alertResponse.updateAlertStatus(req.params.id, req.body.status, req.user, req.body.note);
+
+    res.json({
+      success: true,
+      message: `Alert marked ${alert.status}`,
+      data: alert
+    });
+  } catch (error) {
+    sendWorkflowError(res, error, 'Update alert status');
+  }
+};
+
+// @desc    Add a responder note to an alert
+// @route   POST /api/alerts/:id/notes
+// @access  Private/Responder, Admin
+const addAlertNote = async (req, res) => {
+  try {
+    const note = await alertResponse.addAlertNote(req.params.id, req.user, req.body.text);
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added',
+      data: note
+    });
+  } catch (error) {
+    sendWorkflowError(res, error, 'Add alert note');
+  }
+};
+
+module.exports = {
+  getAlerts,
+  getAlert,
+  getAlertHistory,
+  getAlertDeliveries,
+  getCapFeed,
+  getAtomFeed,
+  getAlertCap,
+  acknowledgeAlert,
+  assignAlert,
+  updateAlertStatus,
+  addAlertNote
+};
\ No newline at end of file
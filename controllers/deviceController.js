@@ -0,0 +1,277 @@
+// controllers/deviceController.js
+const mongoose = require('mongoose');
+const Device = require('../models/device');
+const MonitoringStation = require('../models/monitoringStation');
+
+const DEVICE_FIELDS = ['deviceId', 'name', 'station', 'type', 'active'];
+
+// Make sure a station referenced in the request body exists
+const checkStation = async (stationId) => {
+  if (!mongoose.isValidObjectId(stationId)) return false;
+  return MonitoringStation.exists({ _id: stationId });
+};
+
+// @desc    Get all devices
+// @route   GET /api/devices
+// @access  Private/Admin
+const getDevices = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.station) {
+      if (!mongoose.isValidObjectId(req.query.station)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid station ID'
+        });
+      }
+      filter.station = req.query.station;
+    }
+    if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+
+    const devices = await Device.find(filter)
+      .populate('station', 'name region')
+      .sort({ deviceId: 1 });
+
+    res.json({
+      success: true,
+      count: devices.length,
+      data: devices
+    });
+  } catch (error) {
+    console.error('Get devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a single device
+// @route   GET /api/devices/:id
+// @access  Private/Admin
+const getDevice = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid device ID'
+      });
+    }
+
+    const device = await Device.findById(req.params.id).populate('station', 'name region');
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: device
+    });
+  } catch (error) {
+    console.error('Get device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Register a device and issue its API key
+// @route   POST /api/devices
+// @access  Private/Admin
+const createDevice = async (req, res) => {
+  try {
+    if (!(await checkStation(req.body.station))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Station not found'
+      });
+    }
+
+    const device = new Device();
+    DEVICE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) device[field] = req.body[field];
+    });
+    const apiKey = device.generateApiKey();
+    await device.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Device registered successfully. Store the API key now, it will not be shown again.',
+      data: {
+        _id: device._id,
+        deviceId: device.deviceId,
+        name: device.name,
+        station: device.station,
+        type: device.type,
+        active: device.active,
+        apiKey
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 11000 ? 'A device with this ID already exists' : error.message
+      });
+    }
+
+    console.error('Create device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a device
+// @route   PUT /api/devices/:id
+// @access  Private/Admin
+const updateDevice = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid device ID'
+      });
+    }
+
+    const device = await Device.findById(req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    if (req.body.station !== undefined && !(await checkStation(req.body.station))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Station not found'
+      });
+    }
+
+    DEVICE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) device[field] = req.body[field];
+    });
+
+    const updatedDevice = await device.save();
+
+    res.json({
+      success: true,
+      message: 'Device updated successfully',
+      data: updatedDevice
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 11000 ? 'A device with this ID already exists' : error.message
+      });
+    }
+
+    console.error('Update device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Issue a new API key, invalidating the old one
+// @route   POST /api/devices/:id/rotate-key
+// @access  Private/Admin
+const rotateDeviceKey = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid device ID'
+      });
+    }
+
+    const device = await Device.findById(req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const apiKey = device.generateApiKey();
+    await device.save();
+
+    res.json({
+      success: true,
+      message: 'API key rotated. Store the new key now, it will not be shown again.',
+      data: {
+        _id: device._id,
+        deviceId: device.deviceId,
+        apiKey
+      }
+    });
+  } catch (error) {
+    console.error('Rotate device key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a device
+// @route   DELETE /api/devices/:id
+// @access  Private/Admin
+const deleteDevice = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid device ID'
+      });
+    }
+
+    const device = await Device.findById(req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    await device.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Device deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getDevices,
+  getDevice,
+  createDevice,
+  updateDevice,
+  rotateDeviceKey,
+  deleteDevice
+};
\ No newline at end of file
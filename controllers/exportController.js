@@ -0,0 +1,155 @@
+// controllers/exportController.js
+const mongoose = require('mongoose');
+const FloodData = require('../models/floodData');
+const Alert = require('../models/alert');
+const { parseHistoryQuery } = require('../services/historyService');
+const { FORMATS, streamExport } = require('../services/exportService');
+
+const MAX_EXPORT_ROWS = parseInt(process.env.EXPORT_MAX_ROWS) || 1000000;
+
+const READING_COLUMNS = [
+  '_id', 'timestamp', 'station', 'lat', 'lng', 'rainfall', 'waterLevel', 'soilMoisture',
+  'prediction', 'riskLevel', 'modelVersion', 'sentAlert', 'dataSource.rainfall', 'dataSource.waterLevel', 'dataSource.soilMoisture',
+  'antecedent.rain24h', 'antecedent.rain7d', 'antecedent.api', 'quality.status'
+];
+const ALERT_COLUMNS = [
+  '_id', 'station._id', 'station.name', 'state', 'status', 'level', 'peakLevel', 'peakPrediction',
+  'openedAt', 'closedAt', 'acknowledgedAt', 'assignedTo', 'resolvedAt', 'suppressedCount'
+];
+
+function exportFormat(req) {
+  const format = req.query.format || 'csv';
+  if (!FORMATS[format]) {
+    const err = new Error('format must be one of: ' + Object.keys(FORMATS).join(', '));
+    err.status = 400;
+    throw err;
+  }
+  return format;
+}
+
+function exportLimit(req) {
+  const limit = parseInt(req.query.limit);
+  return limit > 0 ? Math.min(limit, MAX_EXPORT_ROWS) : MAX_EXPORT_ROWS;
+}
+
+function exportFilename(kind) {
+  return `floodguard-${kind}-${new Date().toISOString().slice(0, 10)}`;
+}
+
+function sendExportError(res, error, label) {
+  if (res.headersSent) return;
+
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: error.message
+  });
+}
+
+// @desc    Export flood readings as CSV, GeoJSON or NDJSON
+// @route   GET /api/export/readings?format=&station=a,b&from=&to=&riskLevel=&fields=&order=&limit=
+// @access  Private/Analyst, Admin
+const exportReadings = async (req, res) => {
+  try {
+    const format = exportFormat(req);
+    // Reuse the history filters; paging and bucketing don't apply to exports
+    const { filter, order, fields } = parseHistoryQuery({
+      ...req.query,
+      limit: undefined,
+      cursor: undefined,
+      interval: undefined
+    });
+    const columns = fields ? READING_COLUMNS.filter(c => ['_id', 'timestamp'].includes(c) || fields.includes(c.split('.')[0])) : READING_COLUMNS;
+
+    const cursor = FloodData.find(filter)
+      .sort({ timestamp: order === 1 ? 1 : -1 })
+      .limit(exportLimit(req))
+      .lean()
+      .cursor();
+
+    const count = await streamExport(req, res, cursor, {
+      format,
+      columns,
+      toPoint: doc => (typeof doc.lng === 'number' && typeof doc.lat === 'number' ? [doc.lng, doc.lat] : null),
+      filename: exportFilename('readings')
+    });
+    console.log(`📤 Exported ${count} reading(s) as ${format} for ${req.user.username}`);
+  } catch (error) {
+    sendExportError(res, error, 'Export readings');
+  }
+};
+
+// @desc    Export alerts as CSV, GeoJSON or NDJSON
+// @route   GET /api/export/alerts?format=&station=a,b&from=&to=&state=&level=&limit=
+// @access  Private/Analyst, Admin
+const exportAlerts = async (req, res) => {
+  try {
+    const format = exportFormat(req);
+    const filter = {};
+
+    if (req.query.station) {
+      const stations = String(req.query.station).split(',').map(s => s.trim()).filter(Boolean);
+      if (!stations.every(id => mongoose.isValidObjectId(id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid station ID'
+        });
+      }
+      filter.station = { $in: stations };
+    }
+    // Enumerated filters; anything else (including repeated parameters) is a 400
+    const enums = { state: Alert.ALERT_STATES, level: Alert.ALERT_LEVELS };
+    for (const [param, values] of Object.entries(enums)) {
+      if (req.query[param] && !values.includes(req.query[param])) {
+        return res.status(400).json({
+          success: false,
+          message: `${param} must be one of: ${values.join(', ')}`
+        });
+      }
+    }
+    if (req.query.state) filter.state = req.query.state;
+    if (req.query.level) filter.peakLevel = req.query.level;
+    if (req.query.from || req.query.to) {
+      filter.openedAt = {};
+      if (req.query.from) filter.openedAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.openedAt.$lte = new Date(req.query.to);
+      if (Object.values(filter.openedAt).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid from or to date'
+        });
+      }
+    }
+
+    const cursor = Alert.find(filter)
+      .select('-transitions -notes')
+      .populate('station', 'name lat lng')
+      .sort({ openedAt: -1 })
+      .limit(exportLimit(req))
+      .lean()
+      .cursor();
+
+    const count = await streamExport(req, res, cursor, {
+      format,
+      columns: ALERT_COLUMNS,
+      toPoint: doc => (doc.station && typeof doc.station.lng === 'number' ? [doc.station.lng, doc.station.lat] : null),
+      filename: exportFilename('alerts')
+    });
+    console.log(`📤 Exported ${count} alert(s) as ${format} for ${req.user.username}`);
+  } catch (error) {
+    sendExportError(res, error, 'Export alerts');
+  }
+};
+
+module.exports = {
+  exportReadings,
+  exportAlerts
+};
\ No newline at end of file
@@ -0,0 +1,239 @@
+// controllers/floodEventController.js
+const mongoose = require('mongoose');
+const FloodEvent = require('../models/floodEvent');
+const { hasPermission } = require('../middleware/authMiddleware');
+const floodEvents = require('../services/floodEventService');
+
+function sendEventError(res, error, label) {
+  if (error.status || error.name === 'ValidationError') {
+    return res.status(error.status || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: error.message
+  });
+}
+
+// Parse optional ?from=&to= into Dates, throwing a 400 on bad input
+function dateRange(query) {
+  const range = {};
+  if (query.from) range.from = new Date(query.from);
+  if (query.to) range.to = new Date(query.to);
+  if (Object.values(range).some(date => isNaN(date.getTime()))) {
+    const err = new Error('Invalid from or to date');
+    err.status = 400;
+    throw err;
+  }
+  return range;
+}
+
+// @desc    Report observed flooding (pending until an admin reviews it)
+// @route   POST /api/flood-events
+// @access  Private/Responder, Admin, or any user with a verified email
+const reportFloodEvent = async (req, res) => {
+  try {
+    if (!hasPermission(req.user, 'events:report') && !req.user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Verify your email address before reporting floods'
+      });
+    }
+
+    const event = await floodEvents.reportFloodEvent(req.user, req.body || {});
+
+    res.status(201).json({
+      success: true,
+      message: 'Flood report received and awaiting review',
+      data: event
+    });
+  } catch (error) {
+    sendEventError(res, error, 'Report flood event');
+  }
+};
+
+// @desc    List flood events, newest first
+// @route   GET /api/flood-events?status=&station=&severity=&from=&to=&limit=
+// @access  Private/Responder, Analyst, Admin
+const getFloodEvents = async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.query.station) {
+      if (!mongoose.isValidObjectId(req.query.station)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid station ID'
+        });
+      }
+      filter.station = req.query.station;
+    }
+    if (req.query.status) {
+      if (!FloodEvent.EVENT_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${FloodEvent.EVENT_STATUSES.join(', ')}`
+        });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.severity) {
+      if (!FloodEvent.SEVERITIES.includes(req.query.severity)) {
+        return res.status(400).json({
+          success: false,
+          message: `severity must be one of: ${FloodEvent.SEVERITIES.join(', ')}`
+        });
+      }
+      filter.severity = req.query.severity;
+    }
+
+    const { from, to } = dateRange(req.query);
+    if (from || to) {
+      filter.startedAt = {};
+      if (from) filter.startedAt.$gte = from;
+      if (to) filter.startedAt.$lte = to;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const events = await FloodEvent.find(filter)
+      .select('-predictions')
+      .populate('station', 'name region lat lng')
+      .populate('reportedBy review.by', 'username role')
+      .sort({ startedAt: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      count: events.length,
+      data: events
+    });
+  } catch (error) {
+    sendEventError(res, error, 'Get flood events');
+  }
+};
+
+// @desc    List the current user's own flood reports
+// @route   GET /api/flood-events/mine
+// @access  Private
+const getMyFloodEvents = async (req, res) => {
+  try {
+    const events = await FloodEvent.find({ reportedBy: req.userId })
+      .select('-predictions')
+      .populate('station', 'name region')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      count: events.length,
+      data: events
+    });
+  } catch (error) {
+    sendEventError(res, error, 'Get my flood events');
+  }
+};
+
+// @desc    Hit and miss rates of predictions against confirmed flood events
+// @route   GET /api/flood-events/stats?station=&from=&to=
+// @access  Private/Responder, Analyst, Admin
+const getFloodEventStats = async (req, res) => {
+  try {
+    if (req.query.station && !mongoose.isValidObjectId(req.query.station)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid station ID'
+      });
+    }
+
+    const stats = await floodEvents.getHitRates({ ...dateRange(req.query), station: req.query.station });
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    sendEventError(res, error, 'Get flood event stats');
+  }
+};
+
+// @desc    Get a flood event with the predictions linked to it
+// @route   GET /api/flood-events/:id
+// @access  Private/Responder, Analyst, Admin, or the reporter
+const getFloodEvent = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid flood event ID'
+      });
+    }
+
+    const event = await FloodEvent.findById(req.params.id)
+      .populate('station', 'name region lat lng')
+      .populate('reportedBy review.by', 'username role');
+
+    const isReporter = event && event.reportedBy && String(event.reportedBy._id) === String(req.userId);
+    if (!event || (!hasPermission(req.user, 'events:view') && !isReporter)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flood event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: event
+    });
+  } catch (error) {
+    sendEventError(res, error, 'Get flood event');
+  }
+};
+
+// @desc    Confirm a flood report and link it to a station and its predictions
+// @route   POST /api/flood-events/:id/confirm
+// @access  Private/Admin
+const confirmFloodEvent = async (req, res) => {
+  try {
+    const event = await floodEvents.confirmFloodEvent(req.params.id, req.user, req.body || {});
+
+    res.json({
+      success: true,
+      message: event.outcome.hit ? 'Flood event confirmed; it was predicted' : 'Flood event confirmed; it was missed',
+      data: event
+    });
+  } catch (error) {
+    sendEventError(res, error, 'Confirm flood event');
+  }
+};
+
+// @desc    Reject a flood report
+// @route   POST /api/flood-events/:id/reject
+// @access  Private/Admin
+const rejectFloodEvent = async (req, res) => {
+  try {
+    const event = await floodEvents.rejectFloodEvent(req.params.id, req.user, req.body && req.body.note);
+
+    res.json({
+      success: true,
+      message: 'Flood report rejected',
+      data: event
+    });
+  } catch (error) {
+    sendEventError(res, error, 'Reject flood event');
+  }
+};
+
+module.exports = {
+  reportFloodEvent,
+  getFloodEvents,
+  getMyFloodEvents,
+  getFloodEventStats,
+  getFloodEvent,
+  confirmFloodEvent,
+  rejectFloodEvent
+};
\ No newline at end of file
@@ -0,0 +1,97 @@
+// controllers/forecastController.js
+const mongoose = require('mongoose');
+const { runForecastJob, getLatestForecasts } = require('../services/forecastService');
+
+// Manual runs share one cooldown so the trigger can't hammer the weather forecast API
+const RUN_COOLDOWN_MS = (parseInt(process.env.FORECAST_RUN_COOLDOWN_SECONDS) || 60) * 1000;
+let lastRunAt = 0;
+
+// @desc    Get the latest risk forecast per station
+// @route   GET /api/forecast?station=a,b
+// @access  Public
+const getForecasts = async (req, res) => {
+  try {
+    const stations = req.query.station
+      ? String(req.query.station).split(',').map(s => s.trim()).filter(Boolean)
+      : [];
+
+    if (!stations.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid station ID'
+      });
+    }
+
+    const forecasts = await getLatestForecasts(stations.map(id => new mongoose.Types.ObjectId(id)));
+
+    res.json({
+      success: true,
+      count: forecasts.length,
+      data: forecasts
+    });
+  } catch (error) {
+    console.error('Get forecasts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Compute forecasts now, for all active stations or one
+// @route   POST /api/forecast/run
+// @access  Private/Admin
+const runForecast = async (req, res) => {
+  try {
+    const { station } = req.body || {};
+
+    if (station && !mongoose.isValidObjectId(station)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid station ID'
+      });
+    }
+
+    const waitMs = lastRunAt + RUN_COOLDOWN_MS - Date.now();
+    if (waitMs > 0) {
+      res.set('Retry-After', Math.ceil(waitMs / 1000).toString());
+      return res.status(429).json({
+        success: false,
+        message: `A forecast run was triggered recently, try again in ${Math.ceil(waitMs / 1000)}s`
+      });
+    }
+
+    lastRunAt = Date.now();
+
+    const result = await runForecastJob({
+      stationIds: station ? [station] : undefined,
+      trigger: 'manual'
+    });
+
+    res.json({
+      success: true,
+      message: `Forecast computed for ${result.stations.length} station(s)`,
+      data: result
+    });
+  } catch (error) {
+    if (error.status === 409 || error.status === 503) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Run forecast error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getForecasts,
+  runForecast
+};
\ No newline at end of file
@@ -0,0 +1,62 @@
+// controllers/ingestionController.js
+const mongoose = require('mongoose');
+const { runIngestionJob } = require('../services/ingestionService');
+
+// Manual runs share one cooldown so the trigger can't hammer upstream APIs
+const TRIGGER_COOLDOWN_MS = (parseInt(process.env.TRIGGER_COOLDOWN_SECONDS) || 60) * 1000;
+let lastTriggeredAt = 0;
+
+// @desc    Run the ingestion job immediately and return its results
+// @route   POST /api/trigger
+// @access  Private/Admin
+const triggerIngestion = async (req, res) => {
+  try {
+    const { station } = req.body || {};
+
+    if (station && !mongoose.isValidObjectId(station)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid station ID'
+      });
+    }
+
+    const waitMs = lastTriggeredAt + TRIGGER_COOLDOWN_MS - Date.now();
+    if (waitMs > 0) {
+      res.set('Retry-After', Math.ceil(waitMs / 1000).toString());
+      return res.status(429).json({
+        success: false,
+        message: `Manual ingestion was triggered recently, try again in ${Math.ceil(waitMs / 1000)}s`
+      });
+    }
+
+    lastTriggeredAt = Date.now();
+    console.log('Manual data fetch triggered via API');
+
+    const result = await runIngestionJob({
+      stationIds: station ? [station] : undefined,
+      trigger: 'manual'
+    });
+
+    res.json({
+      success: true,
+      message: `Ingestion completed for ${result.stations.length} station(s)`,
+      data: result
+    });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Trigger ingestion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = { triggerIngestion };
\ No newline at end of file
@@ -0,0 +1,207 @@
+// controllers/modelController.js
+const mongoose = require('mongoose');
+const modelRegistry = require('../services/modelRegistry');
+const { getComparisonReport } = require('../services/modelComparisonService');
+const {
+  getModelInfo,
+  reloadModel,
+  promoteModel,
+  rollbackModel,
+  startShadow,
+  stopShadow
+} = require('../services/predictionService');
+
+function sendModelError(res, error, label) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: error.message
+  });
+}
+
+// @desc    List model versions in the registry and the one in use
+// @route   GET /api/models
+// @access  Private/Analyst, Admin
+const getModels = async (req, res) => {
+  try {
+    const versions = modelRegistry.listModels();
+
+    res.json({
+      success: true,
+      count: versions.length,
+      data: {
+        current: getModelInfo(),
+        versions
+      }
+    });
+  } catch (error) {
+    sendModelError(res, error, 'Get models');
+  }
+};
+
+// @desc    Registrations, promotions and rollbacks, newest first
+// @route   GET /api/models/history
+// @access  Private/Analyst, Admin
+const getModelHistory = async (req, res) => {
+  try {
+    const history = modelRegistry.getHistory();
+
+    res.json({
+      success: true,
+      count: history.length,
+      data: history
+    });
+  } catch (error) {
+    sendModelError(res, error, 'Get model history');
+  }
+};
+
+// @desc    Get a model version with its full training metadata
+// @route   GET /api/models/:version
+// @access  Private/Analyst, Admin
+const getModel = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: modelRegistry.getModel(req.params.version)
+    });
+  } catch (error) {
+    sendModelError(res, error, 'Get model');
+  }
+};
+
+// @desc    Load a model version and make it the active one
+// @route   POST /api/models/:version/promote
+// @access  Private/Admin
+const promote = async (req, res) => {
+  try {
+    const current = await promoteModel(req.params.version, req.user, req.body && req.body.note);
+
+    res.json({
+      success: true,
+      message: `Model ${current.version} is now active`,
+      data: current
+    });
+  } catch (error) {
+    sendModelError(res, error, 'Promote model');
+  }
+};
+
+// @desc    Return to the model version active before the current one
+// @route   POST /api/models/rollback
+// @access  Private/Admin
+const rollback = async (req, res) => {
+  try {
+    const current = await rollbackModel(req.user, req.body && req.body.note);
+
+    res.json({
+      success: true,
+      message: `Rolled back to model ${current.version}`,
+      data: current
+    });
+  } catch (error) {
+    sendModelError(res, error, 'Roll back model');
+  }
+};
+
+// @desc    Reload the registry's active version from disk
+// @route   POST /api/models/reload
+// @access  Private/Admin
+const reload = async (req, res) => {
+  try {
+    const current = await reloadModel();
+
+    res.json({
+      success: true,
+      message: `Reloaded model ${current.version}`,
+      data: current
+    });
+  } catch (error) {
+    sendModelError(res, error, 'Reload model');
+  }
+};
+
+// @desc    Score a model version in shadow next to the active one
+// @route   POST /api/models/:version/shadow
+// @access  Private/Admin
+const shadow = async (req, res) => {
+  try {
+    const current = await startShadow(req.params.version, req.user, req.body && req.body.note);
+
+    res.json({
+      success: true,
+      message: `Model ${current.shadowVersion} is running in shadow`,
+      data: current
+    });
+  } catch (error) {
+    sendModelError(res, error, 'Start shadow model');
+  }
+};
+
+// @desc    Stop scoring the shadow model
+// @route   DELETE /api/models/shadow
+// @access  Private/Admin
+const stopShadowModel = async (req, res) => {
+  try {
+    const current = await stopShadow(req.user, req.body && req.body.note);
+
+    res.json({
+      success: true,
+      message: 'Shadow model stopped',
+      data: current
+    });
+  } catch (error) {
+    sendModelError(res, error, 'Stop shadow model');
+  }
+};
+
+// @desc    Compare the shadow candidate with the active model and the fallback heuristic
+// @route   GET /api/models/shadow/report?candidate=&station=&from=&to=
+// @access  Private/Admin
+const getShadowReport = async (req, res) => {
+  try {
+    const { candidate, station } = req.query;
+    if (station && !mongoose.isValidObjectId(station)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid station ID'
+      });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid from or to date'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getComparisonReport({ candidate, station, from, to })
+    });
+  } catch (error) {
+    sendModelError(res, error, 'Get shadow report');
+  }
+};
+
+module.exports = {
+  getModels,
+  getModelHistory,
+  getModel,
+  promote,
+  rollback,
+  reload,
+  shadow,
+  stopShadowModel,
+  getShadowReport
+};
\ No newline at end of file
@@ -0,0 +1,60 @@
+// controllers/providerController.js
+const { METRICS, listProviders, getPriority, checkHealth } = require('../services/providers');
+
+// @desc    List registered data-source providers and default priority
+// @route   GET /api/providers
+// @access  Private/Analyst, Admin
+const getProviders = async (req, res) => {
+  try {
+    const priority = {};
+    METRICS.forEach(metric => {
+      priority[metric] = getPriority(metric);
+    });
+
+    res.json({
+      success: true,
+      data: {
+        providers: listProviders().map(provider => ({
+          name: provider.name,
+          metrics: provider.metrics,
+          units: provider.units
+        })),
+        priority
+      }
+    });
+  } catch (error) {
+    console.error('Get providers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Check reachability of every registered provider
+// @route   GET /api/providers/health
+// @access  Private/Analyst, Admin
+const getProviderHealth = async (req, res) => {
+  try {
+    const results = await checkHealth();
+
+    res.json({
+      success: true,
+      healthy: results.every(result => result.healthy),
+      data: results
+    });
+  } catch (error) {
+    console.error('Provider health error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getProviders,
+  getProviderHealth
+};
\ No newline at end of file
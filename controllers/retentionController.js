@@ -0,0 +1,62 @@
+// controllers/retentionController.js
+const { getPolicy, isJobInProgress, getLastReport, runRetention } = require('../services/retentionService');
+
+// @desc    Get the retention policy and the last run's report
+// @route   GET /api/retention
+// @access  Private/Admin
+const getRetentionStatus = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        policy: getPolicy(),
+        running: isJobInProgress(),
+        lastReport: getLastReport()
+      }
+    });
+  } catch (error) {
+    console.error('Get retention status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Run the retention job now; a dry run unless dryRun is false
+// @route   POST /api/retention/run
+// @access  Private/Admin
+const runRetentionJob = async (req, res) => {
+  try {
+    const dryRun = !(req.body && req.body.dryRun === false);
+    const report = await runRetention({ dryRun, trigger: 'manual' });
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${report.raw.eligible} reading(s) would be compacted`
+        : `Compacted ${report.raw.deleted} reading(s)`,
+      data: report
+    });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Run retention error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getRetentionStatus,
+  runRetentionJob
+};
\ No newline at end of file
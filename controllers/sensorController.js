@@ -0,0 +1,107 @@
+// controllers/sensorController.js
+const mongoose = require('mongoose');
+const SensorReading = require('../models/sensorReading');
+const { storeReadings } = require('../services/sensorService');
+
+// @desc    Submit one reading or a batch of readings from a device
+// @route   POST /api/sensors/readings
+// @access  Device (API key)
+const submitReadings = async (req, res) => {
+  try {
+    let readings;
+    if (Array.isArray(req.body)) {
+      readings = req.body;
+    } else if (req.body && Array.isArray(req.body.readings)) {
+      readings = req.body.readings;
+    } else {
+      readings = [req.body];
+    }
+
+    if (readings.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No readings provided'
+      });
+    }
+
+    const result = await storeReadings({ device: req.device }, readings, 'http');
+
+    if (result.accepted === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'All readings were rejected',
+        data: result
+      });
+    }
+
+    res.status(result.rejected.length > 0 ? 207 : 201).json({
+      success: true,
+      message: `${result.accepted} reading(s) stored`,
+      data: result
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Submit readings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get raw sensor readings
+// @route   GET /api/sensors/readings
+// @access  Private/Analyst, Admin
+const getReadings = async (req, res) => {
+  try {
+    const filter = {};
+
+    for (const field of ['station', 'device']) {
+      if (req.query[field]) {
+        if (!mongoose.isValidObjectId(req.query[field])) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid ${field} ID`
+          });
+        }
+        filter[field] = req.query[field];
+      }
+    }
+
+    if (req.query.from || req.query.to) {
+      filter.timestamp = {};
+      if (req.query.from) filter.timestamp.$gte = new Date(req.query.from);
+      if (req.query.to) filter.timestamp.$lte = new Date(req.query.to);
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const readings = await SensorReading.find(filter)
+      .sort({ timestamp: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      count: readings.length,
+      data: readings
+    });
+  } catch (error) {
+    console.error('Get readings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  submitReadings,
+  getReadings
+};
\ No newline at end of file
@@ -0,0 +1,206 @@
+// controllers/stationController.js
+const mongoose = require('mongoose');
+const MonitoringStation = require('../models/monitoringStation');
+const { hasPermission } = require('../middleware/authMiddleware');
+const { closeStationAlerts } = require('../services/alertLifecycleService');
+
+const STATION_FIELDS = ['name', 'lat', 'lng', 'riverGaugeId', 'region', 'active', 'providers', 'escalationContacts'];
+
+// Escalation contacts are only shown to station managers
+function contactFields(req) {
+  return hasPermission(req.user, 'stations:manage') ? '+escalationContacts' : '';
+}
+
+// @desc    Get all monitoring stations
+// @route   GET /api/stations
+// @access  Public
+const getStations = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+    if (req.query.region) filter.region = req.query.region;
+
+    const stations = await MonitoringStation.find(filter)
+      .select(contactFields(req))
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: stations.length,
+      data: stations
+    });
+  } catch (error) {
+    console.error('Get stations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a single monitoring station
+// @route   GET /api/stations/:id
+// @access  Public
+const getStation = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid station ID'
+      });
+    }
+
+    const station = await MonitoringStation.findById(req.params.id).select(contactFields(req));
+
+    if (!station) {
+      return res.status(404).json({
+        success: false,
+        message: 'Station not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: station
+    });
+  } catch (error) {
+    console.error('Get station error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create a monitoring station
+// @route   POST /api/stations
+// @access  Private/Admin
+const createStation = async (req, res) => {
+  try {
+    const fields = {};
+    STATION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    const station = await MonitoringStation.create(fields);
+
+    res.status(201).json({
+      success: true,
+      message: 'Station created successfully',
+      data: station
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 11000 ? 'A station with this name already exists' : error.message
+      });
+    }
+
+    console.error('Create station error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a monitoring station
+// @route   PUT /api/stations/:id
+// @access  Private/Admin
+const updateStation = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid station ID'
+      });
+    }
+
+    const station = await MonitoringStation.findById(req.params.id).select('+escalationContacts');
+
+    if (!station) {
+      return res.status(404).json({
+        success: false,
+        message: 'Station not found'
+      });
+    }
+
+    STATION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) station[field] = req.body[field];
+    });
+
+    const updatedStation = await station.save();
+
+    res.json({
+      success: true,
+      message: 'Station updated successfully',
+      data: updatedStation
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 11000 ? 'A station with this name already exists' : error.message
+      });
+    }
+
+    console.error('Update station error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a monitoring station, closing its active alert
+// @route   DELETE /api/stations/:id
+// @access  Private/Admin
+const deleteStation = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid station ID'
+      });
+    }
+
+    const station = await MonitoringStation.findById(req.params.id);
+
+    if (!station) {
+      return res.status(404).json({
+        success: false,
+        message: 'Station not found'
+      });
+    }
+
+    const closedAlerts = await closeStationAlerts(station, req.user);
+    await station.deleteOne();
+
+    res.json({
+      success: true,
+      message: closedAlerts > 0
+        ? `Station deleted successfully; ${closedAlerts} active alert(s) closed`
+        : 'Station deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete station error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getStations,
+  getStation,
+  createStation,
+  updateStation,
+  deleteStation
+};
\ No newline at end of file
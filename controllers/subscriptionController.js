@@ -0,0 +1,244 @@
+// controllers/subscriptionController.js
+const mongoose = require('mongoose');
+const Subscription = require('../models/subscription');
+
+// Apply name/area/risk fields from a request body. Areas are either a circle
+// ({ center: { lat, lng }, radiusKm }) or a GeoJSON Polygon ({ area }).
+// Returns an error message, or null when the body is valid.
+const applySubscriptionFields = (subscription, body) => {
+  if (body.name !== undefined) subscription.name = body.name;
+  if (body.minRiskLevel !== undefined) subscription.minRiskLevel = body.minRiskLevel;
+  if (body.active !== undefined) subscription.active = body.active;
+
+  if (body.area !== undefined) {
+    if (!body.area || body.area.type !== 'Polygon' || !Array.isArray(body.area.coordinates)) {
+      return 'area must be a GeoJSON Polygon';
+    }
+    subscription.area = body.area;
+    subscription.center = undefined;
+    subscription.radiusMeters = undefined;
+    return null;
+  }
+
+  if (body.center !== undefined || body.radiusKm !== undefined) {
+    if (body.center !== undefined) {
+      const lat = Number(body.center && body.center.lat);
+      const lng = Number(body.center && body.center.lng);
+      if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return 'center must include a valid lat and lng';
+      }
+      subscription.center = { type: 'Point', coordinates: [lng, lat] };
+    }
+    if (body.radiusKm !== undefined) {
+      subscription.radiusMeters = Number(body.radiusKm) * 1000;
+    }
+    if (!subscription.center || !subscription.center.coordinates || !subscription.radiusMeters) {
+      return 'A circle area needs both center and radiusKm';
+    }
+  }
+
+  return null;
+};
+
+const isGeoError = (error) => error.code === 16755 || /geo keys|Loop is not/i.test(error.message || '');
+
+// Load a subscription the current user may modify, or send the error response
+const findOwnSubscription = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid subscription ID'
+    });
+    return null;
+  }
+
+  const subscription = await Subscription.findById(req.params.id);
+
+  if (!subscription) {
+    res.status(404).json({
+      success: false,
+      message: 'Subscription not found'
+    });
+    return null;
+  }
+
+  if (subscription.user.toString() !== req.userId.toString() && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this subscription'
+    });
+    return null;
+  }
+
+  return subscription;
+};
+
+// @desc    List the current user's alert subscriptions (admins: ?user=<id> or ?all=true)
+// @route   GET /api/subscriptions
+// @access  Private
+const getSubscriptions = async (req, res) => {
+  try {
+    let filter = { user: req.userId };
+
+    if (req.user.role === 'admin') {
+      if (req.query.all === 'true') filter = {};
+      else if (req.query.user && mongoose.isValidObjectId(req.query.user)) filter = { user: req.query.user };
+    }
+
+    const subscriptions = await Subscription.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: subscriptions.length,
+      data: subscriptions
+    });
+  } catch (error) {
+    console.error('Get subscriptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a single subscription
+// @route   GET /api/subscriptions/:id
+// @access  Private (owner or admin)
+const getSubscription = async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req, res);
+    if (!subscription) return;
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Subscribe to alerts for an area
+// @route   POST /api/subscriptions
+// @access  Private
+const createSubscription = async (req, res) => {
+  try {
+    if (req.body.area === undefined && req.body.center === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either center and radiusKm, or a GeoJSON Polygon area'
+      });
+    }
+
+    const subscription = new Subscription({ user: req.userId });
+    const invalid = applySubscriptionFields(subscription, req.body);
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    await subscription.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Subscription created successfully',
+      data: subscription
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || isGeoError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: isGeoError(error) ? 'Invalid area geometry' : error.message
+      });
+    }
+
+    console.error('Create subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a subscription
+// @route   PUT /api/subscriptions/:id
+// @access  Private (owner or admin)
+const updateSubscription = async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req, res);
+    if (!subscription) return;
+
+    const invalid = applySubscriptionFields(subscription, req.body);
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const updatedSubscription = await subscription.save();
+
+    res.json({
+      success: true,
+      message: 'Subscription updated successfully',
+      data: updatedSubscription
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || isGeoError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: isGeoError(error) ? 'Invalid area geometry' : error.message
+      });
+    }
+
+    console.error('Update subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete a subscription
+// @route   DELETE /api/subscriptions/:id
+// @access  Private (owner or admin)
+const deleteSubscription = async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req, res);
+    if (!subscription) return;
+
+    await subscription.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Subscription deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription
+};
\ No newline at end of file
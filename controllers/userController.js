@@ -1,12 +1,32 @@
 // controllers/userController.js
+const mongoose = require('mongoose');
 const User = require('../models/user');
-const jwt = require('jsonwebtoken');
+const {
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserRefreshTokens,
+  revokeAllUserTokens,
+  createUserToken,
+  consumeUserToken
+} = require('../services/tokenService');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/mailService');
+const { checkWebhookUrl } = require('../services/channels/webhook');
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET || 'your_jwt_secret_key_here', {
-    expiresIn: '30d'
-  });
+const MAX_PUSH_TOKENS = 10;
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+// Email a fresh verification link; failures are logged, not surfaced
+const sendVerification = async (user) => {
+  try {
+    const token = await createUserToken(user, 'email-verification', EMAIL_VERIFICATION_TTL_MS);
+    await sendVerificationEmail(user, token);
+    return true;
+  } catch (error) {
+    console.error('Verification email error:', error.message);
+    return false;
+  }
 };
 
 // @desc    Register a new user
@@ -35,18 +55,23 @@ const registerUser = async (req, res) => {
     });
 
     if (user) {
-      const token = generateToken(user._id);
+      const { token, refreshToken, expiresIn } = await issueTokenPair(user, req);
+      await sendVerification(user);
       
       res.status(201).json({
         success: true,
-        message: 'User registered successfully',
+        message: 'User registered successfully. Check your email to verify your address.',
         data: {
           _id: user._id,
           username: user.username,
           email: user.email,
           firstName: user.firstName,
           lastName: user.lastName,
-          token
+          role: user.role,
+          emailVerified: user.emailVerified,
+          token,
+          refreshToken,
+          expiresIn
         }
       });
     } else {
@@ -92,7 +117,14 @@ const loginUser = async (req, res) => {
       });
     }
 
-    const token = generateToken(user._id);
+    if (!user.active) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account has been disabled'
+      });
+    }
+
+    const { token, refreshToken, expiresIn } = await issueTokenPair(user, req);
 
     res.json({
       success: true,
@@ -103,7 +135,11 @@ const loginUser = async (req, res) => {
         email: user.email,
         firstName: user.firstName,
         lastName: user.lastName,
-        token
+        role: user.role,
+        emailVerified: user.emailVerified,
+        token,
+        refreshToken,
+        expiresIn
       }
     });
   } catch (error) {
@@ -116,6 +152,259 @@ const loginUser = async (req, res) => {
   }
 };
 
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/users/refresh
+// @access  Public (requires a valid refresh token)
+const refreshTokens = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, req);
+
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: {
+        token: result.token,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Log out this device, or every device with allDevices: true
+// @route   POST /api/users/logout
+// @access  Public (requires a valid refresh token)
+const logoutUser = async (req, res) => {
+  try {
+    const { refreshToken, allDevices } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const stored = await revokeRefreshToken(refreshToken);
+
+    if (!stored) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    if (allDevices) {
+      await revokeAllUserTokens(stored.user);
+    }
+
+    res.json({
+      success: true,
+      message: allDevices ? 'Logged out from all devices' : 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Confirm an email address with the emailed token
+// @route   GET/POST /api/users/verify-email
+// @access  Public (requires a valid verification token)
+const verifyEmail = async (req, res) => {
+  try {
+    const token = (req.body && req.body.token) || req.query.token;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const userId = await consumeUserToken(token, 'email-verification');
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    await User.updateOne(
+      { _id: userId },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/users/resend-verification
+// @access  Private
+const resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const sent = await sendVerification(req.user);
+
+    if (!sent) {
+      return res.status(502).json({
+        success: false,
+        message: 'Verification email could not be sent, try again later'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Email a password reset token
+// @route   POST /api/users/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+
+    // Same response whether or not the account exists, to avoid leaking emails
+    if (user && user.active) {
+      try {
+        const token = await createUserToken(user, 'password-reset', PASSWORD_RESET_TTL_MS);
+        await sendPasswordResetEmail(user, token);
+      } catch (error) {
+        console.error('Password reset email error:', error.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Set a new password with an emailed reset token
+// @route   POST /api/users/reset-password
+// @access  Public (requires a valid reset token)
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and new password are required'
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const userId = await consumeUserToken(token, 'password-reset');
+    const user = userId ? await User.findById(userId) : null;
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Receiving the email proves ownership of the address too
+    user.password = password;
+    user.emailVerified = true;
+    user.emailVerifiedAt = user.emailVerifiedAt || new Date();
+    await user.save();
+
+    await revokeAllUserTokens(user._id, 'password-reset');
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully, please log in again'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get user profile
 // @route   GET /api/users/profile
 // @access  Private
@@ -138,6 +427,8 @@ const getUserProfile = async (req, res) => {
         email: user.email,
         firstName: user.firstName,
         lastName: user.lastName,
+        role: user.role,
+        emailVerified: user.emailVerified,
         createdAt: user.createdAt
       }
     });
@@ -165,19 +456,37 @@ const updateUserProfile = async (req, res) => {
       });
     }
 
-    // Update allowed fields
+    // Update allowed fields; a new email address must be verified again
+    const emailChanged = Boolean(req.body.email) && req.body.email.toLowerCase() !== user.email;
     user.username = req.body.username || user.username;
     user.email = req.body.email || user.email;
+    if (emailChanged) {
+      user.emailVerified = false;
+      user.emailVerifiedAt = undefined;
+    }
     user.firstName = req.body.firstName || user.firstName;
     user.lastName = req.body.lastName || user.lastName;
 
-    // If password is being updated
-    if (req.body.password) {
+    // If password is being updated, every existing session is revoked
+    const passwordChanged = Boolean(req.body.password);
+    if (passwordChanged) {
       user.password = req.body.password;
+      user.tokenVersion += 1;
     }
 
     const updatedUser = await user.save();
 
+    if (emailChanged) {
+      await sendVerification(updatedUser);
+    }
+
+    // Give the current client a fresh session after revoking the others
+    let tokens = {};
+    if (passwordChanged) {
+      await revokeUserRefreshTokens(updatedUser._id, 'password-change');
+      tokens = await issueTokenPair(updatedUser, req);
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -186,7 +495,10 @@ const updateUserProfile = async (req, res) => {
         username: updatedUser.username,
         email: updatedUser.email,
         firstName: updatedUser.firstName,
-        lastName: updatedUser.lastName
+        lastName: updatedUser.lastName,
+        role: updatedUser.role,
+        emailVerified: updatedUser.emailVerified,
+        ...tokens
       }
     });
   } catch (error) {
@@ -199,12 +511,177 @@ const updateUserProfile = async (req, res) => {
   }
 };
 
+// @desc    Register a device FCM token for push alerts
+// @route   POST /api/users/push-tokens
+// @access  Private
+const registerPushToken = async (req, res) => {
+  try {
+    const { token, platform } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'FCM token is required'
+      });
+    }
+
+    const user = req.user;
+
+    // Re-registering moves the token to the end; the oldest installs drop off first
+    user.fcmTokens = user.fcmTokens.filter(t => t.token !== token);
+    user.fcmTokens.push({ token, platform });
+    if (user.fcmTokens.length > MAX_PUSH_TOKENS) {
+      user.fcmTokens = user.fcmTokens.slice(-MAX_PUSH_TOKENS);
+    }
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Push token registered',
+      count: user.fcmTokens.length
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Register push token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a device FCM token
+// @route   DELETE /api/users/push-tokens/:token
+// @access  Private
+const removePushToken = async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.userId },
+      { $pull: { fcmTokens: { token: req.params.token } } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Push token removed'
+    });
+  } catch (error) {
+    console.error('Remove push token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get alert notification preferences
+// @route   GET /api/users/notification-preferences
+// @access  Private
+const getNotificationPreferences = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        ...req.user.notificationPreferences.toObject(),
+        pushDevices: req.user.fcmTokens.length,
+        emailVerified: req.user.emailVerified
+      }
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update alert notification preferences
+// @route   PUT /api/users/notification-preferences
+// @access  Private
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const { channels, phone, webhookUrl } = req.body;
+    const user = req.user;
+
+    if (channels !== undefined) {
+      if (!Array.isArray(channels)) {
+        return res.status(400).json({
+          success: false,
+          message: 'channels must be an array'
+        });
+      }
+      user.notificationPreferences.channels = [...new Set(channels)];
+    }
+    // Empty string clears the value
+    if (phone !== undefined) user.notificationPreferences.phone = phone || undefined;
+    if (webhookUrl) {
+      const problem = checkWebhookUrl(webhookUrl);
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem
+        });
+      }
+    }
+    if (webhookUrl !== undefined) user.notificationPreferences.webhookUrl = webhookUrl || undefined;
+
+    const selected = user.notificationPreferences.channels;
+    if (['sms', 'voice'].some(c => selected.includes(c)) && !user.notificationPreferences.phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'A phone number is required for SMS or voice alerts'
+      });
+    }
+    if (selected.includes('webhook') && !user.notificationPreferences.webhookUrl) {
+      return res.status(400).json({
+        success: false,
+        message: 'A webhook URL is required for webhook alerts'
+      });
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: user.notificationPreferences
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get all users
 // @route   GET /api/users
-// @access  Private
+// @access  Private/Admin
 const getUsers = async (req, res) => {
   try {
-    const users = await User.find({}).select('-password');
+    const filter = {};
+    if (req.query.role) filter.role = req.query.role;
+    if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+
+    const users = await User.find(filter).select('-password');
     
     res.json({
       success: true,
@@ -221,11 +698,174 @@ const getUsers = async (req, res) => {
   }
 };
 
+// @desc    Get a user by ID
+// @route   GET /api/users/:id
+// @access  Private/Admin
+const getUserById = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Enable or disable a user account
+// @route   PATCH /api/users/:id/status
+// @access  Private/Admin
+const updateUserStatus = async (req, res) => {
+  try {
+    if (typeof req.body.active !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'active must be true or false'
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    // Prevent admins from locking themselves out
+    if (req.params.id === req.userId.toString() && !req.body.active) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot disable your own account'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.active = req.body.active;
+    await user.save();
+
+    if (!user.active) {
+      await revokeAllUserTokens(user._id, 'disabled');
+    }
+
+    res.json({
+      success: true,
+      message: `User ${user.active ? 'enabled' : 'disabled'} successfully`,
+      data: {
+        _id: user._id,
+        username: user.username,
+        role: user.role,
+        active: user.active
+      }
+    });
+  } catch (error) {
+    console.error('Update user status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change a user's role
+// @route   PATCH /api/users/:id/role
+// @access  Private/Admin
+const updateUserRole = async (req, res) => {
+  try {
+    if (!User.ROLES.includes(req.body.role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${User.ROLES.join(', ')}`
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (req.params.id === req.userId.toString() && req.body.role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own admin role'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.role = req.body.role;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: {
+        _id: user._id,
+        username: user.username,
+        role: user.role,
+        active: user.active
+      }
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Delete user
 // @route   DELETE /api/users/:id
-// @access  Private
+// @access  Private (own account, or any account for admins)
 const deleteUser = async (req, res) => {
   try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
     const user = await User.findById(req.params.id);
     
     if (!user) {
@@ -235,8 +875,8 @@ const deleteUser = async (req, res) => {
       });
     }
 
-    // Only allow user to delete their own account
-    if (user._id.toString() !== req.userId.toString()) {
+    // Users may delete their own account; admins may delete any account
+    if (user._id.toString() !== req.userId.toString() && req.user.role !== 'admin') {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this user'
@@ -262,8 +902,21 @@ const deleteUser = async (req, res) => {
 module.exports = {
   registerUser,
   loginUser,
+  refreshTokens,
+  logoutUser,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   getUserProfile,
   updateUserProfile,
+  registerPushToken,
+  removePushToken,
+  getNotificationPreferences,
+  updateNotificationPreferences,
   getUsers,
+  getUserById,
+  updateUserStatus,
+  updateUserRole,
   deleteUser
 };
\ No newline at end of file
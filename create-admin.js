@@ -0,0 +1,75 @@
+// create-admin.js - Seed the first FloodGuard administrator
+//
+// Usage:
+//   npm run create-admin -- --email admin@example.com --username admin --password secret123
+//   (or set ADMIN_EMAIL, ADMIN_USERNAME and ADMIN_PASSWORD in .env)
+//
+// If a user with the email already exists they are promoted to admin.
+// Refuses to run when an admin already exists unless --force is given.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('./models/user');
+
+function getArg(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+async function createAdmin() {
+  const email = getArg('email') || process.env.ADMIN_EMAIL;
+  const username = getArg('username') || process.env.ADMIN_USERNAME;
+  const password = getArg('password') || process.env.ADMIN_PASSWORD;
+  const force = process.argv.includes('--force');
+
+  console.log('\n' + '='.repeat(60));
+  console.log('👤 FloodGuard Admin Setup');
+  console.log('='.repeat(60) + '\n');
+
+  if (!email) {
+    console.error('❌ An email is required (--email or ADMIN_EMAIL)');
+    return false;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/floodguard', {
+      serverSelectionTimeoutMS: 5000
+    });
+    console.log('✓ MongoDB connected');
+
+    const adminCount = await User.countDocuments({ role: 'admin' });
+    if (adminCount > 0 && !force) {
+      console.log(`ℹ️  ${adminCount} admin account(s) already exist, nothing to do`);
+      console.log('   Use --force to promote or create another admin');
+      return true;
+    }
+
+    const existing = await User.findOne({ email: email.toLowerCase() });
+
+    if (existing) {
+      existing.role = 'admin';
+      existing.active = true;
+      await existing.save();
+      console.log(`✓ Promoted existing user ${existing.username} <${existing.email}> to admin`);
+    } else {
+      if (!username || !password) {
+        console.error('❌ --username and --password are required to create a new admin');
+        return false;
+      }
+
+      const user = await User.create({ username, email, password, role: 'admin' });
+      console.log(`✓ Created admin ${user.username} <${user.email}>`);
+    }
+
+    return true;
+  } catch (error) {
+    console.error('❌ Admin setup failed:', error.message);
+    return false;
+  } finally {
+    await mongoose.disconnect();
+    console.log('');
+  }
+}
+
+createAdmin().then(success => {
+  process.exit(success ? 0 : 1);
+});
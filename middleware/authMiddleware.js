@@ -1,28 +1,71 @@
 // middleware/authMiddleware.js
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../services/tokenService');
+const Device = require('../models/device');
+const User = require('../models/user');
+
+// Which roles may perform each action
+const PERMISSIONS = {
+  'users:manage': ['admin'],
+  'stations:manage': ['admin'],
+  'devices:manage': ['admin'],
+  'providers:view': ['analyst', 'admin'],
+  'ingestion:trigger': ['admin'],
+  'retention:manage': ['admin'],
+  'sensors:read': ['analyst', 'admin'],
+  'alerts:acknowledge': ['responder', 'admin'],
+  'deliveries:view': ['responder', 'admin'],
+  'data:export': ['analyst', 'admin'],
+  'events:report': ['responder', 'admin'],
+  'events:view': ['responder', 'analyst', 'admin'],
+  'events:review': ['admin'],
+  'models:view': ['analyst', 'admin'],
+  'models:manage': ['admin']
+};
 
 const protect = async (req, res, next) => {
   let token;
 
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    let user;
     try {
       // Get token from header
       token = req.headers.authorization.split(' ')[1];
 
       // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret_key_here');
+      const decoded = verifyAccessToken(token);
 
       // Get user from token
-      req.userId = decoded.id;
-      
-      next();
+      user = await User.findById(decoded.id);
+
+      // Tokens issued before a logout-all or password change are revoked
+      if (user && decoded.tv !== user.tokenVersion) {
+        throw new Error('Token has been revoked');
+      }
     } catch (error) {
       console.error('Auth middleware error:', error);
-      res.status(401).json({
+      return res.status(401).json({
         success: false,
         message: 'Not authorized, token failed'
       });
     }
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, user not found'
+      });
+    }
+
+    if (!user.active) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account has been disabled'
+      });
+    }
+
+    req.userId = user._id;
+    req.user = user;
+    return next();
   }
 
   if (!token) {
@@ -33,4 +76,102 @@ const protect = async (req, res, next) => {
   }
 };
 
-module.exports = { protect };
\ No newline at end of file
+// For public routes that show more to signed-in users: runs protect when the
+// request carries a bearer token and lets anonymous requests through
+const identify = (req, res, next) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return protect(req, res, next);
+  }
+  next();
+};
+
+// Restrict a route to the given roles (use after protect)
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: `Role '${req.user ? req.user.role : 'guest'}' is not authorized for this action`
+    });
+  }
+  next();
+};
+
+// Restrict a route to roles holding a permission from PERMISSIONS (use after protect)
+const requirePermission = (permission) => {
+  const roles = PERMISSIONS[permission];
+  if (!roles) throw new Error(`Unknown permission: ${permission}`);
+  return authorize(...roles);
+};
+
+const hasPermission = (user, permission) => {
+  return Boolean(user && PERMISSIONS[permission] && PERMISSIONS[permission].includes(user.role));
+};
+
+// Socket.io middleware: attach the user when the client sends an access token
+// in the handshake (auth.token); anonymous clients still receive public broadcasts
+const authenticateSocket = async (socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  if (!token) return next();
+
+  try {
+    const decoded = verifyAccessToken(token);
+    const user = await User.findById(decoded.id);
+
+    if (!user || decoded.tv !== user.tokenVersion || !user.active) {
+      throw new Error('Token has been revoked');
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    next(new Error('Not authorized, token failed'));
+  }
+};
+
+// Authenticate field devices by their API key (X-Device-Key or "Authorization: Device <key>")
+const protectDevice = async (req, res, next) => {
+  let apiKey = req.headers['x-device-key'];
+
+  if (!apiKey && req.headers.authorization && req.headers.authorization.startsWith('Device ')) {
+    apiKey = req.headers.authorization.split(' ')[1];
+  }
+
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized, no device key'
+    });
+  }
+
+  try {
+    const device = await Device.findOne({ apiKeyHash: Device.hashApiKey(apiKey) });
+
+    if (!device || !device.active) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, invalid or inactive device key'
+      });
+    }
+
+    req.device = device;
+    next();
+  } catch (error) {
+    console.error('Device auth middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  PERMISSIONS,
+  protect,
+  identify,
+  authorize,
+  requirePermission,
+  hasPermission,
+  authenticateSocket,
+  protectDevice
+};
\ No newline at end of file
@@ -0,0 +1,93 @@
+// models/alert.js
+const mongoose = require('mongoose');
+
+const ALERT_LEVELS = ['medium', 'high'];
+const TRANSITION_EVENTS = [
+  'opened', 'escalated', 'de-escalated', 'reminder', 'risk-low', 'risk-returned', 'closed',
+  // Responder workflow
+  'status-changed', 'assigned', 'secondary-escalation'
+];
+const RESPONSE_STATUSES = ['open', 'acknowledged', 'in-progress', 'resolved'];
+const ALERT_STATES = ['active', 'closed'];
+
+const transitionSchema = new mongoose.Schema({
+  event: { type: String, enum: TRANSITION_EVENTS, required: true },
+  from: String,
+  to: String,
+  at: { type: Date, default: Date.now },
+  prediction: Number,
+  reading: { type: mongoose.Schema.Types.ObjectId, ref: 'FloodData' },
+  notified: { type: Boolean, default: false },
+  recipients: Number,
+  // Responder who made the change, for workflow events
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  note: String
+}, { _id: false });
+
+const noteSchema = new mongoose.Schema({
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  text: {
+    type: String,
+    required: [true, 'Note text is required'],
+    trim: true,
+    maxlength: [2000, 'Note cannot exceed 2000 characters']
+  },
+  at: { type: Date, default: Date.now }
+});
+
+const alertSchema = new mongoose.Schema({
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MonitoringStation',
+    required: true
+  },
+  // active while the flood risk persists, closed after the all-clear
+  state: {
+    type: String,
+    enum: ALERT_STATES,
+    default: 'active'
+  },
+  level: { type: String, enum: ALERT_LEVELS, required: true },
+  peakLevel: { type: String, enum: ALERT_LEVELS, required: true },
+  peakPrediction: Number,
+  openedAt: { type: Date, default: Date.now },
+  closedAt: Date,
+  latestReading: { type: mongoose.Schema.Types.ObjectId, ref: 'FloodData' },
+  lastNotifiedAt: Date,
+  // When risk first dropped back to low; cleared if it rises again
+  lowSince: Date,
+  suppressedCount: { type: Number, default: 0 },
+  // Responder workflow, independent of the risk-driven state above
+  status: {
+    type: String,
+    enum: RESPONSE_STATUSES,
+    default: 'open'
+  },
+  acknowledgedAt: Date,
+  acknowledgedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  assignedAt: Date,
+  resolvedAt: Date,
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Set once secondary contacts have been told nobody acknowledged the alert
+  secondaryNotifiedAt: Date,
+  notes: [noteSchema],
+  transitions: [transitionSchema]
+}, {
+  timestamps: true
+});
+
+// At most one active alert per station
+alertSchema.index({ station: 1 }, { unique: true, partialFilterExpression: { state: 'active' } });
+alertSchema.index({ station: 1, state: 1 });
+alertSchema.index({ openedAt: -1 });
+alertSchema.index({ state: 1, status: 1, openedAt: 1 });
+alertSchema.index({ assignedTo: 1, status: 1 });
+
+const Alert = mongoose.model('Alert', alertSchema);
+Alert.ALERT_LEVELS = ALERT_LEVELS;
+Alert.RESPONSE_STATUSES = RESPONSE_STATUSES;
+Alert.ALERT_STATES = ALERT_STATES;
+Alert.TRANSITION_EVENTS = TRANSITION_EVENTS;
+
+module.exports = Alert;
\ No newline at end of file
@@ -0,0 +1,34 @@
+// models/delivery.js
+const mongoose = require('mongoose');
+
+// One notification sent (or being retried) to one recipient over one channel
+const deliverySchema = new mongoose.Schema({
+  alert: { type: mongoose.Schema.Types.ObjectId, ref: 'Alert', index: true },
+  event: String,
+  // Empty for partner webhooks, which aren't tied to a user
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  channel: { type: String, required: true },
+  target: mongoose.Schema.Types.Mixed,
+  message: {
+    title: String,
+    body: String,
+    data: mongoose.Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'retrying', 'failed'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  lastError: String,
+  nextAttemptAt: Date,
+  sentAt: Date,
+  providerMessageId: String
+}, {
+  timestamps: true
+});
+
+deliverySchema.index({ status: 1, nextAttemptAt: 1 });
+deliverySchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Delivery', deliverySchema);
\ No newline at end of file
@@ -0,0 +1,57 @@
+// models/device.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const deviceSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: [true, 'Device ID is required'],
+    unique: true,
+    trim: true,
+    maxlength: [64, 'Device ID cannot exceed 64 characters']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters']
+  },
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MonitoringStation',
+    required: [true, 'Station is required']
+  },
+  type: {
+    type: String,
+    enum: ['river_gauge', 'rain_gauge', 'soil_probe', 'multi'],
+    default: 'multi'
+  },
+  apiKeyHash: {
+    type: String,
+    select: false // Never return the key hash by default
+  },
+  apiKeyPrefix: String,
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastSeenAt: Date,
+  lastBattery: Number
+}, {
+  timestamps: true
+});
+
+deviceSchema.index({ apiKeyHash: 1 }, { unique: true, sparse: true });
+
+deviceSchema.statics.hashApiKey = function(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+};
+
+// Issue a new API key; only the hash is stored, the plain key is returned once
+deviceSchema.methods.generateApiKey = function() {
+  const apiKey = `fgd_${crypto.randomBytes(24).toString('hex')}`;
+  this.apiKeyHash = this.constructor.hashApiKey(apiKey);
+  this.apiKeyPrefix = apiKey.slice(0, 12);
+  return apiKey;
+};
+
+module.exports = mongoose.model('Device', deviceSchema);
\ No newline at end of file
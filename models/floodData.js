@@ -0,0 +1,107 @@
+// models/floodData.js
+const mongoose = require('mongoose');
+
+const QUALITY_FLAG_REASONS = ['range', 'rate', 'stale', 'fallback'];
+
+// Set by dataQualityService. Metric values on the record are the ones used for
+// the prediction; when a flagged value was replaced, the original is in flags
+const qualitySchema = new mongoose.Schema({
+  status: { type: String, enum: ['ok', 'degraded', 'suspect'], default: 'ok' },
+  flags: [{
+    _id: false,
+    metric: String,
+    reason: { type: String, enum: QUALITY_FLAG_REASONS },
+    value: Number,
+    detail: String
+  }],
+  substitutions: [{
+    _id: false,
+    metric: String,
+    value: Number,
+    observedAt: Date,
+    ageMinutes: Number
+  }],
+  // Weight (0-1) each input carried in the prediction
+  weights: {
+    rainfall: Number,
+    waterLevel: Number,
+    soilMoisture: Number
+  }
+}, { _id: false });
+
+const EXPLANATION_METHODS = ['points', 'shapley'];
+
+// Set by explanationService: why the prediction came out as it did. baseline
+// plus every contribution's points equals the prediction. Values are the
+// inputs as the model saw them, after quality weighting.
+const explanationSchema = new mongoose.Schema({
+  method: { type: String, enum: EXPLANATION_METHODS },
+  baseline: Number,
+  contributions: [{
+    _id: false,
+    feature: String,
+    value: Number,
+    points: Number
+  }],
+  summary: String
+}, { _id: false });
+
+// Predictions made alongside the active model for comparison; never used
+// for riskLevel or alerts. candidate is set while a model runs in shadow.
+const shadowSchema = new mongoose.Schema({
+  candidate: {
+    version: String,
+    prediction: Number,
+    riskLevel: String
+  },
+  fallback: {
+    prediction: Number,
+    riskLevel: String
+  }
+}, { _id: false });
+
+const floodSchema = new mongoose.Schema({
+  timestamp: { type: Date, default: Date.now },
+  station: { type: mongoose.Schema.Types.ObjectId, ref: 'MonitoringStation', index: true },
+  lat: Number,
+  lng: Number,
+  rainfall: Number,
+  waterLevel: Number,
+  soilMoisture: Number,
+  prediction: Number,
+  riskLevel: String,
+  // Registry version of the model that made the prediction, or 'fallback'
+  modelVersion: String,
+  explanation: explanationSchema,
+  sentAlert: { type: Boolean, default: false },
+  dataSource: {
+    rainfall: String,
+    waterLevel: String,
+    soilMoisture: String
+  },
+  // Rainfall before this reading (mm), from antecedentService
+  antecedent: {
+    rain6h: Number,
+    rain24h: Number,
+    rain72h: Number,
+    rain7d: Number,
+    api: Number,
+    coverage: Number
+  },
+  quality: qualitySchema,
+  // Internal to model comparison: only returned when selected with +shadow
+  shadow: { type: shadowSchema, select: false }
+});
+
+floodSchema.index({ station: 1, timestamp: -1 });
+floodSchema.index({ timestamp: -1 });
+floodSchema.index(
+  { 'shadow.candidate.version': 1, timestamp: -1 },
+  { partialFilterExpression: { 'shadow.candidate.version': { $exists: true } } }
+);
+
+const FloodData = mongoose.model('FloodData', floodSchema);
+FloodData.QUALITY_FLAG_REASONS = QUALITY_FLAG_REASONS;
+FloodData.EXPLANATION_METHODS = EXPLANATION_METHODS;
+
+module.exports = FloodData;
\ No newline at end of file
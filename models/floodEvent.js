@@ -0,0 +1,94 @@
+// models/floodEvent.js
+// An observed flood at a station: the ground truth that readings and
+// predictions are labelled and scored against. Events come from field reports
+// (pending until an admin confirms or rejects them) or from imports.
+const mongoose = require('mongoose');
+
+const SEVERITIES = ['minor', 'moderate', 'major'];
+const EVENT_STATUSES = ['pending', 'confirmed', 'rejected'];
+// Risk tier a prediction should have reached ahead of a flood of each severity
+const SEVERITY_TIER = { minor: 'medium', moderate: 'high', major: 'high' };
+
+const floodEventSchema = new mongoose.Schema({
+  // Set when the event is confirmed, to the given or nearest station
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MonitoringStation',
+    required: function() { return this.status === 'confirmed'; }
+  },
+  distanceKm: Number,
+  startedAt: { type: Date, required: true },
+  // Open-ended events are treated as lasting EVENT_DEFAULT_HOURS when labelling
+  endedAt: Date,
+  severity: { type: String, enum: SEVERITIES, required: true },
+  // Only confirmed events are used for training and evaluation
+  status: { type: String, enum: EVENT_STATUSES, default: 'confirmed' },
+  source: { type: String, enum: ['report', 'import', 'sensor'], default: 'import' },
+  description: { type: String, trim: true, maxlength: 2000 },
+  // Where the flooding was observed
+  lat: { type: Number, min: -90, max: 90 },
+  lng: { type: Number, min: -180, max: 180 },
+  location: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], default: undefined }
+  },
+  // Water depth in metres at the observation point
+  depth: { type: Number, min: 0, max: 20 },
+  // Photos are stored elsewhere; only their metadata is kept here
+  photos: {
+    type: [{
+      _id: false,
+      url: { type: String, required: true, trim: true, maxlength: 2000 },
+      caption: { type: String, trim: true, maxlength: 500 },
+      takenAt: Date,
+      contentType: { type: String, trim: true },
+      sizeBytes: { type: Number, min: 0 },
+      width: Number,
+      height: Number
+    }],
+    validate: [photos => photos.length <= 10, 'At most 10 photos per report']
+  },
+  reportedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  review: {
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: Date,
+    note: { type: String, trim: true, maxlength: 2000 }
+  },
+  // Station readings from the label horizon before the flood started
+  predictions: [{
+    _id: false,
+    reading: { type: mongoose.Schema.Types.ObjectId, ref: 'FloodData' },
+    timestamp: Date,
+    prediction: Number,
+    riskLevel: String
+  }],
+  // hit: a prediction beforehand reached the tier this severity calls for
+  outcome: {
+    hit: Boolean,
+    maxPrediction: Number,
+    maxRiskLevel: String,
+    firstWarningAt: Date,
+    leadTimeHours: Number
+  }
+}, {
+  timestamps: true
+});
+
+floodEventSchema.index({ station: 1, startedAt: -1 });
+floodEventSchema.index({ status: 1, startedAt: -1 });
+floodEventSchema.index({ reportedBy: 1, createdAt: -1 });
+
+// Keep GeoJSON location in sync with lat/lng
+floodEventSchema.pre('validate', function(next) {
+  if (typeof this.lat === 'number' && typeof this.lng === 'number') {
+    this.location = { type: 'Point', coordinates: [this.lng, this.lat] };
+  }
+  next();
+});
+
+const FloodEvent = mongoose.model('FloodEvent', floodEventSchema);
+FloodEvent.SEVERITIES = SEVERITIES;
+FloodEvent.EVENT_STATUSES = EVENT_STATUSES;
+FloodEvent.SEVERITY_TIER = SEVERITY_TIER;
+
+module.exports = FloodEvent;
\ No newline at end of file
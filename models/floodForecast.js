@@ -0,0 +1,58 @@
+// models/floodForecast.js
+// One forecast run for a station: predicted risk at each 3-hour forecast step,
+// a summary per horizon (next 3h, 6h, ...) and when risk is expected to peak.
+const mongoose = require('mongoose');
+
+const stepSchema = new mongoose.Schema({
+  validAt: Date,
+  horizonHours: Number,
+  // mm forecast for the 3h ending at validAt, and its probability (0-1)
+  rainfall: Number,
+  pop: Number,
+  // Expected rain (rainfall x pop) accumulated since the forecast was issued
+  accumulation: Number,
+  soilMoisture: Number,
+  // Projected antecedent rainfall (mm) and index
+  rain24h: Number,
+  api: Number,
+  prediction: Number,
+  riskLevel: String
+}, { _id: false });
+
+const horizonSchema = new mongoose.Schema({
+  hours: Number,
+  // Highest predicted risk at any step within the horizon
+  prediction: Number,
+  riskLevel: String,
+  accumulation: Number,
+  maxPop: Number
+}, { _id: false });
+
+const floodForecastSchema = new mongoose.Schema({
+  station: { type: mongoose.Schema.Types.ObjectId, ref: 'MonitoringStation', required: true },
+  issuedAt: { type: Date, default: Date.now },
+  source: String,
+  // Current conditions the forecast starts from
+  baseline: {
+    reading: { type: mongoose.Schema.Types.ObjectId, ref: 'FloodData' },
+    waterLevel: Number,
+    soilMoisture: Number,
+    rain24h: Number,
+    api: Number
+  },
+  steps: [stepSchema],
+  horizons: [horizonSchema],
+  peak: {
+    validAt: Date,
+    horizonHours: Number,
+    prediction: Number,
+    riskLevel: String
+  },
+  expiresAt: { type: Date, required: true }
+});
+
+floodForecastSchema.index({ station: 1, issuedAt: -1 });
+// Let MongoDB purge old forecast runs
+floodForecastSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('FloodForecast', floodForecastSchema);
\ No newline at end of file
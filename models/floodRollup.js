@@ -0,0 +1,50 @@
+// models/floodRollup.js
+// Hourly and daily summaries of FloodData, kept after raw readings expire.
+// Both collections share one schema; each bucket holds one station's readings
+// for the hour or day starting at `bucket` (UTC).
+const mongoose = require('mongoose');
+
+// min/max/sum over the readings that had a value (n of them); avg = sum / n
+const metricSchema = new mongoose.Schema({
+  min: Number,
+  max: Number,
+  sum: Number,
+  n: Number,
+  avg: Number
+}, { _id: false });
+
+const rollupSchema = new mongoose.Schema({
+  station: { type: mongoose.Schema.Types.ObjectId, ref: 'MonitoringStation', required: true },
+  bucket: { type: Date, required: true },
+  count: { type: Number, default: 0 },
+  risk: {
+    high: { type: Number, default: 0 },
+    medium: { type: Number, default: 0 },
+    low: { type: Number, default: 0 }
+  },
+  alertsSent: { type: Number, default: 0 },
+  // Readings where at least one metric came from the fallback value
+  fallbackReadings: { type: Number, default: 0 },
+  rainfall: metricSchema,
+  waterLevel: metricSchema,
+  soilMoisture: metricSchema,
+  prediction: metricSchema,
+  // Hourly buckets only: the retention run boundary (an ObjectId) the bucket
+  // was last compacted up to. Readings with a lower _id are already counted.
+  compactedBefore: mongoose.Schema.Types.ObjectId
+}, {
+  versionKey: false
+});
+
+// $merge upserts on { station, bucket }, which requires this unique index
+rollupSchema.index({ station: 1, bucket: 1 }, { unique: true });
+rollupSchema.index({ bucket: -1 });
+
+const HourlyRollup = mongoose.model('FloodDataHourly', rollupSchema, 'flooddata_hourly');
+const DailyRollup = mongoose.model('FloodDataDaily', rollupSchema, 'flooddata_daily');
+
+module.exports = {
+  METRICS: ['rainfall', 'waterLevel', 'soilMoisture', 'prediction'],
+  HourlyRollup,
+  DailyRollup
+};
\ No newline at end of file
@@ -0,0 +1,75 @@
+// models/monitoringStation.js
+const mongoose = require('mongoose');
+
+const monitoringStationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Station name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Station name cannot exceed 100 characters']
+  },
+  lat: {
+    type: Number,
+    required: [true, 'Latitude is required'],
+    min: [-90, 'Latitude must be between -90 and 90'],
+    max: [90, 'Latitude must be between -90 and 90']
+  },
+  lng: {
+    type: Number,
+    required: [true, 'Longitude is required'],
+    min: [-180, 'Longitude must be between -180 and 180'],
+    max: [180, 'Longitude must be between -180 and 180']
+  },
+  // GeoJSON mirror of lat/lng, kept in sync automatically for geo queries
+  location: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], default: undefined }
+  },
+  riverGaugeId: {
+    type: String,
+    trim: true
+  },
+  region: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Region cannot exceed 100 characters']
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Optional per-station provider priority, overrides the global PROVIDERS_* order
+  providers: {
+    rainfall: { type: [String], default: undefined },
+    waterLevel: { type: [String], default: undefined },
+    soilMoisture: { type: [String], default: undefined }
+  },
+  // Secondary contacts told when an alert here goes unacknowledged;
+  // falls back to ALERT_ESCALATION_CONTACTS when empty. Left out of queries
+  // unless selected with +escalationContacts.
+  escalationContacts: {
+    type: [{
+      _id: false,
+      name: { type: String, trim: true },
+      channel: { type: String, enum: ['sms', 'voice', 'email', 'webhook'], required: true },
+      target: { type: String, required: true, trim: true }
+    }],
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+monitoringStationSchema.index({ location: '2dsphere' });
+monitoringStationSchema.index({ active: 1, region: 1 });
+
+// Keep GeoJSON location in sync with lat/lng
+monitoringStationSchema.pre('validate', function(next) {
+  if (typeof this.lat === 'number' && typeof this.lng === 'number') {
+    this.location = { type: 'Point', coordinates: [this.lng, this.lat] };
+  }
+  next();
+});
+
+module.exports = mongoose.model('MonitoringStation', monitoringStationSchema);
\ No newline at end of file
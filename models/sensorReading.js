@@ -0,0 +1,23 @@
+// models/sensorReading.js
+const mongoose = require('mongoose');
+
+const sensorReadingSchema = new mongoose.Schema({
+  timestamp: { type: Date, required: true },
+  receivedAt: { type: Date, default: Date.now },
+  device: { type: mongoose.Schema.Types.ObjectId, ref: 'Device' },
+  station: { type: mongoose.Schema.Types.ObjectId, ref: 'MonitoringStation', required: true },
+  // Values are stored in canonical units: metres, millimetres, 0-1 fraction, percent
+  waterLevel: Number,
+  rainfall: Number,
+  soilMoisture: Number,
+  battery: Number,
+  transport: { type: String, enum: ['http', 'mqtt'], default: 'http' }
+});
+
+sensorReadingSchema.index({ station: 1, timestamp: -1 });
+sensorReadingSchema.index({ device: 1, timestamp: -1 });
+// One reading per device (or per station, for readings without a device) and
+// timestamp; resent readings and separate per-metric MQTT messages merge into it
+sensorReadingSchema.index({ station: 1, device: 1, timestamp: 1 }, { unique: true });
+
+module.exports = mongoose.model('SensorReading', sensorReadingSchema);
\ No newline at end of file
@@ -0,0 +1,87 @@
+// models/subscription.js
+const mongoose = require('mongoose');
+
+const RISK_LEVELS = ['low', 'medium', 'high'];
+const CIRCLE_SEGMENTS = 32;
+const EARTH_RADIUS_M = 6371008.8;
+
+// Approximate a circle as a closed GeoJSON polygon ring so it can live in a
+// 2dsphere index alongside user-drawn polygons
+function circleToPolygon(lng, lat, radiusMeters) {
+  const ring = [];
+  const angular = radiusMeters / EARTH_RADIUS_M;
+  const latRad = lat * Math.PI / 180;
+  const lngRad = lng * Math.PI / 180;
+
+  for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
+    const bearing = (2 * Math.PI * i) / CIRCLE_SEGMENTS;
+    const pLat = Math.asin(
+      Math.sin(latRad) * Math.cos(angular) +
+      Math.cos(latRad) * Math.sin(angular) * Math.cos(bearing)
+    );
+    const pLng = lngRad + Math.atan2(
+      Math.sin(bearing) * Math.sin(angular) * Math.cos(latRad),
+      Math.cos(angular) - Math.sin(latRad) * Math.sin(pLat)
+    );
+    ring.push([pLng * 180 / Math.PI, pLat * 180 / Math.PI]);
+  }
+  ring.push(ring[0]);
+
+  return { type: 'Polygon', coordinates: [ring] };
+}
+
+const subscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Subscription name cannot exceed 100 characters']
+  },
+  // Circle subscriptions keep their centre and radius; area is derived from them
+  center: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined }
+  },
+  radiusMeters: {
+    type: Number,
+    min: [100, 'Radius must be at least 100 m'],
+    max: [200000, 'Radius cannot exceed 200 km']
+  },
+  area: {
+    type: { type: String, enum: ['Polygon'], required: true },
+    coordinates: { type: [[[Number]]], required: true }
+  },
+  minRiskLevel: {
+    type: String,
+    enum: { values: RISK_LEVELS, message: 'Risk level must be one of: ' + RISK_LEVELS.join(', ') },
+    default: 'medium'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ area: '2dsphere' });
+
+// Rebuild the polygon whenever a circle subscription changes
+subscriptionSchema.pre('validate', function(next) {
+  if (this.center && this.center.coordinates && this.center.coordinates.length === 2 && this.radiusMeters) {
+    const [lng, lat] = this.center.coordinates;
+    this.area = circleToPolygon(lng, lat, this.radiusMeters);
+  }
+  next();
+});
+
+const Subscription = mongoose.model('Subscription', subscriptionSchema);
+Subscription.RISK_LEVELS = RISK_LEVELS;
+Subscription.circleToPolygon = circleToPolygon;
+
+module.exports = Subscription;
\ No newline at end of file
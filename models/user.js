@@ -2,6 +2,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const ROLES = ['citizen', 'responder', 'analyst', 'admin'];
+const NOTIFICATION_CHANNELS = ['push', 'sms', 'email', 'voice', 'webhook'];
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -35,6 +38,47 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Last name cannot exceed 50 characters']
   },
+  role: {
+    type: String,
+    enum: { values: ROLES, message: 'Role must be one of: ' + ROLES.join(', ') },
+    default: 'citizen'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  // Firebase Cloud Messaging registration tokens, one per app install
+  fcmTokens: [{
+    _id: false,
+    token: { type: String, required: true },
+    platform: { type: String, enum: ['android', 'ios', 'web'], default: 'android' },
+    addedAt: { type: Date, default: Date.now }
+  }],
+  // How the user wants to receive flood alerts
+  notificationPreferences: {
+    channels: {
+      type: [{ type: String, enum: { values: NOTIFICATION_CHANNELS, message: 'Channel must be one of: ' + NOTIFICATION_CHANNELS.join(', ') } }],
+      default: ['push']
+    },
+    phone: {
+      type: String,
+      match: [/^\+[1-9]\d{6,14}$/, 'Phone number must be in international format, e.g. +2348012345678']
+    },
+    webhookUrl: {
+      type: String,
+      match: [/^https?:\/\/\S+$/, 'Webhook URL must start with http:// or https://']
+    }
+  },
+  // Incremented to invalidate every access token issued so far
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -71,4 +115,8 @@ userSchema.pre('save', function(next) {
   next();
 });
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+const User = mongoose.model('User', userSchema);
+User.ROLES = ROLES;
+User.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
+
+module.exports = User;
\ No newline at end of file
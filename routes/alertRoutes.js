@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAlerts,
+  getAlert,
+  getAlertHistory,
+  getAlertDeliveries,
+  getCapFeed,
+  getAtomFeed,
+  getAlertCap,
+  acknowledgeAlert,
+  assignAlert,
+  updateAlertStatus,
+  addAlertNote
+} = require('../controllers/alertController');
+const { protect, identify, requirePermission } = require('../middleware/authMiddleware');
+
+const respond = [protect, requirePermission('alerts:acknowledge')];
+
+router.get('/', identify, getAlerts);
+router.get('/cap', getCapFeed);
+router.get('/feed.atom', getAtomFeed);
+router.get('/:id', identify, getAlert);
+router.get('/:id/cap', getAlertCap);
+router.get('/:id/history', identify, getAlertHistory);
+router.get('/:id/deliveries', protect, requirePermission('deliveries:view'), getAlertDeliveries);
+router.post('/:id/acknowledge', respond, acknowledgeAlert);
+router.post('/:id/assign', respond, assignAlert);
+router.patch('/:id/status', respond, updateAlertStatus);
+router.post('/:id/notes', respond, addAlertNote);
+
+module.exports = router;
\ No newline at end of file
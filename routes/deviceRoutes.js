@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getDevices,
+  getDevice,
+  createDevice,
+  updateDevice,
+  rotateDeviceKey,
+  deleteDevice
+} = require('../controllers/deviceController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+
+const manage = [protect, requirePermission('devices:manage')];
+
+router.route('/')
+  .get(manage, getDevices)
+  .post(manage, createDevice);
+
+router.route('/:id')
+  .get(manage, getDevice)
+  .put(manage, updateDevice)
+  .delete(manage, deleteDevice);
+
+router.post('/:id/rotate-key', manage, rotateDeviceKey);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { exportReadings, exportAlerts } = require('../controllers/exportController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+
+const canExport = [protect, requirePermission('data:export')];
+
+router.get('/readings', canExport, exportReadings);
+router.get('/alerts', canExport, exportAlerts);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  reportFloodEvent,
+  getFloodEvents,
+  getMyFloodEvents,
+  getFloodEventStats,
+  getFloodEvent,
+  confirmFloodEvent,
+  rejectFloodEvent
+} = require('../controllers/floodEventController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+
+const view = [protect, requirePermission('events:view')];
+const review = [protect, requirePermission('events:review')];
+
+// Verified users may report too; the controller checks that
+router.post('/', protect, reportFloodEvent);
+router.get('/', view, getFloodEvents);
+router.get('/mine', protect, getMyFloodEvents);
+router.get('/stats', view, getFloodEventStats);
+router.get('/:id', protect, getFloodEvent);
+router.post('/:id/confirm', review, confirmFloodEvent);
+router.post('/:id/reject', review, rejectFloodEvent);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { getForecasts, runForecast } = require('../controllers/forecastController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+
+router.get('/', getForecasts);
+router.post('/run', protect, requirePermission('ingestion:trigger'), runForecast);
+
+module.exports = router;
\ No newline at end of file
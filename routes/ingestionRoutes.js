@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { triggerIngestion } = require('../controllers/ingestionController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+
+router.post('/', protect, requirePermission('ingestion:trigger'), triggerIngestion);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getModels,
+  getModelHistory,
+  getModel,
+  promote,
+  rollback,
+  reload,
+  shadow,
+  stopShadowModel,
+  getShadowReport
+} = require('../controllers/modelController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+
+const view = [protect, requirePermission('models:view')];
+const manage = [protect, requirePermission('models:manage')];
+
+router.get('/', view, getModels);
+router.get('/history', view, getModelHistory);
+router.post('/rollback', manage, rollback);
+router.post('/reload', manage, reload);
+router.get('/shadow/report', manage, getShadowReport);
+router.delete('/shadow', manage, stopShadowModel);
+router.get('/:version', view, getModel);
+router.post('/:version/promote', manage, promote);
+router.post('/:version/shadow', manage, shadow);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { getProviders, getProviderHealth } = require('../controllers/providerController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+
+router.get('/', protect, requirePermission('providers:view'), getProviders);
+router.get('/health', protect, requirePermission('providers:view'), getProviderHealth);
+
+module.exports = router;
\ No newline at end of file
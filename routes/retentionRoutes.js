@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { getRetentionStatus, runRetentionJob } = require('../controllers/retentionController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+
+const manage = [protect, requirePermission('retention:manage')];
+
+router.get('/', manage, getRetentionStatus);
+router.post('/run', manage, runRetentionJob);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { submitReadings, getReadings } = require('../controllers/sensorController');
+const { protect, protectDevice, requirePermission } = require('../middleware/authMiddleware');
+
+router.route('/readings')
+  .post(protectDevice, submitReadings)
+  .get(protect, requirePermission('sensors:read'), getReadings);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getStations,
+  getStation,
+  createStation,
+  updateStation,
+  deleteStation
+} = require('../controllers/stationController');
+const { protect, identify, requirePermission } = require('../middleware/authMiddleware');
+
+const manage = [protect, requirePermission('stations:manage')];
+
+router.route('/')
+  .get(identify, getStations)
+  .post(manage, createStation);
+
+router.route('/:id')
+  .get(identify, getStation)
+  .put(manage, updateStation)
+  .delete(manage, deleteStation);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription
+} = require('../controllers/subscriptionController');
+const { protect } = require('../middleware/authMiddleware');
+
+router.route('/')
+  .get(protect, getSubscriptions)
+  .post(protect, createSubscription);
+
+router.route('/:id')
+  .get(protect, getSubscription)
+  .put(protect, updateSubscription)
+  .delete(protect, deleteSubscription);
+
+module.exports = router;
\ No newline at end of file
@@ -3,26 +3,58 @@ const router = express.Router();
 const { 
   registerUser, 
   loginUser, 
+  refreshTokens,
+  logoutUser,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   getUserProfile, 
   updateUserProfile,
+  registerPushToken,
+  removePushToken,
+  getNotificationPreferences,
+  updateNotificationPreferences,
   getUsers,
+  getUserById,
+  updateUserStatus,
+  updateUserRole,
   deleteUser 
 } = require('../controllers/userController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
 
 // Public routes
 router.post('/register', registerUser);
 router.post('/login', loginUser);
+router.post('/refresh', refreshTokens);
+router.post('/logout', logoutUser);
+router.route('/verify-email')
+  .get(verifyEmail)
+  .post(verifyEmail);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
 
 // Protected routes
 router.route('/profile')
   .get(protect, getUserProfile)
   .put(protect, updateUserProfile);
 
+router.post('/resend-verification', protect, resendVerification);
+router.post('/push-tokens', protect, registerPushToken);
+router.delete('/push-tokens/:token', protect, removePushToken);
+router.route('/notification-preferences')
+  .get(protect, getNotificationPreferences)
+  .put(protect, updateNotificationPreferences);
+
+// Admin routes
 router.route('/')
-  .get(protect, getUsers);
+  .get(protect, requirePermission('users:manage'), getUsers);
+
+router.patch('/:id/status', protect, requirePermission('users:manage'), updateUserStatus);
+router.patch('/:id/role', protect, requirePermission('users:manage'), updateUserRole);
 
 router.route('/:id')
+  .get(protect, requirePermission('users:manage'), getUserById)
   .delete(protect, deleteUser);
 
 module.exports = router;
\ No newline at end of file
@@ -1,13 +1,11 @@
 // server.js
 require('dotenv').config();
+require('./services/tokenService').assertSecureJwtSecret();
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const mongoose = require('mongoose');
-const axios = require('axios');
 const cron = require('node-cron');
-const admin = require('firebase-admin');
-const path = require('path');
 
 // ======================
 // 1. Initialize App
@@ -25,388 +23,174 @@ app.use(express.json());
 // 2. MongoDB Connection
 // ======================
 mongoose.connect(process.env.MONGO_URI)
-  .then(() => console.log('✓ MongoDB Connected'))
+  .then(() => {
+    console.log('✓ MongoDB Connected');
+    return ensureDefaultStation();
+  })
   .catch(err => {
     console.error('✗ MongoDB Error:', err.message);
     process.exit(1);
   });
 
 // ======================
-// 3. User Routes Import
+// 3. Routes Import
 // ======================
 const userRoutes = require('./routes/userRoutes');
+const stationRoutes = require('./routes/stationRoutes');
+const ingestionRoutes = require('./routes/ingestionRoutes');
+const providerRoutes = require('./routes/providerRoutes');
+const deviceRoutes = require('./routes/deviceRoutes');
+const sensorRoutes = require('./routes/sensorRoutes');
+const subscriptionRoutes = require('./routes/subscriptionRoutes');
+const alertRoutes = require('./routes/alertRoutes');
+const exportRoutes = require('./routes/exportRoutes');
+const retentionRoutes = require('./routes/retentionRoutes');
+const forecastRoutes = require('./routes/forecastRoutes');
+const floodEventRoutes = require('./routes/floodEventRoutes');
+const modelRoutes = require('./routes/modelRoutes');
 app.use('/api/users', userRoutes);
+app.use('/api/stations', stationRoutes);
+app.use('/api/trigger', ingestionRoutes);
+app.use('/api/providers', providerRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/sensors', sensorRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/retention', retentionRoutes);
+app.use('/api/forecast', forecastRoutes);
+app.use('/api/flood-events', floodEventRoutes);
+app.use('/api/models', modelRoutes);
 
 // ======================
-// 4. Flood Data Schema (Existing)
+// 4. Models
 // ======================
-const floodSchema = new mongoose.Schema({
-  timestamp: { type: Date, default: Date.now },
-  lat: Number,
-  lng: Number,
-  rainfall: Number,
-  waterLevel: Number,
-  soilMoisture: Number,
-  prediction: Number,
-  riskLevel: String,
-  sentAlert: { type: Boolean, default: false },
-  dataSource: {
-    rainfall: String,
-    waterLevel: String,
-    soilMoisture: String
-  }
-});
-
-const FloodData = mongoose.model('FloodData', floodSchema);
-
-// ======================
-// 5. Firebase Admin (Production-ready)
-// ======================
-let firebaseInitialized = false;
-try {
-  let serviceAccount;
-  
-  if (process.env.FIREBASE_CONFIG_BASE64) {
-    // Method B: Base64 encoded
-    const decoded = Buffer.from(process.env.FIREBASE_CONFIG_BASE64, 'base64').toString('utf8');
-    serviceAccount = JSON.parse(decoded);
-  } else if (process.env.FIREBASE_CONFIG) {
-    // Method A: Direct JSON
-    serviceAccount = JSON.parse(process.env.FIREBASE_CONFIG);
-  } else {
-    // Development: Load from file
-    serviceAccount = require('./firebase-service-account.json');
-  }
-  
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount)
+const FloodData = require('./models/floodData');
+const MonitoringStation = require('./models/monitoringStation');
+
+// Seed the original Lagos station so a fresh database keeps ingesting
+async function ensureDefaultStation() {
+  const count = await MonitoringStation.countDocuments();
+  if (count > 0) return;
+
+  await MonitoringStation.create({
+    name: 'Lagos',
+    lat: 6.45,
+    lng: 3.39,
+    riverGaugeId: '01646500',
+    region: 'Lagos'
   });
-  firebaseInitialized = true;
-  console.log('✓ Firebase Admin Initialized');
-} catch (err) {
-  console.warn('⚠ Firebase not initialized:', err.message);
-}
-
-// ======================
-// 6. AI MODEL LOADING (Fixed)
-// ======================
-let model = null;
-let modelLoadAttempted = false;
-let usingFallback = false;
-
-async function loadModel() {
-  if (model) return model;
-  if (modelLoadAttempted) return null;
-  
-  modelLoadAttempted = true;
-  
-  try {
-    let tf;
-    
-    // Try browser-compatible version first
-    try {
-      tf = require('@tensorflow/tfjs');
-      require('@tensorflow/tfjs-backend-cpu');
-      await tf.ready();
-      console.log('Using TensorFlow.js (CPU backend)');
-    } catch (e1) {
-      // Fallback to Node version
-      try {
-        tf = require('@tensorflow/tfjs-node');
-        console.log('Using TensorFlow.js (Node backend)');
-      } catch (e2) {
-        throw new Error('TensorFlow.js not installed');
-      }
-    }
-    
-    const fs = require('fs');
-    const modelPath = path.join(__dirname, 'ai-model', 'model.json');
-    
-    if (!fs.existsSync(modelPath)) {
-      console.warn('⚠ Model file not found at:', modelPath);
-      console.log('→ Using enhanced fallback prediction algorithm');
-      usingFallback = true;
-      return null;
-    }
-    
-    // Custom load handler for browser TensorFlow.js
-    class NodeFileSystem {
-      constructor(path) {
-        this.path = path;
-      }
-
-      async load() {
-        const modelPath = this.path;
-        const weightsPath = modelPath.replace('model.json', 'weights.bin');
-        
-        // Load model JSON
-        const modelJSON = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
-        
-        // Load weights
-        const weightsBuffer = fs.readFileSync(weightsPath);
-        const weightData = new Uint8Array(weightsBuffer).buffer;
-        
-        return {
-          modelTopology: modelJSON.modelTopology,
-          weightSpecs: modelJSON.weightsManifest[0].weights,
-          weightData: weightData,
-          format: modelJSON.format,
-          generatedBy: modelJSON.generatedBy,
-          convertedBy: modelJSON.convertedBy
-        };
-      }
-    }
-
-    const loadHandler = new NodeFileSystem(modelPath);
-    model = await tf.loadLayersModel(loadHandler);
-    console.log('✓ AI Model Loaded Successfully');
-    return model;
-    
-  } catch (err) {
-    console.warn('⚠ AI Model loading failed:', err.message);
-    console.log('→ Using enhanced fallback prediction algorithm');
-    usingFallback = true;
-    return null;
-  }
+  console.log('✓ Default monitoring station created (Lagos)');
 }
 
-// Enhanced fallback algorithm
-function calculateRiskFallback(rainfall, waterLevel, soilMoisture) {
-  let risk = 0;
-  
-  // Rainfall contribution (max 45 points)
-  if (rainfall > 50) risk += 45;
-  else if (rainfall > 30) risk += 38;
-  else if (rainfall > 20) risk += 28;
-  else if (rainfall > 10) risk += 18;
-  else if (rainfall > 5) risk += 10;
-  else risk += rainfall;
-  
-  // Water level contribution (max 35 points)
-  if (waterLevel > 5) risk += 35;
-  else if (waterLevel > 4) risk += 28;
-  else if (waterLevel > 3) risk += 20;
-  else if (waterLevel > 2.5) risk += 12;
-  else if (waterLevel > 2) risk += 5;
-  
-  // Soil moisture contribution (max 20 points)
-  if (soilMoisture > 0.9) risk += 20;
-  else if (soilMoisture > 0.8) risk += 16;
-  else if (soilMoisture > 0.7) risk += 12;
-  else if (soilMoisture > 0.6) risk += 8;
-  else if (soilMoisture > 0.5) risk += 4;
-  
-  // Combined risk multiplier
-  if (rainfall > 20 && waterLevel > 3 && soilMoisture > 0.7) {
-    risk = Math.min(risk * 1.3, 100);
-  }
-  
-  return Math.min(Math.round(risk), 100);
-}
-
-async function predictFloodRisk(rainfall, waterLevel, soilMoisture) {
-  const loadedModel = await loadModel();
-  
-  if (!loadedModel) {
-    return calculateRiskFallback(rainfall, waterLevel, soilMoisture);
-  }
-
-  try {
-    let tf;
-    
-    // Get TensorFlow instance - try both versions
-    try {
-      tf = require('@tensorflow/tfjs');
-      require('@tensorflow/tfjs-backend-cpu');
-      await tf.ready();
-    } catch (e1) {
-      try {
-        tf = require('@tensorflow/tfjs-node');
-      } catch (e2) {
-        console.warn('TensorFlow not available, using fallback');
-        return calculateRiskFallback(rainfall, waterLevel, soilMoisture);
-      }
-    }
-    
-    // Normalize inputs
-    const input = tf.tensor2d([[
-      rainfall / 50,        // Normalize by max expected rainfall
-      soilMoisture,         // Already 0-1
-      waterLevel / 6,       // Normalize by max expected level
-      0.05,                 // Fixed values for consistency
-      0.05
-    ]], [1, 5]);
-
-    const prediction = loadedModel.predict(input);
-    const riskPercent = Math.round(prediction.dataSync()[0] * 100);
-    
-    tf.dispose([input, prediction]);
-    
-    return Math.max(0, Math.min(riskPercent, 100));
-  } catch (err) {
-    console.warn('Model prediction error, using fallback:', err.message);
-    return calculateRiskFallback(rainfall, waterLevel, soilMoisture);
+// Build a FloodData filter from an optional ?station= query parameter
+function stationFilter(req) {
+  const { station } = req.query;
+  if (!station) return {};
+  if (!mongoose.isValidObjectId(station)) {
+    const err = new Error('Invalid station ID');
+    err.status = 400;
+    throw err;
   }
+  return { station };
 }
 
 // ======================
-// 7. Send FCM Alert
+// 5. Services
 // ======================
-async function sendFloodAlert(data) {
-  if (!firebaseInitialized || data.sentAlert) return;
-
-  const message = {
-    notification: {
-      title: `⚠️ Flood Alert: ${data.riskLevel.toUpperCase()} Risk`,
-      body: `${data.prediction}% flood probability detected near ${data.lat.toFixed(2)}, ${data.lng.toFixed(2)}. Rainfall: ${data.rainfall.toFixed(1)}mm`
-    },
-    topic: 'flood_alerts',
-    data: {
-      lat: data.lat.toString(),
-      lng: data.lng.toString(),
-      risk: data.prediction.toString(),
-      level: data.riskLevel
-    }
-  };
-
-  try {
-    await admin.messaging().send(message);
-    console.log('✓ FCM Alert Sent!');
-    data.sentAlert = true;
-    await data.save();
-  } catch (err) {
-    console.error('✗ FCM Send Error:', err.message);
-  }
-}
+const { loadModel, isUsingFallback, getModelInfo } = require('./services/predictionService');
+const { setSocketServer, runIngestionJob } = require('./services/ingestionService');
+const { startMqttBridge } = require('./services/mqttBridge');
+const { retryDueDeliveries } = require('./services/channels');
+const { parseHistoryQuery, findHistory, aggregateHistory } = require('./services/historyService');
+const { parseStatsWindow, getStats } = require('./services/statsService');
+const { runRetention } = require('./services/retentionService');
+const forecast = require('./services/forecastService');
+const alertResponse = require('./services/alertResponseService');
+const { authenticateSocket, hasPermission } = require('./middleware/authMiddleware');
+
+setSocketServer(io);
+alertResponse.setSocketServer(io);
+forecast.setSocketServer(io);
 
 // ======================
-// 8. Data Fetching Functions
+// 6. Main Data Ingestion (Every 10 mins)
 // ======================
-async function fetchRainfallData(lat, lng) {
+cron.schedule('*/10 * * * *', async () => {
   try {
-    const res = await axios.get(
-      `https://api.openweathermap.org/data/2.5/forecast?lat=${lat}&lon=${lng}&appid=${process.env.OWM_KEY}&units=metric`,
-      { timeout: 10000 }
-    );
-    
-    const firstForecast = res.data.list[0];
-    const rainfall = firstForecast.rain?.['3h'] || 0;
-    const pop = (firstForecast.pop * 100).toFixed(1);
-    
-    console.log(`  → Rainfall: ${rainfall.toFixed(2)}mm (3h) | PoP: ${pop}%`);
-    return { value: rainfall, source: 'OpenWeatherMap' };
+    await runIngestionJob({ trigger: 'cron' });
   } catch (err) {
-    console.warn('  ⚠ OpenWeather failed:', err.message);
-    return { value: 0, source: 'fallback' };
+    if (err.status === 409) {
+      console.warn('⚠ Skipping scheduled ingestion, a job is already running');
+      return;
+    }
+    console.error('✗ Data ingestion error:', err.message);
   }
-}
+});
 
-async function fetchWaterLevel() {
-  try {
-    const res = await axios.get(
-      'https://waterservices.usgs.gov/nwis/iv/?format=json&sites=01646500&parameterCd=00065',
-      { timeout: 8000 }
-    );
-    
-    const val = res.data.value?.timeSeries?.[0]?.values?.[0]?.value?.[0]?.value;
-    const waterLevel = val ? parseFloat(val) : 2.1;
-    
-    console.log(`  → Water Level: ${waterLevel.toFixed(2)}m`);
-    return { value: waterLevel, source: 'USGS' };
-  } catch (err) {
-    console.warn('  ⚠ USGS failed, using fallback');
-    return { value: 2.1, source: 'fallback' };
-  }
+// Forward-looking risk from the weather forecast (hourly by default)
+if (process.env.FORECAST_ENABLED !== 'false' && process.env.OWM_KEY) {
+  cron.schedule(process.env.FORECAST_CRON || '5 * * * *', async () => {
+    try {
+      await forecast.runForecastJob({ trigger: 'cron' });
+    } catch (err) {
+      if (err.status === 409) {
+        console.warn('⚠ Skipping scheduled forecast, a job is already running');
+        return;
+      }
+      console.error('✗ Forecast error:', err.message);
+    }
+  });
 }
 
-async function fetchSoilMoisture(lat, lng) {
+// Resend alert notifications that failed and are due for another attempt
+cron.schedule('* * * * *', async () => {
   try {
-    const res = await axios.get(
-      `https://rest.isric.org/soilgrids/v2.0/properties/query?lon=${lng}&lat=${lat}&property=wgssd&depth=0-5cm&value=mean`,
-      { timeout: 10000 }
-    );
-    
-    const mean = res.data.properties.layers[0].depths[0].values.mean;
-    const moisture = mean ? mean / 100 : 0.5;
-    
-    console.log(`  → Soil Moisture: ${(moisture * 100).toFixed(1)}%`);
-    return { value: moisture, source: 'SoilGrids' };
+    const retried = await retryDueDeliveries();
+    if (retried > 0) console.log(`→ Retried ${retried} alert deliveries`);
   } catch (err) {
-    console.warn('  ⚠ SoilGrids failed, using default');
-    return { value: 0.5, source: 'fallback' };
+    console.error('✗ Delivery retry error:', err.message);
   }
-}
-
-// ======================
-// 9. Main Data Ingestion (Every 10 mins)
-// ======================
-cron.schedule('*/10 * * * *', async () => {
-  console.log('\n' + '='.repeat(50));
-  console.log('🔄 Fetching real-time flood data...');
-  console.log('='.repeat(50));
-  
-  const lat = 6.45, lng = 3.39; // Lagos, Nigeria
+});
 
-  try {
-    // Fetch all data sources
-    const [rainfallData, waterLevelData, soilMoistureData] = await Promise.all([
-      fetchRainfallData(lat, lng),
-      fetchWaterLevel(),
-      fetchSoilMoisture(lat, lng)
-    ]);
-
-    // AI Prediction
-    const riskPercent = await predictFloodRisk(
-      rainfallData.value,
-      waterLevelData.value,
-      soilMoistureData.value
-    );
-    
-    const riskLevel = riskPercent < 30 ? 'low' : riskPercent < 70 ? 'medium' : 'high';
-    
-    console.log(`\n📊 PREDICTION: ${riskPercent}% risk (${riskLevel.toUpperCase()})${usingFallback ? ' [Fallback Algorithm]' : ' [AI Model]'}`);
-
-    // Save to DB
-    const newData = new FloodData({
-      lat,
-      lng,
-      rainfall: rainfallData.value,
-      waterLevel: waterLevelData.value,
-      soilMoisture: soilMoistureData.value,
-      prediction: riskPercent,
-      riskLevel,
-      dataSource: {
-        rainfall: rainfallData.source,
-        waterLevel: waterLevelData.source,
-        soilMoisture: soilMoistureData.source
+// Data retention: roll up, archive and remove old readings (daily by default).
+// Off unless RETENTION_ENABLED=true, since a run deletes raw readings.
+if (process.env.RETENTION_ENABLED === 'true') {
+  cron.schedule(process.env.RETENTION_CRON || '15 3 * * *', async () => {
+    try {
+      await runRetention({ dryRun: process.env.RETENTION_DRY_RUN === 'true', trigger: 'cron' });
+    } catch (err) {
+      if (err.status === 409) {
+        console.warn('⚠ Skipping scheduled retention, a run is already in progress');
+        return;
       }
-    });
-    
-    await newData.save();
-    console.log('✓ Data saved to database');
-
-    // Broadcast to connected clients
-    io.emit('floodUpdate', newData.toObject());
-    console.log('✓ Update broadcast to clients');
-
-    // Send alert if medium/high risk
-    if (riskLevel !== 'low') {
-      await sendFloodAlert(newData);
+      console.error('✗ Retention error:', err.message);
     }
-    
-    console.log('='.repeat(50) + '\n');
+  });
+}
 
+// Escalate alerts nobody has acknowledged to secondary contacts
+cron.schedule('* * * * *', async () => {
+  try {
+    await alertResponse.escalateUnacknowledgedAlerts();
   } catch (err) {
-    console.error('✗ Data ingestion error:', err.message);
+    console.error('✗ Alert escalation error:', err.message);
   }
 });
 
 // ======================
-// 10. Socket.io Connection
+// 7. Socket.io Connection
 // ======================
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
   console.log('🔌 Client connected:', socket.id);
 
+  // Responder updates and notes only go to clients allowed to work alerts
+  if (hasPermission(socket.data.user, 'alerts:acknowledge')) {
+    socket.join(alertResponse.RESPONDER_ROOM);
+  }
+
   // Send historical data
   FloodData.find()
     .sort({ timestamp: -1 })
@@ -417,77 +201,98 @@ io.on('connection', (socket) => {
     })
     .catch(err => console.error('Historical data error:', err));
 
+  // Send the latest risk forecast per station
+  forecast.getLatestForecasts()
+    .then(forecasts => socket.emit('forecasts', forecasts))
+    .catch(err => console.error('Forecast data error:', err));
+
+  // Responders can work alerts over the socket as well as REST.
+  // Each event takes a payload and an acknowledgement callback.
+  const respond = (handler) => async (payload = {}, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+    const user = socket.data.user;
+
+    if (!hasPermission(user, 'alerts:acknowledge')) {
+      return reply({ success: false, message: 'Not authorized for this action' });
+    }
+
+    try {
+      reply({ success: true, data: await handler(payload, user) });
+    } catch (err) {
+      const expected = err.status || err.name === 'ValidationError';
+      if (!expected) console.error('Socket alert action error:', err);
+      reply({ success: false, message: expected ? err.message : 'Server error' });
+    }
+  };
+
+  socket.on('alert:acknowledge', respond(({ alertId, note }, user) => alertResponse.acknowledgeAlert(alertId, user, note)));
+  socket.on('alert:assign', respond(({ alertId, userId, note }, user) => alertResponse.assignAlert(alertId, userId, user, note)));
+  socket.on('alert:status', respond(({ alertId, status, note }, user) => alertResponse.updateAlertStatus(alertId, status, user, note)));
+  socket.on('alert:note', respond(({ alertId, text }, user) => alertResponse.addAlertNote(alertId, user, text)));
+
   socket.on('disconnect', () => {
     console.log('🔌 Client disconnected:', socket.id);
   });
 });
 
 // ======================
-// 11. REST API Endpoints
+// 8. REST API Endpoints
 // ======================
 
 // Get latest flood data
 app.get('/api/latest', async (req, res) => {
   try {
-    const latest = await FloodData.findOne().sort({ timestamp: -1 });
+    const latest = await FloodData.findOne(stationFilter(req)).sort({ timestamp: -1 });
     res.json(latest || { message: 'No data available' });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
 // Get historical data
+// ?station=&riskLevel=&from=&to=&fields=&order=asc|desc&limit=&cursor=
+// ?interval=hour|day[&tz=] returns min/max/avg buckets instead of raw readings.
+// The next page's cursor is sent in the X-Next-Cursor and Link headers.
 app.get('/api/history', async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 50;
-    const data = await FloodData.find()
-      .sort({ timestamp: -1 })
-      .limit(limit);
+    const options = parseHistoryQuery(req.query);
+
+    if (options.interval) {
+      return res.json(await aggregateHistory(options));
+    }
+
+    const { data, nextCursor } = await findHistory(options);
+    if (nextCursor) {
+      const params = new URLSearchParams({ ...req.query, cursor: nextCursor });
+      res.set('X-Next-Cursor', nextCursor);
+      res.set('Link', `<${req.path}?${params}>; rel="next"`);
+    }
     res.json(data);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
 // Get statistics
+// ?window=24h|7d|30d|all (default all) or ?from=&to=, optionally ?station=
 app.get('/api/stats', async (req, res) => {
   try {
-    const total = await FloodData.countDocuments();
-    const highRisk = await FloodData.countDocuments({ riskLevel: 'high' });
-    const mediumRisk = await FloodData.countDocuments({ riskLevel: 'medium' });
-    const lowRisk = await FloodData.countDocuments({ riskLevel: 'low' });
-    
-    const latest = await FloodData.findOne().sort({ timestamp: -1 });
-    
+    const { station } = stationFilter(req);
+    const { stats, cached } = await getStats(parseStatsWindow(req.query), station);
+
+    res.set('X-Cache', cached ? 'HIT' : 'MISS');
     res.json({
-      total,
-      riskDistribution: { high: highRisk, medium: mediumRisk, low: lowRisk },
-      latest: latest || null,
-      modelStatus: usingFallback ? 'fallback' : 'ai-model'
+      ...stats,
+      modelStatus: isUsingFallback() ? 'fallback' : 'ai-model',
+      modelVersion: getModelInfo().version
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
-
-// Manual trigger (for testing)
-app.post('/api/trigger', async (req, res) => {
-  try {
-    console.log('Manual data fetch triggered via API');
-    res.json({ message: 'Data fetch triggered' });
-    // Trigger the cron job logic manually
-    setTimeout(() => {
-      cron.schedule('* * * * * *', async () => {
-        // Run once
-      }, { scheduled: false }).now();
-    }, 100);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
 // ======================
-// 12. Enhanced Dashboard
+// 9. Enhanced Dashboard
 // ======================
 app.get('/', (req, res) => {
   res.send(`
@@ -632,7 +437,8 @@ app.get('/', (req, res) => {
             '<span class="risk">Risk: ' + d.prediction + '% (' + d.riskLevel.toUpperCase() + ')</span><br>' +
             'Rain: ' + d.rainfall.toFixed(2) + 'mm | ' +
             'Water: ' + d.waterLevel.toFixed(2) + 'm | ' +
-            'Soil: ' + (d.soilMoisture * 100).toFixed(1) + '%';
+            'Soil: ' + (d.soilMoisture * 100).toFixed(1) + '%' +
+            (d.explanation && d.explanation.summary ? '<br>Why: ' + d.explanation.summary : '');
           
           log.insertBefore(entry, log.firstChild);
           
@@ -663,7 +469,7 @@ app.get('/', (req, res) => {
 });
 
 // ======================
-// 13. Start Server
+// 10. Start Server
 // ======================
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
@@ -674,14 +480,18 @@ server.listen(PORT, () => {
   console.log(`📊 Dashboard: http://localhost:${PORT}`);
   console.log(`🔌 WebSocket: ws://localhost:${PORT}`);
   console.log(`👤 User API: http://localhost:${PORT}/api/users`);
+  console.log(`📍 Stations API: http://localhost:${PORT}/api/stations`);
   console.log('='.repeat(50) + '\n');
   
+  // Optional MQTT sensor telemetry
+  startMqttBridge();
+
   // Load model on startup
   loadModel().then(() => {
-    if (usingFallback) {
+    if (isUsingFallback()) {
       console.log('ℹ️  Running with enhanced fallback algorithm');
     } else {
-      console.log('✓ AI model ready');
+      console.log(`✓ AI model ${getModelInfo().version} ready`);
     }
   });
 });
\ No newline at end of file
@@ -0,0 +1,127 @@
+// services/alertLifecycleService.js
+// Keeps one stateful Alert per station: opens it when risk crosses the
+// threshold, escalates or de-escalates with the risk level, suppresses
+// repeat pushes within a cooldown, and closes it with an all-clear once
+// risk has stayed low long enough.
+const Alert = require('../models/alert');
+const { sendAlertNotification } = require('./alertService');
+
+const LEVEL_RANK = { low: 0, medium: 1, high: 2 };
+const OPEN_LEVEL = Alert.ALERT_LEVELS.includes(process.env.ALERT_OPEN_LEVEL) ? process.env.ALERT_OPEN_LEVEL : 'medium';
+const COOLDOWN_MS = (parseInt(process.env.ALERT_COOLDOWN_MINUTES) || 60) * 60 * 1000;
+const ALL_CLEAR_MS = (parseInt(process.env.ALERT_ALL_CLEAR_MINUTES) || 60) * 60 * 1000;
+
+async function notify(alert, station, record, transition) {
+  const { sent } = await sendAlertNotification(alert, station, record, transition.event);
+  transition.notified = true;
+  transition.recipients = sent;
+  alert.lastNotifiedAt = new Date();
+
+  if (sent > 0) {
+    record.sentAlert = true;
+    await record.save();
+  }
+}
+
+// Apply a new FloodData reading to the station's alert.
+// Resolves to { alert, event } where event is the transition recorded
+// (null when nothing changed or a duplicate push was suppressed).
+async function processReading(record, station) {
+  const now = record.timestamp || new Date();
+  const rank = LEVEL_RANK[record.riskLevel] || 0;
+  const aboveThreshold = rank >= LEVEL_RANK[OPEN_LEVEL];
+
+  let alert = await Alert.findOne({ station: station._id, state: 'active' });
+
+  if (!alert) {
+    if (!aboveThreshold) return { alert: null, event: null };
+
+    alert = new Alert({
+      station: station._id,
+      level: record.riskLevel,
+      peakLevel: record.riskLevel,
+      peakPrediction: record.prediction,
+      openedAt: now,
+      latestReading: record._id
+    });
+    const transition = { event: 'opened', to: record.riskLevel, at: now, prediction: record.prediction, reading: record._id };
+    await notify(alert, station, record, transition);
+    alert.transitions.push(transition);
+    await alert.save();
+
+    console.log(`🚩 Alert opened for ${station.name} (${record.riskLevel.toUpperCase()})`);
+    return { alert, event: 'opened' };
+  }
+
+  alert.latestReading = record._id;
+  if (record.prediction > (alert.peakPrediction || 0)) alert.peakPrediction = record.prediction;
+
+  let transition = null;
+
+  if (aboveThreshold) {
+    if (alert.lowSince) {
+      alert.lowSince = undefined;
+      alert.transitions.push({ event: 'risk-returned', to: record.riskLevel, at: now, prediction: record.prediction, reading: record._id });
+    }
+
+    const currentRank = LEVEL_RANK[alert.level];
+    const cooledDown = !alert.lastNotifiedAt || now - alert.lastNotifiedAt >= COOLDOWN_MS;
+
+    if (rank > currentRank) {
+      // Escalations always notify, regardless of cooldown
+      transition = { event: 'escalated', from: alert.level, to: record.riskLevel, at: now, prediction: record.prediction, reading: record._id };
+      alert.level = record.riskLevel;
+      if (rank > LEVEL_RANK[alert.peakLevel]) alert.peakLevel = record.riskLevel;
+      await notify(alert, station, record, transition);
+    } else if (rank < currentRank) {
+      transition = { event: 'de-escalated', from: alert.level, to: record.riskLevel, at: now, prediction: record.prediction, reading: record._id };
+      alert.level = record.riskLevel;
+      if (cooledDown) await notify(alert, station, record, transition);
+    } else if (cooledDown) {
+      transition = { event: 'reminder', from: alert.level, to: alert.level, at: now, prediction: record.prediction, reading: record._id };
+      await notify(alert, station, record, transition);
+    } else {
+      alert.suppressedCount += 1;
+    }
+  } else if (!alert.lowSince) {
+    alert.lowSince = now;
+    transition = { event: 'risk-low', from: alert.level, to: record.riskLevel, at: now, prediction: record.prediction, reading: record._id };
+  } else if (now - alert.lowSince >= ALL_CLEAR_MS) {
+    transition = { event: 'closed', from: alert.level, to: 'low', at: now, prediction: record.prediction, reading: record._id };
+    alert.state = 'closed';
+    alert.closedAt = now;
+    await notify(alert, station, record, transition);
+    console.log(`✅ Alert closed for ${station.name} (all clear)`);
+  }
+
+  if (transition) alert.transitions.push(transition);
+  await alert.save();
+
+  return { alert, event: transition ? transition.event : null };
+}
+
+// Close a station's active alert without an all-clear, when the station is
+// being deleted and no further readings will close it. Resolves to the
+// number of alerts closed.
+async function closeStationAlerts(station, user) {
+  const alerts = await Alert.find({ station: station._id, state: 'active' });
+  const now = new Date();
+
+  for (const alert of alerts) {
+    alert.transitions.push({ event: 'closed', from: alert.level, at: now, by: user && user._id, note: 'Station deleted' });
+    alert.state = 'closed';
+    alert.closedAt = now;
+    await alert.save();
+    console.log(`✅ Alert closed for ${station.name} (station deleted)`);
+  }
+
+  return alerts.length;
+}
+
+module.exports = {
+  OPEN_LEVEL,
+  COOLDOWN_MS,
+  ALL_CLEAR_MS,
+  processReading,
+  closeStationAlerts
+};
\ No newline at end of file
@@ -0,0 +1,263 @@
+// services/alertResponseService.js
+// Responder workflow on top of the alert lifecycle: acknowledgement,
+// assignment, notes and status (open → acknowledged → in-progress → resolved),
+// plus escalation to secondary contacts when nobody acknowledges an alert in time.
+const mongoose = require('mongoose');
+const Alert = require('../models/alert');
+const User = require('../models/user');
+const { hasPermission } = require('../middleware/authMiddleware');
+const { deliver } = require('./channels');
+
+const LEVEL_RANK = { medium: 1, high: 2 };
+const ACK_TIMEOUT_MS = (parseInt(process.env.ALERT_ACK_TIMEOUT_MINUTES) || 15) * 60 * 1000;
+const ESCALATION_LEVEL = Alert.ALERT_LEVELS.includes(process.env.ALERT_ESCALATION_LEVEL) ? process.env.ALERT_ESCALATION_LEVEL : 'high';
+
+// Allowed status changes; resolved alerts can be reopened as in-progress
+const STATUS_TRANSITIONS = {
+  open: ['acknowledged', 'in-progress', 'resolved'],
+  acknowledged: ['in-progress', 'resolved'],
+  'in-progress': ['resolved'],
+  resolved: ['in-progress']
+};
+
+// "sms:+2348012345678,email:ops@example.org"
+const DEFAULT_CONTACTS = (process.env.ALERT_ESCALATION_CONTACTS || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [channel, ...rest] = entry.split(':');
+    return { channel, target: rest.join(':') };
+  });
+
+let io = null;
+
+// Socket.io server used to broadcast alertResponse events
+function setSocketServer(socketServer) {
+  io = socketServer;
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Who acknowledged, holds or resolved an alert, and what responders wrote
+// about it, is for responders only
+const RESPONDER_FIELDS = ['acknowledgedBy', 'assignedTo', 'resolvedBy', 'notes'];
+// Socket.io room for clients allowed to work alerts
+const RESPONDER_ROOM = 'responders';
+
+// An alert (document or plain object) without RESPONDER_FIELDS, and without
+// the responder and note on each transition
+function publicAlert(alert) {
+  const data = typeof alert.toObject === 'function' ? alert.toObject() : { ...alert };
+  RESPONDER_FIELDS.forEach(field => delete data[field]);
+  if (data.transitions) data.transitions = data.transitions.map(publicTransition);
+  return data;
+}
+
+function publicTransition(transition) {
+  const { by, note, ...rest } = typeof transition.toObject === 'function' ? transition.toObject() : transition;
+  return rest;
+}
+
+function broadcast(alert, transition) {
+  if (!io) return;
+  io.to(RESPONDER_ROOM).emit('alertResponse', {
+    alert: alert._id,
+    station: alert.station._id || alert.station,
+    event: transition.event,
+    status: alert.status,
+    assignedTo: alert.assignedTo,
+    by: transition.by,
+    note: transition.note,
+    at: transition.at
+  });
+}
+
+async function loadAlert(alertId) {
+  if (!mongoose.isValidObjectId(alertId)) throw httpError(400, 'Invalid alert ID');
+
+  const alert = await Alert.findById(alertId);
+  if (!alert) throw httpError(404, 'Alert not found');
+  return alert;
+}
+
+function applyStatus(alert, status, user, note) {
+  const allowed = STATUS_TRANSITIONS[alert.status] || [];
+  if (!allowed.includes(status)) {
+    throw httpError(409, `Cannot change alert status from ${alert.status} to ${status}`);
+  }
+
+  const now = new Date();
+  const transition = { event: 'status-changed', from: alert.status, to: status, at: now, by: user._id, note };
+
+  if (!alert.acknowledgedAt) {
+    alert.acknowledgedAt = now;
+    alert.acknowledgedBy = user._id;
+  }
+  if (status === 'in-progress' && !alert.assignedTo) {
+    alert.assignedTo = user._id;
+    alert.assignedAt = now;
+  }
+  if (status === 'resolved') {
+    alert.resolvedAt = now;
+    alert.resolvedBy = user._id;
+  } else {
+    alert.resolvedAt = undefined;
+    alert.resolvedBy = undefined;
+  }
+
+  alert.status = status;
+  if (note) alert.notes.push({ author: user._id, text: note, at: now });
+  alert.transitions.push(transition);
+  return transition;
+}
+
+// Record that a responder has seen an open alert
+async function acknowledgeAlert(alertId, user, note) {
+  const alert = await loadAlert(alertId);
+  if (alert.status !== 'open') throw httpError(409, `Alert is already ${alert.status}`);
+
+  const transition = applyStatus(alert, 'acknowledged', user, note);
+  await alert.save();
+  broadcast(alert, transition);
+
+  console.log(`✓ Alert ${alert._id} acknowledged by ${user.username}`);
+  return alert;
+}
+
+async function updateAlertStatus(alertId, status, user, note) {
+  if (!Alert.RESPONSE_STATUSES.includes(status)) {
+    throw httpError(400, 'Status must be one of: ' + Alert.RESPONSE_STATUSES.join(', '));
+  }
+
+  const alert = await loadAlert(alertId);
+  const transition = applyStatus(alert, status, user, note);
+  await alert.save();
+  broadcast(alert, transition);
+  return alert;
+}
+
+// Hand an alert to a responder; assigning an open alert also acknowledges it
+async function assignAlert(alertId, assigneeId, user, note) {
+  if (!mongoose.isValidObjectId(assigneeId)) throw httpError(400, 'Invalid user ID');
+
+  const [alert, assignee] = await Promise.all([loadAlert(alertId), User.findById(assigneeId)]);
+  if (!assignee || !assignee.active) throw httpError(404, 'Assignee not found');
+  if (!hasPermission(assignee, 'alerts:acknowledge')) {
+    throw httpError(400, `Role '${assignee.role}' cannot be assigned alerts`);
+  }
+
+  const now = new Date();
+  if (alert.status === 'open') applyStatus(alert, 'acknowledged', user);
+
+  const transition = {
+    event: 'assigned',
+    from: alert.assignedTo ? alert.assignedTo.toString() : undefined,
+    to: assignee._id.toString(),
+    at: now,
+    by: user._id,
+    note
+  };
+  alert.assignedTo = assignee._id;
+  alert.assignedAt = now;
+  if (note) alert.notes.push({ author: user._id, text: note, at: now });
+  alert.transitions.push(transition);
+
+  await alert.save();
+  broadcast(alert, transition);
+  return alert;
+}
+
+async function addAlertNote(alertId, user, text) {
+  if (!text || typeof text !== 'string' || !text.trim()) throw httpError(400, 'Note text is required');
+
+  const alert = await loadAlert(alertId);
+  alert.notes.push({ author: user._id, text });
+  await alert.save();
+
+  const note = alert.notes[alert.notes.length - 1];
+  if (io) io.to(RESPONDER_ROOM).emit('alertNote', { alert: alert._id, note });
+  return note;
+}
+
+// Tell secondary contacts about active alerts at or above ESCALATION_LEVEL
+// that nobody has acknowledged within ACK_TIMEOUT_MS. Each alert escalates once.
+async function escalateUnacknowledgedAlerts() {
+  const levels = Alert.ALERT_LEVELS.filter(level => LEVEL_RANK[level] >= LEVEL_RANK[ESCALATION_LEVEL]);
+  const alerts = await Alert.find({
+    state: 'active',
+    status: 'open',
+    level: { $in: levels },
+    secondaryNotifiedAt: null,
+    openedAt: { $lte: new Date(Date.now() - ACK_TIMEOUT_MS) }
+  }).populate('station', 'name lat lng +escalationContacts');
+
+  for (const alert of alerts) {
+    const station = alert.station;
+    if (!station) {
+      console.warn(`⚠ Alert ${alert._id} belongs to a deleted station, not escalating`);
+      continue;
+    }
+
+    const contacts = station.escalationContacts && station.escalationContacts.length > 0
+      ? station.escalationContacts
+      : DEFAULT_CONTACTS;
+    const minutes = Math.round((Date.now() - alert.openedAt) / 60000);
+
+    const deliveries = await deliver({
+      alert,
+      event: 'secondary-escalation',
+      recipients: [],
+      message: {
+        title: `🚨 Unacknowledged Flood Alert: ${station.name}`,
+        body: `A ${alert.level.toUpperCase()} risk alert near ${station.name} has gone ${minutes} minutes without a responder acknowledging it.`,
+        data: {
+          alert: alert._id.toString(),
+          event: 'secondary-escalation',
+          station: station._id.toString(),
+          level: alert.level
+        }
+      },
+      extraTargets: contacts.map(({ channel, target }) => ({ channel, target }))
+    });
+
+    const sent = deliveries.filter(d => d.status === 'sent').length;
+    const transition = {
+      event: 'secondary-escalation',
+      to: alert.level,
+      at: new Date(),
+      notified: deliveries.length > 0,
+      recipients: sent
+    };
+    alert.secondaryNotifiedAt = transition.at;
+    alert.transitions.push(transition);
+    await alert.save();
+    broadcast(alert, transition);
+
+    if (contacts.length === 0) {
+      console.warn(`⚠ Alert for ${station.name} unacknowledged after ${minutes} min, but no escalation contacts are configured`);
+    } else {
+      console.log(`🚨 Alert for ${station.name} unacknowledged after ${minutes} min, escalated to ${sent}/${deliveries.length} secondary contact(s)`);
+    }
+  }
+
+  return alerts.length;
+}
+
+module.exports = {
+  ACK_TIMEOUT_MS,
+  ESCALATION_LEVEL,
+  RESPONDER_ROOM,
+  publicAlert,
+  publicTransition,
+  setSocketServer,
+  acknowledgeAlert,
+  updateAlertStatus,
+  assignAlert,
+  addAlertNote,
+  escalateUnacknowledgedAlerts
+};
\ No newline at end of file
@@ -0,0 +1,112 @@
+// services/alertService.js
+const Subscription = require('../models/subscription');
+const User = require('../models/user');
+const { deliver } = require('./channels');
+
+// Partner systems (emergency services, media) that receive every alert by webhook
+const PARTNER_WEBHOOKS = (process.env.ALERT_WEBHOOK_URLS || '')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean);
+
+// Active users whose subscribed area contains the station and whose
+// minimum risk level is at or below the alert's level
+async function findAlertRecipients(station, riskLevel) {
+  const levels = Subscription.RISK_LEVELS.slice(0, Subscription.RISK_LEVELS.indexOf(riskLevel) + 1);
+
+  const subscriptions = await Subscription.find({
+    active: true,
+    minRiskLevel: { $in: levels },
+    area: {
+      $geoIntersects: {
+        $geometry: { type: 'Point', coordinates: [station.lng, station.lat] }
+      }
+    }
+  }).select('user');
+
+  const userIds = [...new Set(subscriptions.map(sub => sub.user.toString()))];
+  if (userIds.length === 0) return [];
+
+  return User.find({
+    _id: { $in: userIds },
+    active: true
+  }).select('email emailVerified fcmTokens notificationPreferences');
+}
+
+// Notification text for each alert lifecycle event
+function buildNotification(event, alert, station, record) {
+  const level = alert.level.toUpperCase();
+  const why = record.explanation && record.explanation.summary
+    ? ` Main factors: ${record.explanation.summary}.`
+    : '';
+
+  if (event === 'closed') {
+    return {
+      title: `✅ All Clear: ${station.name}`,
+      body: `Flood risk near ${station.name} has returned to low. The ${alert.peakLevel.toUpperCase()} risk alert has ended.`
+    };
+  }
+
+  if (event === 'de-escalated') {
+    return {
+      title: `Flood Alert Update: risk lowered to ${level}`,
+      body: `${record.prediction}% flood probability near ${station.name}.${why} Stay alert, the warning remains in effect.`
+    };
+  }
+
+  const prefix = event === 'escalated' ? '🚨 Flood Alert Escalated' : '⚠️ Flood Alert';
+  return {
+    title: `${prefix}: ${level} Risk`,
+    body: `${record.prediction}% flood probability detected near ${station.name}. Rainfall: ${record.rainfall.toFixed(1)}mm.${why}`
+  };
+}
+
+// Send an alert lifecycle event to subscribers near the station over each
+// of their preferred channels. Resolves to { sent, total } delivery counts.
+async function sendAlertNotification(alert, station, record, event) {
+  // All-clear goes to everyone who could have received the alert at its peak
+  const recipients = await findAlertRecipients(station, event === 'closed' ? alert.peakLevel : alert.level);
+
+  if (recipients.length === 0 && PARTNER_WEBHOOKS.length === 0) {
+    console.log(`ℹ️  No subscribers in range of ${station.name}, no alert sent`);
+    return { sent: 0, total: 0 };
+  }
+
+  const message = {
+    ...buildNotification(event, alert, station, record),
+    data: {
+      alert: alert._id.toString(),
+      event,
+      station: station._id.toString(),
+      lat: station.lat.toString(),
+      lng: station.lng.toString(),
+      risk: record.prediction.toString(),
+      level: event === 'closed' ? 'low' : alert.level,
+      factors: record.explanation && record.explanation.summary ? record.explanation.summary : ''
+    }
+  };
+
+  try {
+    const deliveries = await deliver({
+      alert,
+      event,
+      recipients,
+      message,
+      extraTargets: PARTNER_WEBHOOKS.map(url => ({ channel: 'webhook', target: url }))
+    });
+
+    const sent = deliveries.filter(d => d.status === 'sent').length;
+    const retrying = deliveries.filter(d => d.status === 'retrying').length;
+    console.log(`✓ ${event} alert delivered ${sent}/${deliveries.length} near ${station.name}` +
+      (retrying ? ` (${retrying} queued for retry)` : ''));
+    return { sent, total: deliveries.length };
+  } catch (err) {
+    console.error('✗ Alert Delivery Error:', err.message);
+    return { sent: 0, total: 0 };
+  }
+}
+
+module.exports = {
+  findAlertRecipients,
+  sendAlertNotification
+};
\ No newline at end of file
@@ -0,0 +1,89 @@
+// services/antecedentService.js
+// Rainfall over the hours and days before a reading: rolling accumulations
+// (6h, 24h, 72h, 7d) and an antecedent precipitation index (API), where each
+// earlier day's rain counts for less: API = sum of P(d) * k^d.
+//
+// Hourly rain comes from the station's sensor rain buckets where they report,
+// and otherwise from stored FloodData. FloodData.rainfall is a trailing 3-hour
+// total sampled every ingestion, so an hour's rain is estimated as a third of
+// the mean of the totals recorded in it.
+const mongoose = require('mongoose');
+const FloodData = require('../models/floodData');
+const SensorReading = require('../models/sensorReading');
+
+const HOUR_MS = 60 * 60 * 1000;
+const WINDOWS = { rain6h: 6, rain24h: 24, rain72h: 72, rain7d: 168 };
+// Daily decay factor and number of days in the index
+const API_DECAY = parseFloat(process.env.API_DECAY) || 0.85;
+const API_DAYS = 14;
+const LOOKBACK_HOURS = API_DAYS * 24;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Rain (mm) per hour over the lookback, as a Map of hour start (ms) to mm
+async function getHourlyRainfall(stationId, at) {
+  const station = new mongoose.Types.ObjectId(String(stationId));
+  const range = { $gt: new Date(at.getTime() - LOOKBACK_HOURS * HOUR_MS), $lte: at };
+  const hour = { $dateTrunc: { date: '$timestamp', unit: 'hour' } };
+
+  const [sensorHours, readingHours] = await Promise.all([
+    SensorReading.aggregate([
+      { $match: { station, timestamp: range, rainfall: { $ne: null } } },
+      // Each gauge's hourly total, then their mean, so gauges don't add up
+      { $group: { _id: { device: '$device', hour }, mm: { $sum: '$rainfall' } } },
+      { $group: { _id: '$_id.hour', mm: { $avg: '$mm' } } }
+    ]),
+    FloodData.aggregate([
+      { $match: { station, timestamp: range, rainfall: { $ne: null }, 'dataSource.rainfall': { $ne: 'fallback' } } },
+      { $group: { _id: hour, mm: { $avg: '$rainfall' } } }
+    ])
+  ]);
+
+  const hours = new Map();
+  readingHours.forEach(h => hours.set(h._id.getTime(), h.mm / 3));
+  // Rain bucket increments are measured, not estimated, so they win
+  sensorHours.forEach(h => hours.set(h._id.getTime(), h.mm));
+  return hours;
+}
+
+// Accumulations and API from hourly rain ending at `at`
+function summarise(hours, at) {
+  const result = { rain6h: 0, rain24h: 0, rain72h: 0, rain7d: 0, api: 0 };
+  const daily = new Array(API_DAYS).fill(0);
+  let hoursWithData = 0;
+
+  hours.forEach((mm, start) => {
+    const ageHours = (at.getTime() - start) / HOUR_MS;
+    Object.entries(WINDOWS).forEach(([key, windowHours]) => {
+      if (ageHours <= windowHours) result[key] += mm;
+    });
+    if (ageHours <= WINDOWS.rain7d) hoursWithData++;
+
+    const day = Math.floor(ageHours / 24);
+    if (day >= 0 && day < API_DAYS) daily[day] += mm;
+  });
+
+  result.api = daily.reduce((sum, mm, day) => sum + mm * Math.pow(API_DECAY, day), 0);
+
+  Object.keys(result).forEach(key => {
+    result[key] = round(result[key]);
+  });
+  // Share of the last 7 days with any rainfall record, so sparse history is visible
+  result.coverage = round(Math.min(1, hoursWithData / WINDOWS.rain7d));
+  return result;
+}
+
+// Antecedent rainfall for a station up to `at` (default now).
+// Resolves to { rain6h, rain24h, rain72h, rain7d, api, coverage }.
+async function getAntecedentRainfall(stationId, at = new Date()) {
+  const hours = await getHourlyRainfall(stationId, at);
+  return summarise(hours, at);
+}
+
+module.exports = {
+  API_DECAY,
+  getAntecedentRainfall,
+  summarise
+};
\ No newline at end of file
@@ -0,0 +1,222 @@
+// services/capService.js
+// Renders alerts as Common Alerting Protocol (CAP 1.2) messages and Atom feeds
+// for emergency agencies and partner apps.
+//
+// Each notified lifecycle event of an alert is one CAP message: the opening is
+// msgType Alert, later events are Updates referencing the original, and the
+// all-clear is an Update with responseType AllClear.
+const Subscription = require('../models/subscription');
+
+const CAP_NAMESPACE = 'urn:oasis:names:tc:emergency:cap:1.2';
+const ATOM_NAMESPACE = 'http://www.w3.org/2005/Atom';
+// Date part of the feed's tag: ids; changing it changes every feed and entry id
+const ATOM_TAG_DATE = '2026';
+const CAP_SENDER = process.env.CAP_SENDER || 'floodguard@example.org';
+const CAP_SENDER_NAME = process.env.CAP_SENDER_NAME || 'FloodGuard Flood Monitoring';
+// Actual, Exercise, System, Test or Draft
+const CAP_STATUS = process.env.CAP_STATUS || 'Actual';
+const EXPIRES_MS = (parseInt(process.env.CAP_EXPIRES_HOURS) || 6) * 60 * 60 * 1000;
+
+// Lifecycle events that produce a CAP message
+const MESSAGE_EVENTS = ['opened', 'escalated', 'de-escalated', 'reminder', 'closed'];
+
+// CAP fields derived from the risk level
+const LEVEL_PROFILES = {
+  medium: { urgency: 'Expected', severity: 'Moderate', responseType: 'Monitor', radiusKm: 5 },
+  high: { urgency: 'Immediate', severity: 'Severe', responseType: 'Prepare', radiusKm: 10 }
+};
+
+const INSTRUCTIONS = {
+  medium: 'Stay informed and be ready to move to higher ground. Avoid walking or driving through flood water.',
+  high: 'Move valuables and people to higher ground now and follow instructions from local authorities. Do not enter flood water.',
+  closed: 'The flood risk has passed. Take care around areas that were flooded.'
+};
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function element(name, value, indent) {
+  if (value === undefined || value === null || value === '') return '';
+  return `${indent}<${name}>${escapeXml(value)}</${name}>\n`;
+}
+
+// CAP forbids "Z" and fractional seconds: 2024-05-01T10:00:00+00:00
+function capDate(date) {
+  return new Date(date).toISOString().replace(/\.\d{3}Z$/, '+00:00');
+}
+
+function capIdentifier(alert, index) {
+  return `${CAP_SENDER}.alert.${alert._id}.${index}`;
+}
+
+// Atom ids must be absolute IRIs that never change, so they are tag URIs
+// (RFC 4151) minted under the sender rather than URLs that follow the host
+function atomId(specific) {
+  return `tag:${CAP_SENDER},${ATOM_TAG_DATE}:${specific}`;
+}
+
+// CAP polygons are "lat,lon" pairs separated by spaces, first and last equal
+function areaPolygon(station, radiusKm) {
+  const polygon = Subscription.circleToPolygon(station.lng, station.lat, radiusKm * 1000);
+  return polygon.coordinates[0].map(([lng, lat]) => `${lat.toFixed(5)},${lng.toFixed(5)}`).join(' ');
+}
+
+function certaintyFor(prediction) {
+  if (prediction === undefined || prediction === null) return 'Unknown';
+  return prediction > 50 ? 'Likely' : 'Possible';
+}
+
+// The transitions that produced CAP messages, oldest first
+function messageTransitions(alert) {
+  return alert.transitions
+    .map((transition, index) => ({ transition, index }))
+    .filter(({ transition }) => MESSAGE_EVENTS.includes(transition.event));
+}
+
+// Work out the CAP fields for an alert's latest message
+function describeAlert(alert, station) {
+  const messages = messageTransitions(alert);
+  const latest = messages[messages.length - 1] || { transition: { event: 'opened', at: alert.openedAt }, index: 0 };
+  const first = messages[0] || latest;
+  const closed = latest.transition.event === 'closed';
+  const level = closed ? alert.peakLevel : alert.level;
+  const profile = LEVEL_PROFILES[level];
+  const prediction = latest.transition.prediction !== undefined ? latest.transition.prediction : alert.peakPrediction;
+  const sent = new Date(latest.transition.at || alert.updatedAt || alert.openedAt);
+  const stationLabel = station.region ? `${station.name}, ${station.region}` : station.name;
+
+  return {
+    identifier: capIdentifier(alert, latest.index),
+    sequence: latest.index,
+    sent,
+    references: latest.index !== first.index
+      ? `${CAP_SENDER},${capIdentifier(alert, first.index)},${capDate(first.transition.at || alert.openedAt)}`
+      : undefined,
+    closed,
+    level,
+    prediction,
+    responseType: closed ? 'AllClear' : profile.responseType,
+    urgency: closed ? 'Past' : profile.urgency,
+    severity: closed ? 'Minor' : profile.severity,
+    certainty: closed ? 'Observed' : certaintyFor(prediction),
+    expires: closed ? sent : new Date(sent.getTime() + EXPIRES_MS),
+    headline: closed
+      ? `All clear: flood risk near ${station.name} has ended`
+      : `${level.toUpperCase()} flood risk near ${station.name}`,
+    description: closed
+      ? `Flood risk near ${stationLabel} has returned to low. The ${alert.peakLevel.toUpperCase()} risk alert opened ${capDate(alert.openedAt)} is over.`
+      : `FloodGuard predicts a ${prediction}% probability of flooding near ${stationLabel}, based on rainfall, river level and soil moisture readings.`,
+    instruction: INSTRUCTIONS[closed ? 'closed' : level],
+    areaDesc: `Area around ${stationLabel} monitoring station`,
+    radiusKm: LEVEL_PROFILES[alert.peakLevel].radiusKm
+  };
+}
+
+function valuePair(name, valueName, value, indent) {
+  return `${indent}<${name}>\n${element('valueName', valueName, indent + '  ')}${element('value', value, indent + '  ')}${indent}</${name}>\n`;
+}
+
+// Build the CAP 1.2 XML for an alert's latest message.
+// station must be the populated MonitoringStation; baseUrl is used for <web>.
+function buildCapMessage(alert, station, { baseUrl = '' } = {}) {
+  const cap = describeAlert(alert, station);
+  const i2 = '    ';
+  const i3 = '      ';
+
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += `<alert xmlns="${CAP_NAMESPACE}">\n`;
+  xml += element('identifier', cap.identifier, '  ');
+  xml += element('sender', CAP_SENDER, '  ');
+  xml += element('sent', capDate(cap.sent), '  ');
+  xml += element('status', CAP_STATUS, '  ');
+  xml += element('msgType', cap.references ? 'Update' : 'Alert', '  ');
+  xml += element('scope', 'Public', '  ');
+  xml += element('references', cap.references, '  ');
+  xml += element('incidents', `${CAP_SENDER}.alert.${alert._id}`, '  ');
+  xml += '  <info>\n';
+  xml += element('language', 'en-US', i2);
+  xml += element('category', 'Met', i2);
+  xml += element('event', 'Flood', i2);
+  xml += element('responseType', cap.responseType, i2);
+  xml += element('urgency', cap.urgency, i2);
+  xml += element('severity', cap.severity, i2);
+  xml += element('certainty', cap.certainty, i2);
+  xml += valuePair('eventCode', 'FloodGuardRiskLevel', cap.closed ? 'low' : cap.level, i2);
+  xml += element('effective', capDate(cap.sent), i2);
+  xml += element('onset', capDate(alert.openedAt), i2);
+  xml += element('expires', capDate(cap.expires), i2);
+  xml += element('senderName', CAP_SENDER_NAME, i2);
+  xml += element('headline', cap.headline, i2);
+  xml += element('description', cap.description, i2);
+  xml += element('instruction', cap.instruction, i2);
+  xml += element('web', `${baseUrl}/api/alerts/${alert._id}`, i2);
+  if (cap.prediction !== undefined && cap.prediction !== null) {
+    xml += valuePair('parameter', 'floodProbability', cap.prediction, i2);
+  }
+  xml += `${i2}<area>\n`;
+  xml += element('areaDesc', cap.areaDesc, i3);
+  xml += element('polygon', areaPolygon(station, cap.radiusKm), i3);
+  xml += element('circle', `${station.lat},${station.lng} ${cap.radiusKm}`, i3);
+  if (station.riverGaugeId) {
+    xml += valuePair('geocode', 'USGSGaugeId', station.riverGaugeId, i3);
+  }
+  xml += `${i2}</area>\n`;
+  xml += '  </info>\n';
+  xml += '</alert>\n';
+
+  return xml;
+}
+
+// Atom feed of alerts (station populated). With embedCap each entry carries its
+// full CAP message as content; otherwise it holds a summary and links to the CAP document.
+// Alerts whose station has been deleted have no area to describe and are left out.
+function buildAtomFeed(alerts, { baseUrl = '', selfPath, title = 'FloodGuard Flood Alerts', embedCap = false } = {}) {
+  const entries = alerts
+    .filter(alert => {
+      if (!alert.station) console.warn(`⚠ Alert ${alert._id} belongs to a deleted station, left out of the feed`);
+      return Boolean(alert.station);
+    })
+    .map(alert => ({ alert, cap: describeAlert(alert, alert.station) }));
+  const updated = entries.reduce((latest, { cap }) => (cap.sent > latest ? cap.sent : latest), new Date(0));
+
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += `<feed xmlns="${ATOM_NAMESPACE}">\n`;
+  xml += element('id', atomId(`alerts${embedCap ? '.cap' : ''}`), '  ');
+  xml += element('title', title, '  ');
+  xml += element('updated', (entries.length > 0 ? updated : new Date()).toISOString(), '  ');
+  xml += `  <link rel="self" href="${escapeXml(baseUrl + selfPath)}"/>\n`;
+  xml += `  <author>\n${element('name', CAP_SENDER_NAME, '    ')}  </author>\n`;
+
+  entries.forEach(({ alert, cap }) => {
+    xml += '  <entry>\n';
+    xml += element('id', atomId(`alert.${alert._id}.${cap.sequence}`), '    ');
+    xml += element('title', cap.headline, '    ');
+    xml += element('updated', cap.sent.toISOString(), '    ');
+    xml += `    <link rel="alternate" type="application/cap+xml" href="${escapeXml(`${baseUrl}/api/alerts/${alert._id}/cap`)}"/>\n`;
+    xml += element('summary', cap.description, '    ');
+    if (embedCap) {
+      const body = buildCapMessage(alert, alert.station, { baseUrl })
+        .replace(/^<\?xml[^>]*\?>\n/, '')
+        .trimEnd()
+        .replace(/^/gm, '      ');
+      xml += `    <content type="application/cap+xml">\n${body}\n    </content>\n`;
+    }
+    xml += '  </entry>\n';
+  });
+
+  xml += '</feed>\n';
+  return xml;
+}
+
+module.exports = {
+  CAP_NAMESPACE,
+  capDate,
+  buildCapMessage,
+  buildAtomFeed
+};
\ No newline at end of file
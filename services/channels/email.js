@@ -0,0 +1,30 @@
+// services/channels/email.js
+const { sendMail } = require('../mailService');
+
+// Titles and bodies carry station names and other user-entered text
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+  name: 'email',
+
+  // Alerts only go to addresses the user has proven they own
+  getTarget(user) {
+    return user.emailVerified ? user.email : null;
+  },
+
+  async send(email, message) {
+    return sendMail({
+      to: email,
+      subject: message.title,
+      text: message.body,
+      html: `<h2>${escapeHtml(message.title)}</h2><p>${escapeHtml(message.body)}</p>`
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,79 @@
+// services/channels/fcm.js
+const admin = require('firebase-admin');
+const User = require('../../models/user');
+
+// Firebase Admin (Production-ready)
+let firebaseInitialized = false;
+try {
+  let serviceAccount;
+  
+  if (process.env.FIREBASE_CONFIG_BASE64) {
+    // Method B: Base64 encoded
+    const decoded = Buffer.from(process.env.FIREBASE_CONFIG_BASE64, 'base64').toString('utf8');
+    serviceAccount = JSON.parse(decoded);
+  } else if (process.env.FIREBASE_CONFIG) {
+    // Method A: Direct JSON
+    serviceAccount = JSON.parse(process.env.FIREBASE_CONFIG);
+  } else {
+    // Development: Load from file
+    serviceAccount = require('../../firebase-service-account.json');
+  }
+  
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount)
+  });
+  firebaseInitialized = true;
+  console.log('✓ Firebase Admin Initialized');
+} catch (err) {
+  console.warn('⚠ Firebase not initialized:', err.message);
+}
+
+const STALE_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+module.exports = {
+  name: 'push',
+
+  getTarget(user) {
+    const tokens = (user.fcmTokens || []).map(t => t.token);
+    return tokens.length > 0 ? tokens : null;
+  },
+
+  async send(tokens, message) {
+    if (!firebaseInitialized) {
+      const err = new Error('Firebase is not initialized');
+      err.permanent = true;
+      throw err;
+    }
+
+    const response = await admin.messaging().sendEachForMulticast({
+      notification: { title: message.title, body: message.body },
+      data: message.data,
+      tokens
+    });
+
+    // Forget tokens for uninstalled apps so they aren't retried
+    const staleTokens = [];
+    response.responses.forEach((result, index) => {
+      if (!result.success && result.error && STALE_TOKEN_ERRORS.includes(result.error.code)) {
+        staleTokens.push(tokens[index]);
+      }
+    });
+    if (staleTokens.length > 0) {
+      await User.updateMany(
+        { 'fcmTokens.token': { $in: staleTokens } },
+        { $pull: { fcmTokens: { token: { $in: staleTokens } } } }
+      );
+    }
+
+    if (response.successCount === 0) {
+      const err = new Error(response.responses[0]?.error?.message || 'No device accepted the message');
+      err.permanent = staleTokens.length === tokens.length;
+      throw err;
+    }
+
+    return { id: `fcm-${response.successCount}/${tokens.length}` };
+  }
+};
\ No newline at end of file
@@ -0,0 +1,172 @@
+// services/channels/index.js
+// Registry of notification channels and delivery with status tracking and retries.
+//
+// A channel is an object with:
+//   name            - preference key ('push', 'sms', 'voice', 'email', 'webhook')
+//   getTarget(user) - where to send for this user (token list, phone, email, URL) or null
+//   send(target, message) - resolves to { id }, throws on failure; set err.permanent
+//                           on errors that retrying cannot fix
+//
+// With NOTIFICATION_FAKES=true every channel is replaced by an in-memory fake
+// that records messages in an outbox, so the whole path runs offline.
+const Delivery = require('../../models/delivery');
+const fcm = require('./fcm');
+const sms = require('./sms');
+const voice = require('./voice');
+const email = require('./email');
+const webhook = require('./webhook');
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 4;
+const RETRY_BASE_MS = 60 * 1000;
+const SEND_CONCURRENCY = 20;
+
+const channels = new Map();
+
+// Fake channel state, only used when NOTIFICATION_FAKES=true
+const outbox = [];
+const failures = new Map();
+
+function useFakes() {
+  return process.env.NOTIFICATION_FAKES === 'true';
+}
+
+function registerChannel(channel) {
+  if (!channel || !channel.name || typeof channel.send !== 'function' || typeof channel.getTarget !== 'function') {
+    throw new Error('Channel must have a name, getTarget and send');
+  }
+  channels.set(channel.name, channel);
+}
+
+function getChannel(name) {
+  const channel = channels.get(name);
+  if (!channel || !useFakes()) return channel || null;
+
+  return {
+    name: channel.name,
+    getTarget: channel.getTarget,
+    async send(target, message) {
+      const remaining = failures.get(name) || 0;
+      if (remaining > 0) {
+        failures.set(name, remaining - 1);
+        throw new Error(`Simulated ${name} failure`);
+      }
+      outbox.push({ channel: name, target, message, at: new Date() });
+      return { id: `fake-${name}-${outbox.length}` };
+    }
+  };
+}
+
+function listChannels() {
+  return Array.from(channels.keys());
+}
+
+// Fake helpers for offline testing
+function getOutbox() {
+  return outbox.slice();
+}
+
+function clearOutbox() {
+  outbox.length = 0;
+  failures.clear();
+}
+
+function failNext(channelName, count = 1) {
+  failures.set(channelName, count);
+}
+
+function isPermanent(err) {
+  if (err.permanent) return true;
+  const status = err.response && err.response.status;
+  return Boolean(status && status >= 400 && status < 500 && status !== 429);
+}
+
+// Try to send one delivery and record the outcome; failed attempts are
+// rescheduled with exponential backoff until MAX_ATTEMPTS is reached
+async function attemptDelivery(delivery) {
+  const channel = getChannel(delivery.channel);
+  delivery.attempts += 1;
+
+  try {
+    if (!channel) {
+      const err = new Error(`Unknown channel: ${delivery.channel}`);
+      err.permanent = true;
+      throw err;
+    }
+
+    const result = await channel.send(delivery.target, delivery.message);
+    delivery.status = 'sent';
+    delivery.sentAt = new Date();
+    delivery.providerMessageId = result && result.id;
+    delivery.lastError = undefined;
+    delivery.nextAttemptAt = undefined;
+  } catch (err) {
+    delivery.lastError = err.message;
+    if (isPermanent(err) || delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+    } else {
+      delivery.status = 'retrying';
+      delivery.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * Math.pow(2, delivery.attempts - 1));
+    }
+  }
+
+  await delivery.save();
+  return delivery;
+}
+
+async function attemptAll(deliveries) {
+  for (let i = 0; i < deliveries.length; i += SEND_CONCURRENCY) {
+    await Promise.all(deliveries.slice(i, i + SEND_CONCURRENCY).map(attemptDelivery));
+  }
+  return deliveries;
+}
+
+// Create and send deliveries for each recipient's preferred channels.
+// extraTargets adds deliveries not tied to a user (e.g. partner webhooks).
+async function deliver({ alert, event, recipients, message, extraTargets = [] }) {
+  const docs = [];
+
+  recipients.forEach(user => {
+    const preferred = (user.notificationPreferences && user.notificationPreferences.channels) || ['push'];
+    preferred.forEach(name => {
+      const channel = channels.get(name);
+      const target = channel && channel.getTarget(user);
+      if (target) {
+        docs.push({ alert: alert._id, event, user: user._id, channel: name, target, message });
+      }
+    });
+  });
+
+  extraTargets.forEach(({ channel, target }) => {
+    docs.push({ alert: alert._id, event, channel, target, message });
+  });
+
+  if (docs.length === 0) return [];
+
+  const deliveries = await Delivery.insertMany(docs);
+  return attemptAll(deliveries);
+}
+
+// Resend deliveries whose backoff has elapsed; run on a schedule
+async function retryDueDeliveries(limit = 100) {
+  const due = await Delivery.find({ status: 'retrying', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit);
+
+  await attemptAll(due);
+  return due.length;
+}
+
+[fcm, sms, voice, email, webhook].forEach(registerChannel);
+
+module.exports = {
+  MAX_ATTEMPTS,
+  registerChannel,
+  getChannel,
+  listChannels,
+  deliver,
+  retryDueDeliveries,
+  getOutbox,
+  clearOutbox,
+  failNext
+};
\ No newline at end of file
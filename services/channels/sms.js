@@ -0,0 +1,18 @@
+// services/channels/sms.js
+const { getGateway } = require('./smsGateway');
+
+// Plain-text SMS; keep within two segments
+const MAX_LENGTH = 300;
+
+module.exports = {
+  name: 'sms',
+
+  getTarget(user) {
+    return user.notificationPreferences && user.notificationPreferences.phone || null;
+  },
+
+  async send(phone, message) {
+    const text = `${message.title}. ${message.body}`.slice(0, MAX_LENGTH);
+    return getGateway().sendSms(phone, text);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,61 @@
+// services/channels/smsGateway.js
+// Pluggable SMS/voice gateway. SMS_GATEWAY selects the implementation:
+//   console - print messages to the log (default)
+//   http    - POST JSON to SMS_GATEWAY_URL with an optional bearer SMS_GATEWAY_TOKEN
+// Other gateways can be added with registerGateway().
+const axios = require('axios');
+
+const gateways = {
+  console: {
+    async sendSms(to, text) {
+      console.log(`📱 SMS to ${to}: ${text}`);
+      return { id: `console-sms-${Date.now()}` };
+    },
+    async call(to, script) {
+      console.log(`📞 Voice call to ${to}: ${script}`);
+      return { id: `console-call-${Date.now()}` };
+    }
+  },
+
+  http: {
+    async sendSms(to, text) {
+      return post('/sms', { to, text });
+    },
+    async call(to, script) {
+      return post('/voice', { to, script });
+    }
+  }
+};
+
+async function post(path, body) {
+  if (!process.env.SMS_GATEWAY_URL) {
+    const err = new Error('SMS_GATEWAY_URL is not set');
+    err.permanent = true;
+    throw err;
+  }
+
+  const res = await axios.post(`${process.env.SMS_GATEWAY_URL}${path}`, body, {
+    headers: process.env.SMS_GATEWAY_TOKEN ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` } : {},
+    timeout: 10000
+  });
+  return { id: res.data && (res.data.id || res.data.messageId) };
+}
+
+function registerGateway(name, gateway) {
+  if (!gateway || typeof gateway.sendSms !== 'function') {
+    throw new Error('SMS gateway must have a sendSms function');
+  }
+  gateways[name] = gateway;
+}
+
+function getGateway() {
+  const name = process.env.SMS_GATEWAY || 'console';
+  const gateway = gateways[name];
+  if (!gateway) throw new Error(`Unknown SMS gateway: ${name}`);
+  return gateway;
+}
+
+module.exports = {
+  registerGateway,
+  getGateway
+};
\ No newline at end of file
@@ -0,0 +1,23 @@
+// services/channels/voice.js
+const { getGateway } = require('./smsGateway');
+
+module.exports = {
+  name: 'voice',
+
+  getTarget(user) {
+    return user.notificationPreferences && user.notificationPreferences.phone || null;
+  },
+
+  async send(phone, message) {
+    const gateway = getGateway();
+    if (typeof gateway.call !== 'function') {
+      const err = new Error('SMS gateway does not support voice calls');
+      err.permanent = true;
+      throw err;
+    }
+
+    // Emoji and symbols don't read well through text-to-speech
+    const script = `${message.title}. ${message.body}`.replace(/[^\p{L}\p{N}\s.,:%-]/gu, '').trim();
+    return gateway.call(phone, script);
+  }
+};
\ No newline at end of file
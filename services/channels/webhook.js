@@ -0,0 +1,100 @@
+// services/channels/webhook.js
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+// Webhook URLs are set by users, so the server must not be usable to reach
+// internal services: only https, and never loopback, private, link-local or
+// other non-public addresses. The address is checked when the connection is
+// made, so DNS changes and redirects can't get around it. Deployments that
+// post to receivers on their own network can set WEBHOOK_ALLOW_PRIVATE=true.
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+function allowPrivate() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+}
+
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges
+function isBlockedAddress(address) {
+  return BLOCKED.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function rejected(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+// Reason a webhook URL can't be used, or null. Hostnames are only resolved
+// when sending.
+function checkWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return 'Webhook URL is not a valid URL';
+  }
+
+  if (allowPrivate()) return null;
+  if (url.protocol !== 'https:') return 'Webhook URL must use https';
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isBlockedAddress(host))) {
+    return 'Webhook URL must not point to a local or private address';
+  }
+  return null;
+}
+
+// dns.lookup that refuses to connect to blocked addresses
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) return callback(rejected(`Webhook host ${hostname} resolves to a private address (${blocked.address})`));
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const publicAgent = new https.Agent({ lookup: publicLookup });
+
+module.exports = {
+  name: 'webhook',
+  checkWebhookUrl,
+
+  getTarget(user) {
+    return user.notificationPreferences && user.notificationPreferences.webhookUrl || null;
+  },
+
+  // POST the alert as JSON; signed with WEBHOOK_SECRET when set so receivers can verify it
+  async send(url, message) {
+    const problem = checkWebhookUrl(url);
+    if (problem) throw rejected(problem);
+
+    const body = JSON.stringify({ ...message.data, title: message.title, body: message.body, sentAt: new Date().toISOString() });
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (process.env.WEBHOOK_SECRET) {
+      headers['X-FloodGuard-Signature'] = 'sha256=' +
+        crypto.createHmac('sha256', process.env.WEBHOOK_SECRET).update(body).digest('hex');
+    }
+
+    const res = await axios.post(url, body, {
+      headers,
+      timeout: 10000,
+      ...(allowPrivate() ? {} : { httpsAgent: publicAgent, maxRedirects: 0 })
+    });
+    return { id: `webhook-${res.status}` };
+  }
+};
\ No newline at end of file
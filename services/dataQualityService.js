@@ -0,0 +1,170 @@
+// services/dataQualityService.js
+// Validates the values returned by the providers before they reach the
+// prediction. Each metric is checked for a plausible range, a plausible rate of
+// change since the last good reading, and staleness. Out-of-range values and
+// provider fallbacks are replaced with the station's last-known-good value
+// when one is recent enough, and every input gets a weight (0-1) that pulls it
+// towards a neutral baseline when it can't be trusted, so a dead or broken
+// source can't drive the risk.
+//
+// A fast change is only flagged and down-weighted, never replaced: a flash
+// rise is exactly what the prediction must see. Rises in water level keep
+// full weight.
+const FloodData = require('../models/floodData');
+const { METRICS, FALLBACK_VALUES } = require('./providers');
+
+// Values outside [min, max] are rejected. maxRatePerHour is the largest change
+// per hour expected against the last good reading (null = not checked, since a
+// 3h rainfall total can legitimately jump from nothing to a downpour); faster
+// changes are flagged. risesTrusted keeps fast rises at full weight.
+// maxAgeMinutes is how old an observation may be before it counts as stale.
+const QUALITY_RULES = {
+  rainfall: { min: 0, max: 400, maxRatePerHour: null, maxAgeMinutes: 180 },
+  waterLevel: { min: 0, max: 30, maxRatePerHour: 2, risesTrusted: true, maxAgeMinutes: 90 },
+  soilMoisture: { min: 0, max: 1, maxRatePerHour: 0.5, maxAgeMinutes: 180 }
+};
+
+// Last-known-good values older than this are not used, and stale inputs fade
+// to zero weight by this age
+const LKG_MAX_AGE_MINUTES = parseInt(process.env.QUALITY_LKG_MAX_AGE_MINUTES) || 360;
+// Rates are measured over at least this long, so two readings a minute apart
+// can't turn sensor noise into an implausible rate
+const MIN_RATE_HOURS = 0.25;
+// Weight of a value that changed faster than expected
+const RATE_WEIGHT = 0.5;
+
+// Reasons that mean the value itself is wrong, rather than merely old or missing
+const SUSPECT_REASONS = ['range'];
+// Reasons the value is replaced with the last-known-good one
+const SUBSTITUTE_REASONS = ['range', 'fallback'];
+
+function ageMinutes(date, now) {
+  return (now - new Date(date).getTime()) / 60000;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Full weight while fresh, fading linearly to zero at LKG_MAX_AGE_MINUTES
+function ageWeight(age, maxAgeMinutes) {
+  if (age <= maxAgeMinutes) return 1;
+  if (LKG_MAX_AGE_MINUTES <= maxAgeMinutes) return 0;
+  return Math.max(0, 1 - (age - maxAgeMinutes) / (LKG_MAX_AGE_MINUTES - maxAgeMinutes));
+}
+
+// Most recent reading for the station whose value for this metric came from a
+// real source and was stored as observed. Fast changes count: once water has
+// risen, the risen level is the baseline for the next reading.
+async function findLastKnownGood(stationId, metric, now) {
+  return FloodData.findOne({
+    station: stationId,
+    timestamp: { $gte: new Date(now - LKG_MAX_AGE_MINUTES * 60000) },
+    [`dataSource.${metric}`]: { $nin: ['fallback', null] },
+    'quality.flags': { $not: { $elemMatch: { metric, reason: { $in: ['range', 'stale'] } } } }
+  })
+    .sort({ timestamp: -1 })
+    .select(`${metric} timestamp`)
+    .lean();
+}
+
+function checkMetric(metric, data, lastGood, now) {
+  const rule = QUALITY_RULES[metric];
+  const flags = [];
+  const flag = (reason, detail) => flags.push({ metric, reason, value: data.value, detail });
+
+  if (data.source === 'fallback') {
+    flag('fallback', 'All providers failed');
+    return flags;
+  }
+
+  if (data.value < rule.min || data.value > rule.max) {
+    flag('range', `Outside ${rule.min}-${rule.max}`);
+  }
+
+  if (rule.maxRatePerHour !== null && lastGood && typeof lastGood[metric] === 'number' && flags.length === 0) {
+    const hours = Math.max(ageMinutes(lastGood.timestamp, now) / 60, MIN_RATE_HOURS);
+    const rate = Math.abs(data.value - lastGood[metric]) / hours;
+    if (rate > rule.maxRatePerHour) {
+      flag('rate', `Changed ${round(rate)}/h since ${new Date(lastGood.timestamp).toISOString()} (max ${rule.maxRatePerHour}/h)`);
+    }
+  }
+
+  if (data.observedAt) {
+    const age = ageMinutes(data.observedAt, now);
+    if (age > rule.maxAgeMinutes) {
+      flag('stale', `Observed ${Math.round(age)} min ago (max ${rule.maxAgeMinutes} min)`);
+    }
+  }
+
+  return flags;
+}
+
+// Check the fetched values for a station.
+//   sources - { rainfall, waterLevel, soilMoisture } results from fetchMetric
+// Resolves to { values, quality }, where values are the (possibly substituted)
+// readings to store and quality is the FloodData.quality subdocument.
+async function validateReadings(station, sources) {
+  const now = Date.now();
+  const lastGood = await Promise.all(METRICS.map(metric => findLastKnownGood(station._id, metric, now)));
+
+  const values = {};
+  const quality = { status: 'ok', flags: [], substitutions: [], weights: {} };
+
+  METRICS.forEach((metric, i) => {
+    const data = sources[metric];
+    const rule = QUALITY_RULES[metric];
+    const flags = checkMetric(metric, data, lastGood[i], now);
+    const reasons = flags.map(f => f.reason);
+
+    values[metric] = data.value;
+    quality.weights[metric] = 1;
+    quality.flags.push(...flags);
+
+    if (reasons.includes('stale')) {
+      quality.weights[metric] = round(ageWeight(ageMinutes(data.observedAt, now), rule.maxAgeMinutes));
+    }
+
+    const good = lastGood[i];
+    if (reasons.includes('rate')) {
+      const rising = data.value > good[metric];
+      if (!(rising && rule.risesTrusted)) quality.weights[metric] = Math.min(quality.weights[metric], RATE_WEIGHT);
+    }
+
+    if (!reasons.some(r => SUBSTITUTE_REASONS.includes(r))) return;
+
+    if (good && typeof good[metric] === 'number') {
+      const age = ageMinutes(good.timestamp, now);
+      values[metric] = good[metric];
+      quality.weights[metric] = round(ageWeight(age, rule.maxAgeMinutes));
+      quality.substitutions.push({ metric, value: good[metric], observedAt: good.timestamp, ageMinutes: Math.round(age) });
+    } else {
+      // Nothing to fall back on: leave the input out of the risk entirely
+      quality.weights[metric] = 0;
+    }
+  });
+
+  if (quality.flags.some(f => SUSPECT_REASONS.includes(f.reason))) quality.status = 'suspect';
+  else if (quality.flags.length > 0) quality.status = 'degraded';
+
+  return { values, quality };
+}
+
+// Pull each input towards its neutral baseline by (1 - weight), so a weight of
+// 0 removes the input's contribution and 1 leaves it unchanged
+function applyWeights(values, weights) {
+  const weighted = {};
+  METRICS.forEach(metric => {
+    const weight = weights && typeof weights[metric] === 'number' ? weights[metric] : 1;
+    const neutral = FALLBACK_VALUES[metric];
+    weighted[metric] = neutral + weight * (values[metric] - neutral);
+  });
+  return weighted;
+}
+
+module.exports = {
+  QUALITY_RULES,
+  LKG_MAX_AGE_MINUTES,
+  validateReadings,
+  applyWeights
+};
\ No newline at end of file
@@ -0,0 +1,101 @@
+// services/evaluationService.js
+// Classification metrics for risk predictions against observed flood tiers.
+//
+// Tiers are ordered, so each tier is scored as the decision an operator acts
+// on: "low" is predicted risk below 30% against no flood, "medium" is 30% or
+// more against a flood of any severity, and "high" is 70% or more against a
+// moderate or major flood. ROC-AUC uses the raw risk score for the same split.
+const { getRiskLevel } = require('./predictionService');
+
+const TIERS = ['low', 'medium', 'high'];
+const TIER_RANK = { low: 0, medium: 1, high: 2 };
+
+function round(value) {
+  return value === null || Number.isNaN(value) ? null : Math.round(value * 10000) / 10000;
+}
+
+// Area under the ROC curve via the rank-sum statistic (ties share ranks).
+// null when there are no positives or no negatives.
+function rocAuc(scores, labels) {
+  const positives = labels.filter(Boolean).length;
+  const negatives = labels.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+
+  const order = scores.map((score, i) => ({ score, label: labels[i] })).sort((a, b) => a.score - b.score);
+  let rankSum = 0;
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j < order.length && order[j].score === order[i].score) j++;
+    const averageRank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) {
+      if (order[k].label) rankSum += averageRank;
+    }
+    i = j;
+  }
+
+  return (rankSum - (positives * (positives + 1)) / 2) / (positives * negatives);
+}
+
+function binaryMetrics(actual, predicted, scores) {
+  let tp = 0;
+  let fp = 0;
+  let fn = 0;
+  actual.forEach((isPositive, i) => {
+    if (predicted[i] && isPositive) tp++;
+    else if (predicted[i]) fp++;
+    else if (isPositive) fn++;
+  });
+
+  const precision = tp + fp > 0 ? tp / (tp + fp) : null;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : null;
+  let f1 = null;
+  if (precision !== null && recall !== null) {
+    f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+  }
+
+  return {
+    support: tp + fn,
+    precision: round(precision),
+    recall: round(recall),
+    f1: round(f1),
+    rocAuc: round(rocAuc(scores, actual))
+  };
+}
+
+// Score predictions (0-100) against the observed tier of each sample.
+// Returns { samples, accuracy, confusion, tiers: { low, medium, high } }.
+function evaluatePredictions(tiers, predictions) {
+  const predictedTiers = predictions.map(getRiskLevel);
+
+  const confusion = {};
+  TIERS.forEach(actual => {
+    confusion[actual] = { low: 0, medium: 0, high: 0 };
+  });
+  tiers.forEach((actual, i) => {
+    confusion[actual][predictedTiers[i]]++;
+  });
+
+  const correct = tiers.filter((actual, i) => actual === predictedTiers[i]).length;
+  const atLeast = (tier) => (t) => TIER_RANK[t] >= TIER_RANK[tier];
+
+  return {
+    samples: tiers.length,
+    accuracy: tiers.length > 0 ? round(correct / tiers.length) : null,
+    confusion,
+    tiers: {
+      low: binaryMetrics(
+        tiers.map(t => t === 'low'),
+        predictedTiers.map(t => t === 'low'),
+        predictions.map(p => 100 - p)
+      ),
+      medium: binaryMetrics(tiers.map(atLeast('medium')), predictedTiers.map(atLeast('medium')), predictions),
+      high: binaryMetrics(tiers.map(atLeast('high')), predictedTiers.map(atLeast('high')), predictions)
+    }
+  };
+}
+
+module.exports = {
+  TIERS,
+  rocAuc,
+  evaluatePredictions
+};
\ No newline at end of file
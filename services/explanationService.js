@@ -0,0 +1,122 @@
+// services/explanationService.js
+// Per-feature breakdowns of a risk prediction. Each explanation is
+// { method, baseline, contributions: [{ feature, value, points }], summary }
+// where baseline plus every contribution's points adds up to the prediction.
+//
+// The fallback heuristic is explained by its own points table. The model is
+// explained with exact Shapley values against a dry baseline (no rain, no
+// water, dry soil): every combination of features is scored with the others
+// held at the baseline, which for five inputs is one batch of 32 predictions.
+
+// Inputs as the model and fallback see them
+const FEATURES = ['rainfall', 'waterLevel', 'soilMoisture', 'rain24h', 'api'];
+// The reading every model explanation is measured from
+const BASELINE_READING = { rainfall: 0, waterLevel: 0, soilMoisture: 0, rain24h: 0, api: 0 };
+
+const LABELS = {
+  rainfall: (v) => `rainfall ${v.toFixed(1)} mm`,
+  waterLevel: (v) => `water level ${v.toFixed(2)} m`,
+  soilMoisture: (v) => `soil moisture ${Math.round(v * 100)}%`,
+  rain24h: (v) => `${Math.round(v)} mm of rain in 24h`,
+  api: (v) => `wet ground (API ${Math.round(v)})`,
+  combined: () => 'heavy rain, high water and wet soil together'
+};
+
+function bitCount(mask) {
+  let count = 0;
+  for (let bits = mask; bits; bits >>= 1) count += bits & 1;
+  return count;
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Round contributions to 0.1 points and push the rounding error onto the
+// largest one, so baseline + contributions equals the prediction exactly.
+// Rows are returned largest effect first.
+function balance(contributions, baseline, prediction) {
+  const rows = contributions.map(row => ({ ...row, points: round1(row.points) }));
+  const residual = round1(prediction - baseline - rows.reduce((sum, row) => sum + row.points, 0));
+
+  if (rows.length > 0 && residual !== 0) {
+    const largest = rows.reduce((max, row) => (Math.abs(row.points) > Math.abs(max.points) ? row : max), rows[0]);
+    largest.points = round1(largest.points + residual);
+  }
+  return rows.sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+}
+
+// "water level 4.20 m +28, rainfall 35.0 mm +20" for the top contributions
+function summarise(contributions, limit = 3) {
+  const parts = contributions
+    .filter(row => row.feature !== 'cap' && Math.abs(row.points) >= 0.5)
+    .slice(0, limit)
+    .map(row => `${LABELS[row.feature](row.value)} ${row.points > 0 ? '+' : ''}${Math.round(row.points)}`);
+  return parts.length > 0 ? parts.join(', ') : 'no notable factors';
+}
+
+// The baseline is rounded before balancing, so the sum holds for the
+// baseline as reported
+function build(method, baseline, contributions, prediction) {
+  const roundedBaseline = round1(baseline);
+  const rows = balance(contributions, roundedBaseline, prediction);
+  return {
+    method,
+    baseline: roundedBaseline,
+    contributions: rows,
+    summary: summarise(rows)
+  };
+}
+
+// Explanation for the fallback from its points table, [{ feature, points }]
+function explainPoints(reading, table, prediction) {
+  const contributions = table.map(row => ({ feature: row.feature, value: reading[row.feature], points: row.points }));
+  return build('points', 0, contributions, prediction);
+}
+
+// Exact Shapley values for n features. score(masks) takes an array of bit
+// masks (bit i set: feature i takes the reading's value, otherwise the
+// baseline's) and returns a score for each.
+function shapley(n, score) {
+  const size = 1 << n;
+  const values = score(Array.from({ length: size }, (_, mask) => mask));
+
+  const factorial = [1];
+  for (let k = 1; k <= n; k++) factorial[k] = factorial[k - 1] * k;
+
+  const phi = new Array(n).fill(0);
+  for (let mask = 0; mask < size - 1; mask++) {
+    const members = bitCount(mask);
+    const weight = (factorial[members] * factorial[n - members - 1]) / factorial[n];
+    for (let i = 0; i < n; i++) {
+      if (mask & (1 << i)) continue;
+      phi[i] += weight * (values[mask | (1 << i)] - values[mask]);
+    }
+  }
+
+  return { baseline: values[0], phi };
+}
+
+// Explanation for a model. predictBatch(readings) returns a risk percentage
+// for each { rainfall, waterLevel, soilMoisture, rain24h, api }. Features the
+// model ignores, like antecedent rainfall for older models, are left out.
+function explainModel(reading, prediction, predictBatch, features = FEATURES) {
+  const { baseline, phi } = shapley(features.length, masks => predictBatch(masks.map(mask => {
+    const mixed = { ...BASELINE_READING };
+    features.forEach((feature, i) => {
+      if (mask & (1 << i)) mixed[feature] = reading[feature];
+    });
+    return mixed;
+  })));
+
+  const contributions = features.map((feature, i) => ({ feature, value: reading[feature], points: phi[i] }));
+  return build('shapley', baseline, contributions, prediction);
+}
+
+module.exports = {
+  FEATURES,
+  BASELINE_READING,
+  summarise,
+  explainPoints,
+  explainModel
+};
\ No newline at end of file
@@ -0,0 +1,96 @@
+// services/exportService.js
+// Streams query results as CSV, GeoJSON or NDJSON straight from a Mongo
+// cursor, so exports of any size never sit in memory all at once.
+const { once } = require('events');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' }
+};
+
+function getValue(doc, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? value : value[key]), doc);
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  // Quote anything with separators, and neutralise spreadsheet formulas
+  const safe = /^[=+\-@\t\r]/.test(text) && isNaN(Number(text)) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function csvRow(values) {
+  return values.map(csvCell).join(',') + '\r\n';
+}
+
+// Stream a cursor to res in the given format.
+//   columns   - dotted paths written as CSV columns / GeoJSON properties / NDJSON keys
+//   toPoint   - doc => [lng, lat] or null, for GeoJSON geometry
+//   filename  - download name without extension
+// Resolves to the number of rows written.
+async function streamExport(req, res, cursor, { format, columns, toPoint, filename }) {
+  const { contentType, extension } = FORMATS[format];
+  let aborted = false;
+  let count = 0;
+
+  req.on('close', () => {
+    if (!res.writableFinished) {
+      aborted = true;
+      cursor.close().catch(() => {});
+    }
+  });
+
+  const write = async (chunk) => {
+    if (!res.write(chunk)) await once(res, 'drain');
+  };
+
+  res.status(200);
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+
+  try {
+    if (format === 'csv') await write(csvRow(columns));
+    if (format === 'geojson') await write('{"type":"FeatureCollection","features":[\n');
+
+    for await (const doc of cursor) {
+      if (aborted) break;
+
+      const row = {};
+      columns.forEach(column => {
+        const value = getValue(doc, column);
+        row[column] = value === undefined ? null : value;
+      });
+
+      if (format === 'csv') {
+        await write(csvRow(columns.map(column => row[column])));
+      } else if (format === 'ndjson') {
+        await write(JSON.stringify(row) + '\n');
+      } else {
+        const point = toPoint(doc);
+        const feature = {
+          type: 'Feature',
+          geometry: point ? { type: 'Point', coordinates: point } : null,
+          properties: row
+        };
+        await write((count > 0 ? ',\n' : '') + JSON.stringify(feature));
+      }
+      count++;
+    }
+
+    if (format === 'geojson') await write('\n]}\n');
+    res.end();
+  } catch (err) {
+    // Headers are already sent, so the only way to signal failure is to cut the stream
+    console.error('✗ Export stream error:', err.message);
+    res.destroy(err);
+  }
+
+  return count;
+}
+
+module.exports = {
+  FORMATS,
+  streamExport
+};
\ No newline at end of file
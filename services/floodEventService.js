@@ -0,0 +1,239 @@
+// services/floodEventService.js
+// Ground-truth flood reports: responders and verified users report observed
+// flooding, admins confirm or reject the reports, and confirmed events are
+// linked to the nearest station and the predictions made there beforehand,
+// so each event can be scored as a hit or a miss.
+const mongoose = require('mongoose');
+const FloodEvent = require('../models/floodEvent');
+const FloodData = require('../models/floodData');
+const MonitoringStation = require('../models/monitoringStation');
+const { LABEL_HORIZON_HOURS } = require('./trainingDataService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const TIER_RANK = { low: 0, medium: 1, high: 2 };
+// Reports further than this from every active station can't be linked automatically
+const MAX_STATION_KM = parseFloat(process.env.FLOOD_EVENT_MAX_STATION_KM) || 25;
+// Reports of floods older than this are rejected as too late to be useful
+const MAX_REPORT_AGE_MS = 30 * 24 * HOUR_MS;
+const REPORT_FIELDS = ['lat', 'lng', 'depth', 'severity', 'description', 'photos'];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw httpError(400, `Invalid ${name}`);
+  return date;
+}
+
+// Great-circle distance in km
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(lat2 - lat1);
+  const dLng = rad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+async function loadEvent(eventId) {
+  if (!mongoose.isValidObjectId(eventId)) throw httpError(400, 'Invalid flood event ID');
+
+  const event = await FloodEvent.findById(eventId);
+  if (!event) throw httpError(404, 'Flood event not found');
+  return event;
+}
+
+// Create a pending report from a user's submission
+async function reportFloodEvent(user, body) {
+  const event = new FloodEvent({ source: 'report', status: 'pending', reportedBy: user._id });
+  REPORT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) event[field] = body[field];
+  });
+
+  if (typeof event.lat !== 'number' || typeof event.lng !== 'number') {
+    throw httpError(400, 'lat and lng are required');
+  }
+
+  const now = Date.now();
+  event.startedAt = body.observedAt ? parseDate(body.observedAt, 'observedAt') : new Date(now);
+  if (event.startedAt.getTime() > now + 5 * 60 * 1000) throw httpError(400, 'observedAt cannot be in the future');
+  if (now - event.startedAt.getTime() > MAX_REPORT_AGE_MS) throw httpError(400, 'observedAt is more than 30 days ago');
+  if (body.endedAt) {
+    event.endedAt = parseDate(body.endedAt, 'endedAt');
+    if (event.endedAt < event.startedAt) throw httpError(400, 'endedAt must be after observedAt');
+  }
+
+  await event.save();
+  console.log(`🌊 Flood reported by ${user.username}: ${event.severity} at (${event.lat}, ${event.lng})`);
+  return event;
+}
+
+// The given station, or the nearest active station to the event
+async function findStation(event, stationId) {
+  if (stationId) {
+    if (!mongoose.isValidObjectId(stationId)) throw httpError(400, 'Invalid station ID');
+    const station = await MonitoringStation.findById(stationId);
+    if (!station) throw httpError(404, 'Station not found');
+    return station;
+  }
+
+  if (typeof event.lat !== 'number' || typeof event.lng !== 'number') {
+    throw httpError(400, 'Event has no location; pass a station ID');
+  }
+
+  const [nearest] = await MonitoringStation.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [event.lng, event.lat] },
+        distanceField: 'distance',
+        maxDistance: MAX_STATION_KM * 1000,
+        query: { active: true },
+        spherical: true
+      }
+    },
+    { $limit: 1 }
+  ]);
+  if (!nearest) throw httpError(400, `No active station within ${MAX_STATION_KM} km; pass a station ID`);
+  return MonitoringStation.hydrate(nearest);
+}
+
+// Attach the station's predictions from the label horizon before the flood
+// and score them
+async function linkPredictions(event) {
+  const readings = await FloodData.find({
+    station: event.station,
+    timestamp: { $gte: new Date(event.startedAt.getTime() - LABEL_HORIZON_HOURS * HOUR_MS), $lte: event.startedAt }
+  })
+    .select('timestamp prediction riskLevel')
+    .sort({ timestamp: 1 })
+    .lean();
+
+  event.predictions = readings.map(r => ({
+    reading: r._id,
+    timestamp: r.timestamp,
+    prediction: r.prediction,
+    riskLevel: r.riskLevel
+  }));
+
+  event.outcome = scoreWarnings(event, readings);
+}
+
+// Outcome of time-ordered { timestamp, prediction, riskLevel } readings from
+// before an event: a hit when any reached the tier its severity calls for
+function scoreWarnings(event, readings) {
+  const required = FloodEvent.SEVERITY_TIER[event.severity];
+  const peak = readings.reduce((max, r) => (!max || r.prediction > max.prediction ? r : max), null);
+  const firstWarning = readings.find(r => TIER_RANK[r.riskLevel] >= TIER_RANK[required]);
+
+  return {
+    hit: Boolean(firstWarning),
+    maxPrediction: peak ? peak.prediction : undefined,
+    maxRiskLevel: peak ? peak.riskLevel : undefined,
+    firstWarningAt: firstWarning ? firstWarning.timestamp : undefined,
+    leadTimeHours: firstWarning
+      ? Math.round(((event.startedAt - firstWarning.timestamp) / HOUR_MS) * 10) / 10
+      : undefined
+  };
+}
+
+// Confirm a pending report. Admins may correct the time, severity or depth and
+// choose the station; otherwise the nearest active station is used.
+async function confirmFloodEvent(eventId, user, body = {}) {
+  const event = await loadEvent(eventId);
+  if (event.status !== 'pending') throw httpError(409, `Flood event is already ${event.status}`);
+
+  if (body.severity !== undefined) event.severity = body.severity;
+  if (body.depth !== undefined) event.depth = body.depth;
+  if (body.startedAt) event.startedAt = parseDate(body.startedAt, 'startedAt');
+  if (body.endedAt) event.endedAt = parseDate(body.endedAt, 'endedAt');
+  if (event.endedAt && event.endedAt < event.startedAt) throw httpError(400, 'endedAt must be after startedAt');
+  if (event.startedAt.getTime() > Date.now() + 5 * 60 * 1000) throw httpError(400, 'startedAt cannot be in the future');
+
+  const station = await findStation(event, body.station);
+  event.station = station._id;
+  event.distanceKm = typeof event.lat === 'number'
+    ? Math.round(distanceKm(event.lat, event.lng, station.lat, station.lng) * 100) / 100
+    : undefined;
+
+  await linkPredictions(event);
+
+  event.status = 'confirmed';
+  event.review = { by: user._id, at: new Date(), note: body.note };
+  await event.save();
+
+  console.log(
+    `✓ Flood event ${event._id} confirmed at ${station.name}: ` +
+    `${event.outcome.hit ? `hit, warned ${event.outcome.leadTimeHours}h ahead` : 'missed'}`
+  );
+  return event;
+}
+
+async function rejectFloodEvent(eventId, user, note) {
+  const event = await loadEvent(eventId);
+  if (event.status !== 'pending') throw httpError(409, `Flood event is already ${event.status}`);
+
+  event.status = 'rejected';
+  event.review = { by: user._id, at: new Date(), note };
+  await event.save();
+  return event;
+}
+
+// Hit and miss rates over confirmed, scored events, overall and by severity
+async function getHitRates({ from, to, station } = {}) {
+  const match = { status: 'confirmed', 'outcome.hit': { $ne: null } };
+  if (station) match.station = new mongoose.Types.ObjectId(String(station));
+  if (from || to) {
+    match.startedAt = {};
+    if (from) match.startedAt.$gte = from;
+    if (to) match.startedAt.$lte = to;
+  }
+
+  const groups = await FloodEvent.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$severity',
+        events: { $sum: 1 },
+        hits: { $sum: { $cond: ['$outcome.hit', 1, 0] } },
+        meanLeadTimeHours: { $avg: '$outcome.leadTimeHours' }
+      }
+    }
+  ]);
+
+  const summarise = (events, hits, lead) => ({
+    events,
+    hits,
+    misses: events - hits,
+    hitRate: events > 0 ? Math.round((hits / events) * 1000) / 1000 : null,
+    meanLeadTimeHours: typeof lead === 'number' ? Math.round(lead * 10) / 10 : null
+  });
+
+  const bySeverity = {};
+  FloodEvent.SEVERITIES.forEach(severity => {
+    const group = groups.find(g => g._id === severity);
+    bySeverity[severity] = summarise(group ? group.events : 0, group ? group.hits : 0, group && group.meanLeadTimeHours);
+  });
+
+  const events = groups.reduce((sum, g) => sum + g.events, 0);
+  const hits = groups.reduce((sum, g) => sum + g.hits, 0);
+  const leadWeighted = groups.reduce((sum, g) => sum + (g.meanLeadTimeHours || 0) * g.hits, 0);
+
+  return {
+    labelHorizonHours: LABEL_HORIZON_HOURS,
+    ...summarise(events, hits, hits > 0 ? leadWeighted / hits : null),
+    bySeverity
+  };
+}
+
+module.exports = {
+  MAX_STATION_KM,
+  reportFloodEvent,
+  confirmFloodEvent,
+  rejectFloodEvent,
+  linkPredictions,
+  scoreWarnings,
+  getHitRates
+};
\ No newline at end of file
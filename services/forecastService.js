@@ -0,0 +1,246 @@
+// services/forecastService.js
+// Forward-looking risk from the OpenWeatherMap 5-day forecast. For every
+// 3-hour step up to the longest horizon, the step's expected rain (rainfall x
+// probability of precipitation) drives the rainfall input, and the expected
+// accumulation so far wets the soil towards saturation and adds to the
+// antecedent rainfall. The station's current water level is carried forward
+// unchanged; river response isn't modelled.
+const FloodData = require('../models/floodData');
+const FloodForecast = require('../models/floodForecast');
+const MonitoringStation = require('../models/monitoringStation');
+const openWeatherMap = require('./providers/openWeatherMap');
+const { FALLBACK_VALUES } = require('./providers');
+const { LKG_MAX_AGE_MINUTES } = require('./dataQualityService');
+const { API_DECAY, getAntecedentRainfall } = require('./antecedentService');
+const { predictFloodRisk, getRiskLevel } = require('./predictionService');
+
+const HOUR_MS = 60 * 60 * 1000;
+// The forecast API covers 5 days
+const MAX_HORIZON_HOURS = 120;
+const DEFAULT_HORIZONS = [3, 6, 12, 24, 48];
+const HORIZONS = parseHorizons(process.env.FORECAST_HORIZONS);
+const RETENTION_MS = (parseInt(process.env.FORECAST_RETENTION_DAYS) || 7) * 24 * HOUR_MS;
+// Expected rain (mm) that takes the soil from its current moisture to saturated
+const SOIL_SATURATION_MM = 100;
+
+// Comma-separated hours, e.g. "3,6,12,24,48"; invalid entries are dropped
+function parseHorizons(value) {
+  const hours = String(value || '')
+    .split(',')
+    .map(h => parseInt(h))
+    .filter(h => h > 0 && h <= MAX_HORIZON_HOURS)
+    .sort((a, b) => a - b);
+  return hours.length > 0 ? hours : DEFAULT_HORIZONS;
+}
+
+let io = null;
+let jobInProgress = false;
+
+// Socket.io server used to broadcast forecastUpdate events
+function setSocketServer(socketServer) {
+  io = socketServer;
+}
+
+function isJobInProgress() {
+  return jobInProgress;
+}
+
+function round(value, places = 2) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+// Water level and soil moisture to start from: the station's latest reading
+// if it's recent, otherwise the provider fallback values
+async function getBaseline(station) {
+  const [latest, antecedent] = await Promise.all([
+    FloodData.findOne({
+      station: station._id,
+      timestamp: { $gte: new Date(Date.now() - LKG_MAX_AGE_MINUTES * 60 * 1000) }
+    })
+      .sort({ timestamp: -1 })
+      .select('waterLevel soilMoisture')
+      .lean(),
+    getAntecedentRainfall(station._id)
+  ]);
+
+  return {
+    reading: latest ? latest._id : undefined,
+    waterLevel: latest && typeof latest.waterLevel === 'number' ? latest.waterLevel : FALLBACK_VALUES.waterLevel,
+    soilMoisture: latest && typeof latest.soilMoisture === 'number' ? latest.soilMoisture : FALLBACK_VALUES.soilMoisture,
+    rain24h: antecedent.rain24h,
+    api: antecedent.api
+  };
+}
+
+// Antecedent rainfall at a step: observed rain ages out of the 24h window and
+// decays in the index, while expected forecast rain is added in full
+function projectAntecedent(baseline, upcoming, step, hours, accumulation) {
+  const windowStart = step.validAt.getTime() - 24 * HOUR_MS;
+  const forecast24h = upcoming
+    .filter(s => s.validAt.getTime() > windowStart && s.validAt <= step.validAt)
+    .reduce((sum, s) => sum + s.rainfall * s.pop, 0);
+
+  return {
+    rain24h: forecast24h + (baseline.rain24h || 0) * Math.max(0, 1 - hours / 24),
+    api: (baseline.api || 0) * Math.pow(API_DECAY, hours / 24) + accumulation
+  };
+}
+
+// Predict risk for each forecast step and summarise it per horizon
+async function buildForecast(station, forecastSteps, baseline, issuedAt) {
+  const maxHorizon = HORIZONS[HORIZONS.length - 1];
+  const until = issuedAt.getTime() + maxHorizon * HOUR_MS;
+  const upcoming = forecastSteps.filter(step => step.validAt > issuedAt && step.validAt.getTime() <= until);
+
+  const steps = [];
+  let accumulation = 0;
+  for (const step of upcoming) {
+    const expected = step.rainfall * step.pop;
+    accumulation += expected;
+    const hours = (step.validAt - issuedAt) / HOUR_MS;
+    const soilMoisture = baseline.soilMoisture + (1 - baseline.soilMoisture) * Math.min(1, accumulation / SOIL_SATURATION_MM);
+    const antecedent = projectAntecedent(baseline, upcoming, step, hours, accumulation);
+    const prediction = await predictFloodRisk(expected, baseline.waterLevel, soilMoisture, antecedent);
+
+    steps.push({
+      validAt: step.validAt,
+      horizonHours: round(hours, 1),
+      rainfall: round(step.rainfall),
+      pop: round(step.pop),
+      accumulation: round(accumulation),
+      soilMoisture: round(soilMoisture, 3),
+      rain24h: round(antecedent.rain24h),
+      api: round(antecedent.api),
+      prediction,
+      riskLevel: getRiskLevel(prediction)
+    });
+  }
+
+  const horizons = [];
+  HORIZONS.forEach(hours => {
+    const within = steps.filter(step => step.horizonHours <= hours);
+    if (within.length === 0) return;
+
+    const prediction = Math.max(...within.map(step => step.prediction));
+    horizons.push({
+      hours,
+      prediction,
+      riskLevel: getRiskLevel(prediction),
+      accumulation: within[within.length - 1].accumulation,
+      maxPop: Math.max(...within.map(step => step.pop))
+    });
+  });
+
+  // Earliest step at the highest risk
+  const peakStep = steps.reduce((peak, step) => (!peak || step.prediction > peak.prediction ? step : peak), null);
+
+  return {
+    station: station._id,
+    issuedAt,
+    source: openWeatherMap.name,
+    baseline,
+    steps,
+    horizons,
+    peak: peakStep && {
+      validAt: peakStep.validAt,
+      horizonHours: peakStep.horizonHours,
+      prediction: peakStep.prediction,
+      riskLevel: peakStep.riskLevel
+    },
+    expiresAt: new Date(issuedAt.getTime() + RETENTION_MS)
+  };
+}
+
+async function forecastStation(station) {
+  const issuedAt = new Date();
+  const [forecastSteps, baseline] = await Promise.all([
+    openWeatherMap.fetchForecast(station),
+    getBaseline(station)
+  ]);
+
+  const forecast = await FloodForecast.create(await buildForecast(station, forecastSteps, baseline, issuedAt));
+
+  if (forecast.peak) {
+    console.log(`  → ${station.name}: peak ${forecast.peak.prediction}% (${forecast.peak.riskLevel.toUpperCase()}) in ${forecast.peak.horizonHours}h`);
+  }
+
+  if (io) {
+    io.emit('forecastUpdate', { ...forecast.toObject(), stationName: station.name });
+  }
+
+  return forecast;
+}
+
+// Compute and store a forecast for each active station.
+// Only one job may run at a time; a concurrent call rejects with status 409.
+async function runForecastJob({ stationIds, trigger = 'cron' } = {}) {
+  if (jobInProgress) {
+    const err = new Error('A forecast job is already running');
+    err.status = 409;
+    throw err;
+  }
+  if (!process.env.OWM_KEY) {
+    const err = new Error('OWM_KEY is not set, forecasts are unavailable');
+    err.status = 503;
+    throw err;
+  }
+
+  jobInProgress = true;
+  const startedAt = new Date();
+
+  try {
+    console.log(`\n🌦️  Computing flood risk forecasts (${trigger})...`);
+
+    const filter = { active: true };
+    if (stationIds && stationIds.length > 0) filter._id = { $in: stationIds };
+    const stations = await MonitoringStation.find(filter);
+
+    const results = [];
+    for (const station of stations) {
+      try {
+        const forecast = await forecastStation(station);
+        results.push({ station: station._id, name: station.name, forecast: forecast._id, peak: forecast.peak });
+      } catch (err) {
+        console.error(`✗ Forecast error (${station.name}):`, err.message);
+        results.push({ station: station._id, name: station.name, error: err.message });
+      }
+    }
+
+    const finishedAt = new Date();
+    return {
+      trigger,
+      startedAt,
+      finishedAt,
+      durationMs: finishedAt - startedAt,
+      stations: results
+    };
+  } finally {
+    jobInProgress = false;
+  }
+}
+
+// Latest forecast run per station, optionally limited to some stations
+async function getLatestForecasts(stationIds) {
+  const match = stationIds && stationIds.length > 0 ? { station: { $in: stationIds } } : {};
+
+  const forecasts = await FloodForecast.aggregate([
+    { $match: match },
+    { $sort: { station: 1, issuedAt: -1 } },
+    { $group: { _id: '$station', forecast: { $first: '$$ROOT' } } },
+    { $replaceRoot: { newRoot: '$forecast' } },
+    { $sort: { 'peak.prediction': -1 } }
+  ]);
+
+  return FloodForecast.populate(forecasts, { path: 'station', select: 'name lat lng region' });
+}
+
+module.exports = {
+  HORIZONS,
+  setSocketServer,
+  isJobInProgress,
+  buildForecast,
+  forecastStation,
+  runForecastJob,
+  getLatestForecasts
+};
\ No newline at end of file
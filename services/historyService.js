@@ -0,0 +1,192 @@
+// services/historyService.js
+// Querying FloodData history: time range and risk filters, field selection,
+// cursor pagination, and hourly/daily downsampling via aggregation.
+const mongoose = require('mongoose');
+const FloodData = require('../models/floodData');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = parseInt(process.env.HISTORY_MAX_LIMIT) || 1000;
+const MAX_BUCKETS = parseInt(process.env.HISTORY_MAX_BUCKETS) || 2000;
+
+const RISK_LEVELS = ['low', 'medium', 'high'];
+const INTERVALS = ['hour', 'day'];
+const METRICS = ['rainfall', 'waterLevel', 'soilMoisture', 'prediction'];
+const SELECTABLE_FIELDS = [
+  'timestamp', 'station', 'lat', 'lng', 'rainfall', 'waterLevel', 'soilMoisture',
+  'prediction', 'riskLevel', 'modelVersion', 'explanation', 'sentAlert', 'dataSource', 'antecedent', 'quality'
+];
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw badRequest(`Invalid ${name} date`);
+  return date;
+}
+
+function parseList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Cursors are opaque to clients: base64url of "<timestamp ISO>|<_id>"
+function encodeCursor(doc) {
+  return Buffer.from(`${doc.timestamp.toISOString()}|${doc._id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const [timestamp, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+  const date = new Date(timestamp);
+  if (!id || isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) throw badRequest('Invalid cursor');
+  return { timestamp: date, id: new mongoose.Types.ObjectId(id) };
+}
+
+// Validate query-string options. Throws with err.status = 400 on bad input.
+function parseHistoryQuery(query) {
+  const options = {
+    filter: {},
+    order: query.order === 'asc' ? 1 : -1,
+    limit: DEFAULT_LIMIT
+  };
+
+  if (query.station) {
+    const stations = parseList(query.station);
+    if (!stations.every(id => mongoose.isValidObjectId(id))) throw badRequest('Invalid station ID');
+    options.filter.station = stations.length === 1
+      ? new mongoose.Types.ObjectId(stations[0])
+      : { $in: stations.map(id => new mongoose.Types.ObjectId(id)) };
+  }
+
+  if (query.riskLevel) {
+    const levels = parseList(query.riskLevel);
+    if (!levels.every(level => RISK_LEVELS.includes(level))) {
+      throw badRequest('riskLevel must be one of: ' + RISK_LEVELS.join(', '));
+    }
+    options.filter.riskLevel = levels.length === 1 ? levels[0] : { $in: levels };
+  }
+
+  if (query.from || query.to) {
+    options.filter.timestamp = {};
+    if (query.from) options.filter.timestamp.$gte = parseDate(query.from, 'from');
+    if (query.to) options.filter.timestamp.$lte = parseDate(query.to, 'to');
+    if (query.from && query.to && options.filter.timestamp.$gte > options.filter.timestamp.$lte) {
+      throw badRequest('from must be before to');
+    }
+  }
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit);
+    if (!(limit > 0)) throw badRequest('limit must be a positive number');
+    options.limit = Math.min(limit, query.interval ? MAX_BUCKETS : MAX_LIMIT);
+  }
+
+  if (query.fields) {
+    const fields = parseList(query.fields);
+    const unknown = fields.filter(field => !SELECTABLE_FIELDS.includes(field));
+    if (unknown.length > 0) throw badRequest(`Unknown field(s): ${unknown.join(', ')}`);
+    options.fields = fields;
+  }
+
+  if (query.interval) {
+    if (!INTERVALS.includes(query.interval)) {
+      throw badRequest('interval must be one of: ' + INTERVALS.join(', '));
+    }
+    options.interval = query.interval;
+    options.timezone = query.tz || 'UTC';
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: options.timezone });
+    } catch (err) {
+      throw badRequest(`Unknown time zone: ${options.timezone}`);
+    }
+  }
+
+  if (query.cursor) {
+    if (options.interval) throw badRequest('cursor cannot be combined with interval');
+    options.cursor = decodeCursor(query.cursor);
+  }
+
+  return options;
+}
+
+// Raw readings, one page at a time. Resolves to { data, nextCursor }.
+async function findHistory({ filter, order, limit, fields, cursor }) {
+  const query = { ...filter };
+
+  if (cursor) {
+    const op = order === 1 ? '$gt' : '$lt';
+    query.$and = [{
+      $or: [
+        { timestamp: { [op]: cursor.timestamp } },
+        { timestamp: cursor.timestamp, _id: { [op]: cursor.id } }
+      ]
+    }];
+  }
+
+  // timestamp is always returned; the cursor is built from it
+  const projection = fields ? [...new Set(['timestamp', ...fields])].join(' ') : undefined;
+
+  // Fetch one extra document to know whether another page exists
+  const docs = await FloodData.find(query, projection)
+    .sort({ timestamp: order, _id: order })
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = docs.length > limit;
+  const data = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    data,
+    nextCursor: hasMore ? encodeCursor(data[data.length - 1]) : null
+  };
+}
+
+// Downsample readings into hourly or daily buckets per station with
+// min/max/avg of each metric
+async function aggregateHistory({ filter, order, limit, interval, timezone, fields }) {
+  const metrics = fields ? METRICS.filter(metric => fields.includes(metric)) : METRICS;
+
+  const group = {
+    _id: {
+      station: '$station',
+      bucket: { $dateTrunc: { date: '$timestamp', unit: interval, timezone } }
+    },
+    count: { $sum: 1 },
+    highRisk: { $sum: { $cond: [{ $eq: ['$riskLevel', 'high'] }, 1, 0] } }
+  };
+  const project = {
+    _id: 0,
+    station: '$_id.station',
+    bucket: '$_id.bucket',
+    count: 1,
+    highRisk: 1
+  };
+
+  metrics.forEach(metric => {
+    group[`${metric}Min`] = { $min: `$${metric}` };
+    group[`${metric}Max`] = { $max: `$${metric}` };
+    group[`${metric}Avg`] = { $avg: `$${metric}` };
+    project[metric] = {
+      min: `$${metric}Min`,
+      max: `$${metric}Max`,
+      avg: { $round: [`$${metric}Avg`, 2] }
+    };
+  });
+
+  return FloodData.aggregate([
+    { $match: filter },
+    { $group: group },
+    { $sort: { '_id.bucket': order, '_id.station': 1 } },
+    { $limit: limit },
+    { $project: project }
+  ]);
+}
+
+module.exports = {
+  MAX_LIMIT,
+  parseHistoryQuery,
+  findHistory,
+  aggregateHistory
+};
\ No newline at end of file
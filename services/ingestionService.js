@@ -0,0 +1,202 @@
+// services/ingestionService.js
+const FloodData = require('../models/floodData');
+const MonitoringStation = require('../models/monitoringStation');
+const { fetchMetric } = require('./providers');
+const {
+  predict,
+  predictCandidate,
+  calculateRiskFallback,
+  getRiskLevel,
+  FALLBACK_VERSION
+} = require('./predictionService');
+const { validateReadings, applyWeights } = require('./dataQualityService');
+const { getAntecedentRainfall } = require('./antecedentService');
+const { processReading } = require('./alertLifecycleService');
+const { publicAlert } = require('./alertResponseService');
+
+let io = null;
+let jobInProgress = false;
+
+// Socket.io server used to broadcast floodUpdate events
+function setSocketServer(socketServer) {
+  io = socketServer;
+}
+
+function isJobInProgress() {
+  return jobInProgress;
+}
+
+// Run a provider fetch and record how long it took
+async function timedFetch(fetchFn) {
+  const started = Date.now();
+  const result = await fetchFn();
+  return { ...result, durationMs: Date.now() - started };
+}
+
+async function ingestStation(station) {
+  const { lat, lng } = station;
+  console.log(`\n📍 Station: ${station.name} (${lat}, ${lng})`);
+
+  // Fetch all data sources, and the station's recent rainfall history
+  const [rainfallData, waterLevelData, soilMoistureData, antecedent] = await Promise.all([
+    timedFetch(() => fetchMetric('rainfall', station)),
+    timedFetch(() => fetchMetric('waterLevel', station)),
+    timedFetch(() => fetchMetric('soilMoisture', station)),
+    getAntecedentRainfall(station._id)
+  ]);
+  console.log(`  → antecedent: ${antecedent.rain24h} mm/24h, ${antecedent.rain7d} mm/7d, API ${antecedent.api}`);
+
+  const sources = {
+    rainfall: rainfallData,
+    waterLevel: waterLevelData,
+    soilMoisture: soilMoistureData
+  };
+
+  // Flag implausible or stale values and substitute last-known-good ones
+  const { values, quality } = await validateReadings(station, sources);
+  quality.flags.forEach(flag => {
+    console.warn(`  ⚠ ${flag.metric} flagged (${flag.reason}): ${flag.detail}`);
+  });
+  quality.substitutions.forEach(sub => {
+    console.log(`  → ${sub.metric}: using last-known-good ${sub.value} (${sub.ageMinutes} min old)`);
+  });
+
+  // AI Prediction, with untrusted inputs down-weighted
+  const inputs = applyWeights(values, quality.weights);
+  const { prediction: riskPercent, modelVersion, explanation } = await predict(
+    inputs.rainfall,
+    inputs.waterLevel,
+    inputs.soilMoisture,
+    antecedent,
+    { explain: true }
+  );
+  
+  const riskLevel = getRiskLevel(riskPercent);
+
+  // Shadow candidate and heuristic on the same inputs, stored for comparison
+  const candidate = await predictCandidate(inputs.rainfall, inputs.waterLevel, inputs.soilMoisture, antecedent);
+  const fallbackRisk = calculateRiskFallback(inputs.rainfall, inputs.waterLevel, inputs.soilMoisture, antecedent);
+  const shadow = {
+    candidate: candidate ? { ...candidate, riskLevel: getRiskLevel(candidate.prediction) } : undefined,
+    fallback: { prediction: fallbackRisk, riskLevel: getRiskLevel(fallbackRisk) }
+  };
+  if (candidate) console.log(`  → shadow ${candidate.version}: ${candidate.prediction}% (${shadow.candidate.riskLevel})`);
+  
+  console.log(`\n📊 PREDICTION: ${riskPercent}% risk (${riskLevel.toUpperCase()})${modelVersion === FALLBACK_VERSION ? ' [Fallback Algorithm]' : ` [AI Model ${modelVersion}]`}${quality.status !== 'ok' ? ` [Data ${quality.status}]` : ''}`);
+  console.log(`  → why: ${explanation.summary}`);
+
+  // Save to DB
+  const newData = new FloodData({
+    station: station._id,
+    lat,
+    lng,
+    rainfall: values.rainfall,
+    waterLevel: values.waterLevel,
+    soilMoisture: values.soilMoisture,
+    prediction: riskPercent,
+    riskLevel,
+    modelVersion,
+    explanation,
+    dataSource: {
+      rainfall: rainfallData.source,
+      waterLevel: waterLevelData.source,
+      soilMoisture: soilMoistureData.source
+    },
+    antecedent,
+    quality,
+    shadow
+  });
+  
+  await newData.save();
+  console.log('✓ Data saved to database');
+
+  // Broadcast to connected clients, without the internal shadow predictions
+  if (io) {
+    const { shadow: _shadow, ...update } = newData.toObject();
+    io.emit('floodUpdate', { ...update, stationName: station.name });
+    console.log('✓ Update broadcast to clients');
+  }
+
+  // Open, escalate, remind or close the station's alert
+  const { alert, event: alertEvent } = await processReading(newData, station);
+  if (alert && alertEvent && io) {
+    io.emit('alertUpdate', { ...publicAlert(alert), event: alertEvent, stationName: station.name });
+  }
+
+  const timings = {};
+  const failures = [];
+  Object.entries(sources).forEach(([metric, data]) => {
+    timings[metric] = data.durationMs;
+    data.attempts.forEach(attempt => {
+      failures.push({ metric, source: attempt.source, error: attempt.error });
+    });
+  });
+
+  return {
+    record: newData,
+    alert: alert ? { _id: alert._id, state: alert.state, level: alert.level, event: alertEvent } : null,
+    quality: { status: quality.status, flags: quality.flags.length },
+    timings,
+    failures
+  };
+}
+
+// Fetch, predict, save and broadcast a FloodData record for each active station.
+// Only one job may run at a time; a concurrent call rejects with status 409.
+async function runIngestionJob({ stationIds, trigger = 'cron' } = {}) {
+  if (jobInProgress) {
+    const err = new Error('An ingestion job is already running');
+    err.status = 409;
+    throw err;
+  }
+
+  jobInProgress = true;
+  const startedAt = new Date();
+
+  try {
+    console.log('\n' + '='.repeat(50));
+    console.log(`🔄 Fetching real-time flood data (${trigger})...`);
+    console.log('='.repeat(50));
+
+    const filter = { active: true };
+    if (stationIds && stationIds.length > 0) filter._id = { $in: stationIds };
+
+    const stations = await MonitoringStation.find(filter);
+    
+    if (stations.length === 0) {
+      console.warn('⚠ No active monitoring stations configured');
+    }
+
+    // Stations are processed one at a time to stay within API rate limits
+    const results = [];
+    for (const station of stations) {
+      try {
+        const result = await ingestStation(station);
+        results.push({ station: station._id, name: station.name, ...result });
+      } catch (err) {
+        console.error(`✗ Data ingestion error (${station.name}):`, err.message);
+        results.push({ station: station._id, name: station.name, error: err.message });
+      }
+    }
+    
+    console.log('='.repeat(50) + '\n');
+
+    const finishedAt = new Date();
+    return {
+      trigger,
+      startedAt,
+      finishedAt,
+      durationMs: finishedAt - startedAt,
+      stations: results
+    };
+  } finally {
+    jobInProgress = false;
+  }
+}
+
+module.exports = {
+  setSocketServer,
+  isJobInProgress,
+  ingestStation,
+  runIngestionJob
+};
\ No newline at end of file
@@ -0,0 +1,104 @@
+// services/mailService.js
+// Pluggable outgoing mail. MAIL_TRANSPORT selects the transport:
+//   console - print messages to the log (default outside production)
+//   file    - write each message as JSON to MAIL_FILE_DIR (default logs/mail)
+//   smtp    - send through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+const fs = require('fs');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'FloodGuard <no-reply@floodguard.local>';
+const APP_URL = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+const transports = {
+  console: {
+    async send(message) {
+      console.log('\n' + '-'.repeat(50));
+      console.log(`📧 To: ${message.to}`);
+      console.log(`   Subject: ${message.subject}`);
+      console.log('-'.repeat(50));
+      console.log(message.text);
+      console.log('-'.repeat(50) + '\n');
+      return { id: `console-${Date.now()}` };
+    }
+  },
+
+  file: {
+    async send(message) {
+      const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'logs', 'mail');
+      fs.mkdirSync(dir, { recursive: true });
+
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      fs.writeFileSync(
+        path.join(dir, `${id}.json`),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+      return { id };
+    }
+  },
+
+  smtp: {
+    transporter: null,
+
+    async send(message) {
+      if (!this.transporter) {
+        const nodemailer = require('nodemailer');
+        this.transporter = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+      }
+
+      const info = await this.transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  }
+};
+
+// Add or replace a transport, e.g. a provider SDK or an in-memory fake
+function registerTransport(name, transport) {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must have a send function');
+  }
+  transports[name] = transport;
+}
+
+function getTransportName() {
+  return process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+}
+
+async function sendMail({ to, subject, text, html }) {
+  const name = getTransportName();
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown mail transport: ${name}`);
+
+  return transport.send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+async function sendVerificationEmail(user, token) {
+  const link = `${APP_URL}/api/users/verify-email?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your FloodGuard email address',
+    text: `Hi ${user.firstName || user.username},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${user.firstName || user.username},</p><p>Please confirm your email address:</p><p><a href="${link}">Verify email</a></p><p>The link expires in 24 hours.</p>`
+  });
+}
+
+async function sendPasswordResetEmail(user, token) {
+  const link = `${APP_URL}/reset-password?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your FloodGuard password',
+    text: `Hi ${user.firstName || user.username},\n\nA password reset was requested for your account. Use this token or link to choose a new password:\n\nToken: ${token}\n${link}\n\nThe link expires in 1 hour. If you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${user.firstName || user.username},</p><p>A password reset was requested for your account.</p><p><a href="${link}">Choose a new password</a></p><p>Token: <code>${token}</code></p><p>The link expires in 1 hour. If you did not request this, you can ignore this email.</p>`
+  });
+}
+
+module.exports = {
+  registerTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
\ No newline at end of file
@@ -0,0 +1,199 @@
+// services/modelComparisonService.js
+// Compares a shadow candidate with the active model and the fallback heuristic
+// on the readings all three scored: how often they agree on the risk tier,
+// where they diverge, and how each fares against confirmed flood events, both
+// per reading (labelled as in training) and per event (hit or miss).
+const mongoose = require('mongoose');
+const FloodData = require('../models/floodData');
+const modelRegistry = require('./modelRegistry');
+const { TIERS, evaluatePredictions } = require('./evaluationService');
+const { LABEL_HORIZON_HOURS, loadEvents, labelReading } = require('./trainingDataService');
+const { scoreWarnings } = require('./floodEventService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_WINDOW_DAYS = 30;
+const TIER_RANK = { low: 0, medium: 1, high: 2 };
+const MODELS = ['active', 'candidate', 'fallback'];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function round(value, places = 4) {
+  const factor = 10 ** places;
+  return value === null ? null : Math.round(value * factor) / factor;
+}
+
+// The three predictions stored on a reading, as { prediction, riskLevel }
+function predictionsOf(reading) {
+  return {
+    active: { prediction: reading.prediction, riskLevel: reading.riskLevel },
+    candidate: reading.shadow.candidate,
+    fallback: reading.shadow.fallback
+  };
+}
+
+// How `other` differs from `base` on the same readings, overall and grouped
+// by the tier `base` gave
+function compareTiers(base, other) {
+  const byTier = {};
+  TIERS.forEach(tier => {
+    byTier[tier] = { readings: 0, agree: 0, higher: 0, lower: 0, delta: 0 };
+  });
+
+  let agree = 0;
+  let absDelta = 0;
+  base.forEach((b, i) => {
+    const o = other[i];
+    const group = byTier[b.riskLevel];
+    const delta = o.prediction - b.prediction;
+
+    group.readings++;
+    group.delta += delta;
+    absDelta += Math.abs(delta);
+
+    if (o.riskLevel === b.riskLevel) {
+      agree++;
+      group.agree++;
+    } else if (TIER_RANK[o.riskLevel] > TIER_RANK[b.riskLevel]) {
+      group.higher++;
+    } else {
+      group.lower++;
+    }
+  });
+
+  const tiers = {};
+  TIERS.forEach(tier => {
+    const group = byTier[tier];
+    tiers[tier] = {
+      readings: group.readings,
+      agreementRate: group.readings > 0 ? round(group.agree / group.readings) : null,
+      higher: group.higher,
+      lower: group.lower,
+      meanDelta: group.readings > 0 ? round(group.delta / group.readings, 2) : null
+    };
+  });
+
+  return {
+    readings: base.length,
+    agreementRate: base.length > 0 ? round(agree / base.length) : null,
+    meanAbsDelta: base.length > 0 ? round(absDelta / base.length, 2) : null,
+    byTier: tiers
+  };
+}
+
+// Hit or miss for each model on each confirmed event whose lead-up was scored
+// by the candidate. Readings are time-ordered and grouped by station.
+function scoreEvents(events, readingsByStation) {
+  const totals = {};
+  MODELS.forEach(name => {
+    totals[name] = { hits: 0, leadTime: 0 };
+  });
+
+  let scored = 0;
+  events.forEach(event => {
+    const start = new Date(event.startedAt).getTime();
+    const window = (readingsByStation.get(String(event.station)) || []).filter(r => {
+      const time = r.timestamp.getTime();
+      return time <= start && start - time <= LABEL_HORIZON_HOURS * HOUR_MS;
+    });
+    if (window.length === 0) return;
+
+    scored++;
+    MODELS.forEach(name => {
+      const outcome = scoreWarnings(event, window.map(r => ({ timestamp: r.timestamp, ...predictionsOf(r)[name] })));
+      if (outcome.hit) {
+        totals[name].hits++;
+        totals[name].leadTime += outcome.leadTimeHours;
+      }
+    });
+  });
+
+  const result = { events: scored };
+  MODELS.forEach(name => {
+    const { hits, leadTime } = totals[name];
+    result[name] = {
+      hits,
+      misses: scored - hits,
+      hitRate: scored > 0 ? round(hits / scored, 3) : null,
+      meanLeadTimeHours: hits > 0 ? round(leadTime / hits, 1) : null
+    };
+  });
+  return result;
+}
+
+// Comparison report for a candidate (the current shadow version by default)
+// over readings between from and to (the last 30 days by default)
+async function getComparisonReport({ candidate, from, to, station } = {}) {
+  const version = candidate || modelRegistry.getShadowVersion();
+  if (!version) throw httpError(400, 'No model is running in shadow; pass a candidate version');
+
+  const range = {
+    from: from || new Date(Date.now() - DEFAULT_WINDOW_DAYS * 24 * HOUR_MS),
+    to: to || new Date()
+  };
+
+  const match = {
+    'shadow.candidate.version': version,
+    station: { $ne: null },
+    timestamp: { $gte: range.from, $lte: range.to }
+  };
+  if (station) match.station = new mongoose.Types.ObjectId(String(station));
+
+  const readings = await FloodData.find(match)
+    .select('timestamp station prediction riskLevel modelVersion +shadow')
+    .sort({ timestamp: 1 })
+    .lean();
+
+  const activeVersions = {};
+  const readingsByStation = new Map();
+  readings.forEach(r => {
+    const active = r.modelVersion || 'unknown';
+    activeVersions[active] = (activeVersions[active] || 0) + 1;
+
+    const key = String(r.station);
+    if (!readingsByStation.has(key)) readingsByStation.set(key, []);
+    readingsByStation.get(key).push(r);
+  });
+
+  const of = (name) => readings.map(r => predictionsOf(r)[name]);
+  const agreement = {
+    candidate: compareTiers(of('active'), of('candidate')),
+    fallback: compareTiers(of('active'), of('fallback')),
+    candidateVsFallback: compareTiers(of('fallback'), of('candidate'))
+  };
+
+  // Per-reading scores, for readings old enough for their outcome to be known
+  const stationIds = [...readingsByStation.keys()].map(id => new mongoose.Types.ObjectId(id));
+  const { events, byStation } = await loadEvents({ station: { $in: stationIds } });
+  const settledBefore = Date.now() - LABEL_HORIZON_HOURS * HOUR_MS;
+  const settled = readings.filter(r => r.timestamp.getTime() <= settledBefore);
+  const tiers = settled.map(r => labelReading(r.timestamp, byStation.get(String(r.station))));
+
+  const readingScores = {};
+  MODELS.forEach(name => {
+    readingScores[name] = evaluatePredictions(tiers, settled.map(r => predictionsOf(r)[name].prediction));
+  });
+
+  const inRange = events.filter(e => e.startedAt >= range.from && e.startedAt <= range.to);
+
+  return {
+    candidate: version,
+    activeVersions,
+    range,
+    readings: readings.length,
+    agreement,
+    outcomes: {
+      labelHorizonHours: LABEL_HORIZON_HOURS,
+      readings: readingScores,
+      events: scoreEvents(inRange, readingsByStation)
+    }
+  };
+}
+
+module.exports = {
+  compareTiers,
+  getComparisonReport
+};
\ No newline at end of file
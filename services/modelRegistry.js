@@ -0,0 +1,218 @@
+// services/modelRegistry.js
+// Versioned store of trained models. Each version lives in its own directory
+// under ai-model/registry/<version>/ (model.json, weights.bin, metadata.json),
+// and registry.json records which version is active, which candidate (if any)
+// runs in shadow, and every registration, promotion, rollback and shadow change.
+// Loading is predictionService's job; this module only tracks files and state.
+const fs = require('fs');
+const path = require('path');
+
+const MODEL_DIR = path.join(__dirname, '..', 'ai-model');
+const REGISTRY_DIR = process.env.MODEL_REGISTRY_DIR || path.join(MODEL_DIR, 'registry');
+const STATE_FILE = path.join(REGISTRY_DIR, 'registry.json');
+const MODEL_FILES = ['model.json', 'weights.bin', 'metadata.json'];
+const VERSION_PATTERN = /^[A-Za-z0-9][\w.-]*$/;
+// Oldest history entries are dropped past this
+const MAX_HISTORY = 200;
+
+let migrated = false;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function versionDir(version) {
+  if (typeof version !== 'string' || !VERSION_PATTERN.test(version)) {
+    throw httpError(400, `Invalid model version: ${version}`);
+  }
+  return path.join(REGISTRY_DIR, version);
+}
+
+// Registry version for a trained model: its metadata version and training time,
+// e.g. 2.0.0-20250301-142210
+function versionId(metadata) {
+  const trainedAt = new Date(metadata.trainedAt || Date.now()).toISOString();
+  const stamp = trainedAt.slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  return `${metadata.version || '0.0.0'}-${stamp}`;
+}
+
+function modelPaths(version) {
+  const dir = versionDir(version);
+  return {
+    dir,
+    model: path.join(dir, 'model.json'),
+    weights: path.join(dir, 'weights.bin'),
+    metadata: path.join(dir, 'metadata.json')
+  };
+}
+
+function hasVersion(version) {
+  const paths = modelPaths(version);
+  return fs.existsSync(paths.model) && fs.existsSync(paths.weights);
+}
+
+function readMetadata(version) {
+  const file = modelPaths(version).metadata;
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+}
+
+// Written through a temp file so a reader never sees half a state
+function writeState(state) {
+  fs.mkdirSync(REGISTRY_DIR, { recursive: true });
+  state.history = state.history.slice(-MAX_HISTORY);
+  fs.writeFileSync(`${STATE_FILE}.tmp`, JSON.stringify(state, null, 2));
+  fs.renameSync(`${STATE_FILE}.tmp`, STATE_FILE);
+}
+
+// Models trained before the registry were saved straight into ai-model/.
+// Move such a model in as the first version and make it active.
+function migrateLegacyModel() {
+  if (migrated) return;
+  migrated = true;
+
+  const legacy = path.join(MODEL_DIR, 'model.json');
+  if (fs.existsSync(STATE_FILE) || !fs.existsSync(legacy) || !fs.existsSync(path.join(MODEL_DIR, 'weights.bin'))) return;
+
+  const metadataFile = path.join(MODEL_DIR, 'metadata.json');
+  const metadata = fs.existsSync(metadataFile) ? JSON.parse(fs.readFileSync(metadataFile, 'utf8')) : {};
+  const version = versionId(metadata);
+  const { dir } = modelPaths(version);
+
+  fs.mkdirSync(dir, { recursive: true });
+  MODEL_FILES.forEach(file => {
+    if (fs.existsSync(path.join(MODEL_DIR, file))) fs.renameSync(path.join(MODEL_DIR, file), path.join(dir, file));
+  });
+  writeState({
+    active: version,
+    history: [{ action: 'register', version, from: null, by: null, at: new Date().toISOString(), note: 'Migrated from ai-model/' }]
+  });
+  console.log(`✓ Moved the model in ai-model/ into the registry as ${version}`);
+}
+
+function readState() {
+  migrateLegacyModel();
+  if (!fs.existsSync(STATE_FILE)) return { active: null, history: [] };
+  return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+}
+
+function getActiveVersion() {
+  return readState().active;
+}
+
+// Candidate scored in shadow next to the active version, if any
+function getShadowVersion() {
+  return readState().shadow || null;
+}
+
+function getHistory() {
+  return readState().history.slice().reverse();
+}
+
+// The version a rollback returns to: promotions push the version they replaced
+// and rollbacks pop it, so repeated rollbacks keep stepping back
+function previousVersion(state = readState()) {
+  const stack = [];
+  state.history.forEach(entry => {
+    if (entry.action === 'rollback') stack.pop();
+    else if (entry.action === 'promote' && entry.from && entry.from !== entry.version) stack.push(entry.from);
+  });
+  return stack.length > 0 ? stack[stack.length - 1] : null;
+}
+
+function summarise(version, metadata, state) {
+  const test = metadata.metrics && metadata.metrics.test;
+  return {
+    version,
+    active: version === state.active,
+    shadow: version === state.shadow,
+    trainedAt: metadata.trainedAt || null,
+    inputs: (metadata.inputFeatures || []).map(feature => feature.name),
+    dataset: metadata.dataset
+      ? { readings: metadata.dataset.readings, events: metadata.dataset.events, from: metadata.dataset.from, to: metadata.dataset.to }
+      : null,
+    testMetrics: test
+      ? { samples: test.samples, accuracy: test.accuracy, medium: test.tiers.medium, high: test.tiers.high }
+      : null
+  };
+}
+
+// Every stored version, newest first
+function listModels() {
+  const state = readState();
+  if (!fs.existsSync(REGISTRY_DIR)) return [];
+
+  return fs.readdirSync(REGISTRY_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && VERSION_PATTERN.test(entry.name) && hasVersion(entry.name))
+    .map(entry => summarise(entry.name, readMetadata(entry.name), state))
+    .sort((a, b) => new Date(b.trainedAt || 0) - new Date(a.trainedAt || 0));
+}
+
+function getModel(version) {
+  if (!hasVersion(version)) throw httpError(404, `Model version ${version} not found`);
+
+  const metadata = readMetadata(version);
+  return { ...summarise(version, metadata, readState()), metadata };
+}
+
+// Directory for a new version's files; fails if the version already exists
+function createVersion(metadata) {
+  const version = versionId(metadata);
+  const { dir } = modelPaths(version);
+  if (fs.existsSync(dir)) throw httpError(409, `Model version ${version} already exists`);
+
+  fs.mkdirSync(dir, { recursive: true });
+  return { version, dir };
+}
+
+// Record a version whose files have been written. The first version
+// registered becomes active straight away.
+function registerVersion(version, { by = null, note } = {}) {
+  if (!hasVersion(version)) throw httpError(404, `Model version ${version} not found`);
+
+  const state = readState();
+  const at = new Date().toISOString();
+  state.history.push({ action: 'register', version, from: null, by, at, note });
+  if (!state.active) state.active = version;
+  writeState(state);
+  return state.active === version;
+}
+
+// Point the registry at a version. action is 'promote' or 'rollback'.
+function setActiveVersion(version, { action = 'promote', by = null, note } = {}) {
+  if (!hasVersion(version)) throw httpError(404, `Model version ${version} not found`);
+
+  const state = readState();
+  state.history.push({ action, version, from: state.active, by, at: new Date().toISOString(), note });
+  state.active = version;
+  writeState(state);
+}
+
+// Start shadowing a version, or stop with null
+function setShadowVersion(version, { by = null, note } = {}) {
+  if (version && !hasVersion(version)) throw httpError(404, `Model version ${version} not found`);
+
+  const state = readState();
+  const action = version ? 'shadow-start' : 'shadow-stop';
+  state.history.push({ action, version: version || state.shadow, from: null, by, at: new Date().toISOString(), note });
+  state.shadow = version || null;
+  writeState(state);
+}
+
+module.exports = {
+  REGISTRY_DIR,
+  versionId,
+  modelPaths,
+  hasVersion,
+  getActiveVersion,
+  getShadowVersion,
+  getHistory,
+  previousVersion,
+  listModels,
+  getModel,
+  createVersion,
+  registerVersion,
+  setActiveVersion,
+  setShadowVersion
+};
\ No newline at end of file
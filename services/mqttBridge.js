@@ -0,0 +1,182 @@
+// services/mqttBridge.js
+// Optional MQTT subscriber that turns sensor telemetry into SensorReading
+// documents through the same validation and storage path as the REST API.
+const mqtt = require('mqtt');
+const mongoose = require('mongoose');
+const Device = require('../models/device');
+const MonitoringStation = require('../models/monitoringStation');
+const { storeReadings } = require('./sensorService');
+
+const DEFAULT_TOPIC_PATTERN = 'floodguard/{stationId}/{metric}';
+const MIN_RECONNECT_MS = 1000;
+const MAX_RECONNECT_MS = 60000;
+
+const METRIC_ALIASES = {
+  waterLevel: 'waterLevel',
+  water_level: 'waterLevel',
+  rainfall: 'rainfall',
+  rain: 'rainfall',
+  soilMoisture: 'soilMoisture',
+  soil_moisture: 'soilMoisture',
+  battery: 'battery'
+};
+
+// Turn "floodguard/{stationId}/{metric}" into an MQTT subscription
+// ("floodguard/+/+") and a matcher that extracts the named segments
+function compileTopicPattern(pattern) {
+  const segments = pattern.split('/');
+  const names = segments
+    .map(segment => (segment.match(/^\{(\w+)\}$/) || [])[1])
+    .filter(Boolean);
+
+  if (!names.includes('metric')) {
+    throw new Error('MQTT topic pattern must contain {metric}');
+  }
+  if (!names.includes('stationId') && !names.includes('deviceId')) {
+    throw new Error('MQTT topic pattern must contain {stationId} or {deviceId}');
+  }
+
+  const subscription = segments
+    .map(segment => (/^\{\w+\}$/.test(segment) ? '+' : segment))
+    .join('/');
+
+  const match = (topic) => {
+    const parts = topic.split('/');
+    if (parts.length !== segments.length) return null;
+
+    const params = {};
+    for (let i = 0; i < segments.length; i++) {
+      const name = (segments[i].match(/^\{(\w+)\}$/) || [])[1];
+      if (name) params[name] = parts[i];
+      else if (segments[i] !== parts[i]) return null;
+    }
+    return params;
+  };
+
+  return { subscription, match };
+}
+
+// Payloads are either a bare number ("3.2") or JSON
+// ({ "value": 3.2, "unit": "m", "timestamp": "...", "battery": 87 })
+function parsePayload(metric, payload) {
+  const text = payload.toString().trim();
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (err) {
+    body = text;
+  }
+
+  if (body === null || typeof body !== 'object') {
+    return { [metric]: body };
+  }
+
+  const raw = { [metric]: body.value, timestamp: body.timestamp };
+  if (body.unit) raw.units = { [metric]: body.unit };
+  if (body.battery !== undefined && metric !== 'battery') raw.battery = body.battery;
+  return raw;
+}
+
+// Default handler: resolve the device or station named in the topic and store the reading
+async function storeTopicReading({ stationId, deviceId }, raw) {
+  let device = null;
+
+  if (deviceId) {
+    device = await Device.findOne({ deviceId, active: true });
+    if (!device) throw new Error(`Unknown or inactive device ${deviceId}`);
+    if (stationId && device.station.toString() !== stationId) {
+      throw new Error(`Device ${deviceId} does not belong to station ${stationId}`);
+    }
+  } else if (!mongoose.isValidObjectId(stationId) ||
+             !(await MonitoringStation.exists({ _id: stationId, active: true }))) {
+    throw new Error(`Unknown or inactive station ${stationId}`);
+  }
+
+  return storeReadings({ device, station: stationId }, [raw], 'mqtt');
+}
+
+// Connect to the broker and subscribe. Returns null when MQTT_URL is not set.
+// Reconnects with exponential backoff (1s doubling up to 60s) after any disconnect.
+function startMqttBridge(options = {}) {
+  const url = options.url || process.env.MQTT_URL;
+  if (!url) {
+    console.log('ℹ️  MQTT bridge disabled (MQTT_URL not set)');
+    return null;
+  }
+
+  const topic = compileTopicPattern(options.topicPattern || process.env.MQTT_TOPIC_PATTERN || DEFAULT_TOPIC_PATTERN);
+  const handleReading = options.handleReading || storeTopicReading;
+  const minReconnectMs = options.minReconnectMs || MIN_RECONNECT_MS;
+  const maxReconnectMs = options.maxReconnectMs || MAX_RECONNECT_MS;
+
+  const client = mqtt.connect(url, {
+    username: options.username || process.env.MQTT_USERNAME,
+    password: options.password || process.env.MQTT_PASSWORD,
+    reconnectPeriod: 0, // Reconnection is handled below with backoff
+    connectTimeout: 10000
+  });
+
+  let reconnectDelay = minReconnectMs;
+  let reconnectTimer = null;
+  let stopped = false;
+
+  client.on('connect', () => {
+    reconnectDelay = minReconnectMs;
+    console.log(`✓ MQTT connected, subscribing to ${topic.subscription}`);
+    client.subscribe(topic.subscription, { qos: 1 }, (err) => {
+      if (err) console.error('✗ MQTT subscribe error:', err.message);
+    });
+  });
+
+  client.on('close', () => {
+    if (stopped || reconnectTimer) return;
+
+    console.warn(`⚠ MQTT disconnected, reconnecting in ${reconnectDelay}ms`);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      if (!stopped) client.reconnect();
+    }, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, maxReconnectMs);
+  });
+
+  client.on('error', (err) => {
+    console.warn('⚠ MQTT error:', err.message);
+  });
+
+  client.on('message', async (topicName, payload) => {
+    const params = topic.match(topicName);
+    if (!params) return;
+
+    const metric = METRIC_ALIASES[params.metric];
+    if (!metric) {
+      console.warn(`⚠ MQTT: unknown metric '${params.metric}' on ${topicName}`);
+      return;
+    }
+
+    try {
+      const result = await handleReading(params, parsePayload(metric, payload));
+      if (result && result.rejected && result.rejected.length > 0) {
+        console.warn(`⚠ MQTT reading rejected on ${topicName}:`, result.rejected[0].errors.join(', '));
+      }
+    } catch (err) {
+      console.warn(`⚠ MQTT reading failed on ${topicName}:`, err.message);
+    }
+  });
+
+  const stop = () => new Promise(resolve => {
+    stopped = true;
+    clearTimeout(reconnectTimer);
+    client.end(true, {}, resolve);
+  });
+
+  return { client, stop };
+}
+
+module.exports = {
+  DEFAULT_TOPIC_PATTERN,
+  compileTopicPattern,
+  parsePayload,
+  storeTopicReading,
+  startMqttBridge
+};
\ No newline at end of file
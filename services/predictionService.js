@@ -0,0 +1,502 @@
+// services/predictionService.js
+const fs = require('fs');
+const modelRegistry = require('./modelRegistry');
+const { FEATURES, explainPoints, explainModel } = require('./explanationService');
+
+// Model version recorded on readings scored by the fallback heuristic
+const FALLBACK_VERSION = 'fallback';
+// A failed load is retried after this long instead of being given up on
+const MODEL_RETRY_MS = (parseInt(process.env.MODEL_RETRY_MINUTES) || 5) * 60 * 1000;
+
+let tf = null;
+let model = null;
+let activeVersion = null;
+let activeMetadata = null;
+let loadedAt = null;
+let loading = null;
+let lastFailure = null;
+// Whether the active model takes antecedent rainfall inputs
+let antecedentInputs = false;
+// Shadow candidate: scored on every reading next to the active model but never
+// used for risk levels or alerts. { model, version, antecedentInputs }
+let candidate = null;
+let candidateChecked = false;
+let candidateLoading = null;
+let candidateFailure = null;
+
+// Antecedent rainfall normalisation for the model's last two inputs
+const RAIN_24H_SCALE = 100;
+const API_SCALE = 150;
+
+async function loadTensorFlow() {
+  if (tf) return tf;
+
+  // Try browser-compatible version first
+  try {
+    const tfjs = require('@tensorflow/tfjs');
+    require('@tensorflow/tfjs-backend-cpu');
+    await tfjs.ready();
+    console.log('Using TensorFlow.js (CPU backend)');
+    tf = tfjs;
+  } catch (e1) {
+    // Fallback to Node version
+    try {
+      tf = require('@tensorflow/tfjs-node');
+      console.log('Using TensorFlow.js (Node backend)');
+    } catch (e2) {
+      throw new Error('TensorFlow.js not installed');
+    }
+  }
+  return tf;
+}
+
+// Custom load handler for browser TensorFlow.js
+class NodeFileSystem {
+  constructor(path) {
+    this.path = path;
+  }
+
+  async load() {
+    const modelPath = this.path;
+    const weightsPath = modelPath.replace('model.json', 'weights.bin');
+    
+    // Load model JSON
+    const modelJSON = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+    
+    // Load weights
+    const weightsBuffer = fs.readFileSync(weightsPath);
+    const weightData = new Uint8Array(weightsBuffer).buffer;
+    
+    return {
+      modelTopology: modelJSON.modelTopology,
+      weightSpecs: modelJSON.weightsManifest[0].weights,
+      weightData: weightData,
+      format: modelJSON.format,
+      generatedBy: modelJSON.generatedBy,
+      convertedBy: modelJSON.convertedBy
+    };
+  }
+}
+
+// Load a registry version without touching the model in use
+async function loadVersion(version) {
+  const tfjs = await loadTensorFlow();
+  const paths = modelRegistry.modelPaths(version);
+
+  if (!modelRegistry.hasVersion(version)) {
+    const err = new Error(`Model version ${version} not found`);
+    err.status = 404;
+    throw err;
+  }
+
+  let loaded;
+  try {
+    loaded = await tfjs.loadLayersModel(new NodeFileSystem(paths.model));
+  } catch (loadErr) {
+    const err = new Error(`Model version ${version} could not be loaded: ${loadErr.message}`);
+    err.status = 422;
+    throw err;
+  }
+
+  const inputSize = loaded.inputs[0].shape[1];
+  if (inputSize !== 5) {
+    loaded.dispose();
+    const err = new Error(`Model version ${version} takes ${inputSize} inputs, expected 5`);
+    err.status = 422;
+    throw err;
+  }
+
+  const metadata = fs.existsSync(paths.metadata) ? JSON.parse(fs.readFileSync(paths.metadata, 'utf8')) : {};
+  return { model: loaded, metadata };
+}
+
+// Models trained before antecedent rainfall features took fixed placeholder
+// values in the last two inputs
+function usesAntecedent(metadata) {
+  return (metadata.inputFeatures || []).some(feature => feature.name === 'rain24h');
+}
+
+// Swap in a version for predictions. It is loaded before the swap, so a
+// version that fails to load leaves the current model in place.
+async function activateVersion(version) {
+  const next = await loadVersion(version);
+  const previous = model;
+
+  model = next.model;
+  activeVersion = version;
+  activeMetadata = next.metadata;
+  loadedAt = new Date();
+  lastFailure = null;
+  antecedentInputs = usesAntecedent(next.metadata);
+
+  if (previous) previous.dispose();
+  if (!antecedentInputs) console.warn('⚠ Model predates antecedent rainfall inputs, retrain with: npm run train');
+  console.log(`✓ AI Model ${version} Loaded Successfully`);
+}
+
+// The active registry version, loaded on first use. Failures fall back to the
+// heuristic and are retried after MODEL_RETRY_MS.
+async function loadModel() {
+  if (model) return model;
+  if (lastFailure && Date.now() - lastFailure.at.getTime() < MODEL_RETRY_MS) return null;
+
+  if (!loading) {
+    loading = (async () => {
+      let version = null;
+      try {
+        version = modelRegistry.getActiveVersion();
+        if (!version) throw new Error(`No active model in ${modelRegistry.REGISTRY_DIR}`);
+
+        await activateVersion(version);
+        return model;
+      } catch (err) {
+        console.warn('⚠ AI Model loading failed:', err.message);
+        console.log('→ Using enhanced fallback prediction algorithm');
+        lastFailure = { version, at: new Date(), error: err.message };
+        return null;
+      } finally {
+        loading = null;
+      }
+    })();
+  }
+  return loading;
+}
+
+// Reload the registry's active version, e.g. after train-model.js promoted one
+async function reloadModel() {
+  const version = modelRegistry.getActiveVersion();
+  if (!version) {
+    const err = new Error('No active model in the registry');
+    err.status = 404;
+    throw err;
+  }
+
+  await activateVersion(version);
+  candidateChecked = false;
+  await loadCandidate();
+  return getModelInfo();
+}
+
+// Load a version and make it the registry's active one
+async function promoteModel(version, user, note) {
+  if (version === modelRegistry.getActiveVersion() && activeVersion === version) {
+    const err = new Error(`Model version ${version} is already active`);
+    err.status = 409;
+    throw err;
+  }
+
+  await activateVersion(version);
+  modelRegistry.setActiveVersion(version, { action: 'promote', by: user ? user.username : null, note });
+
+  // A promoted candidate has nothing left to be compared against
+  if (modelRegistry.getShadowVersion() === version) {
+    setCandidate(null);
+    modelRegistry.setShadowVersion(null, { by: user ? user.username : null, note: 'Promoted' });
+  }
+  return getModelInfo();
+}
+
+// Return to the version active before the current one was promoted
+async function rollbackModel(user, note) {
+  const version = modelRegistry.previousVersion();
+  if (!version) {
+    const err = new Error('No earlier model version to roll back to');
+    err.status = 409;
+    throw err;
+  }
+
+  await activateVersion(version);
+  modelRegistry.setActiveVersion(version, { action: 'rollback', by: user ? user.username : null, note });
+  return getModelInfo();
+}
+
+function setCandidate(next) {
+  const previous = candidate;
+  candidate = next;
+  candidateChecked = true;
+  candidateFailure = null;
+  if (previous && previous.model !== (next && next.model)) previous.model.dispose();
+}
+
+// The registry's shadow version, loaded on first use and retried after
+// MODEL_RETRY_MS if it fails
+async function loadCandidate() {
+  if (candidate || candidateChecked) return candidate;
+  if (candidateFailure && Date.now() - candidateFailure.at.getTime() < MODEL_RETRY_MS) return null;
+
+  if (!candidateLoading) {
+    candidateLoading = (async () => {
+      const version = modelRegistry.getShadowVersion();
+      try {
+        if (version) {
+          const next = await loadVersion(version);
+          setCandidate({ model: next.model, version, antecedentInputs: usesAntecedent(next.metadata) });
+          console.log(`✓ Shadow model ${version} loaded`);
+        } else {
+          setCandidate(null);
+        }
+      } catch (err) {
+        console.warn(`⚠ Shadow model ${version} loading failed:`, err.message);
+        candidateFailure = { version, at: new Date(), error: err.message };
+      } finally {
+        candidateLoading = null;
+      }
+      return candidate;
+    })();
+  }
+  return candidateLoading;
+}
+
+// Score a version in shadow from now on, replacing any current candidate
+async function startShadow(version, user, note) {
+  if (version === modelRegistry.getActiveVersion()) {
+    const err = new Error(`Model version ${version} is already active`);
+    err.status = 409;
+    throw err;
+  }
+
+  const next = await loadVersion(version);
+  setCandidate({ model: next.model, version, antecedentInputs: usesAntecedent(next.metadata) });
+  modelRegistry.setShadowVersion(version, { by: user ? user.username : null, note });
+  return getModelInfo();
+}
+
+async function stopShadow(user, note) {
+  if (!modelRegistry.getShadowVersion()) {
+    const err = new Error('No model is running in shadow');
+    err.status = 409;
+    throw err;
+  }
+
+  setCandidate(null);
+  modelRegistry.setShadowVersion(null, { by: user ? user.username : null, note });
+  return getModelInfo();
+}
+
+function getModelInfo() {
+  return {
+    version: model ? activeVersion : FALLBACK_VERSION,
+    usingFallback: !model,
+    registryVersion: modelRegistry.getActiveVersion(),
+    loadedAt,
+    trainedAt: model && activeMetadata ? activeMetadata.trainedAt || null : null,
+    antecedentInputs: Boolean(model) && antecedentInputs,
+    lastFailure,
+    shadowVersion: candidate ? candidate.version : null,
+    shadowFailure: candidateFailure
+  };
+}
+
+// Enhanced fallback algorithm, as a points table: { risk, table } where
+// table lists the points each feature added, [{ feature, points }].
+// antecedent is optional: { rain24h, api } from antecedentService
+function fallbackPoints(rainfall, waterLevel, soilMoisture, antecedent) {
+  const table = [];
+  
+  // Rainfall contribution (max 45 points)
+  let points = 0;
+  if (rainfall > 50) points = 45;
+  else if (rainfall > 30) points = 38;
+  else if (rainfall > 20) points = 28;
+  else if (rainfall > 10) points = 18;
+  else if (rainfall > 5) points = 10;
+  else points = rainfall;
+  table.push({ feature: 'rainfall', points });
+  
+  // Water level contribution (max 35 points)
+  points = 0;
+  if (waterLevel > 5) points = 35;
+  else if (waterLevel > 4) points = 28;
+  else if (waterLevel > 3) points = 20;
+  else if (waterLevel > 2.5) points = 12;
+  else if (waterLevel > 2) points = 5;
+  table.push({ feature: 'waterLevel', points });
+  
+  // Soil moisture contribution (max 20 points)
+  points = 0;
+  if (soilMoisture > 0.9) points = 20;
+  else if (soilMoisture > 0.8) points = 16;
+  else if (soilMoisture > 0.7) points = 12;
+  else if (soilMoisture > 0.6) points = 8;
+  else if (soilMoisture > 0.5) points = 4;
+  table.push({ feature: 'soilMoisture', points });
+  
+  // Antecedent rainfall contribution (max 15 points): ground that has been
+  // soaked for days floods on less rain
+  if (antecedent) {
+    const rain24h = antecedent.rain24h || 0;
+    const api = antecedent.api || 0;
+
+    points = 0;
+    if (rain24h > 75) points = 8;
+    else if (rain24h > 40) points = 5;
+    else if (rain24h > 15) points = 2;
+    table.push({ feature: 'rain24h', points });
+
+    points = 0;
+    if (api > 100) points = 7;
+    else if (api > 50) points = 4;
+    else if (api > 25) points = 2;
+    table.push({ feature: 'api', points });
+  }
+  
+  let risk = table.reduce((sum, row) => sum + row.points, 0);
+  
+  // Combined risk multiplier
+  if (rainfall > 20 && waterLevel > 3 && soilMoisture > 0.7) {
+    table.push({ feature: 'combined', points: risk * 0.3 });
+    risk *= 1.3;
+  }
+  
+  if (risk > 100) {
+    table.push({ feature: 'cap', points: 100 - risk });
+  }
+  
+  return { risk: Math.min(Math.round(risk), 100), table };
+}
+
+function calculateRiskFallback(rainfall, waterLevel, soilMoisture, antecedent) {
+  return fallbackPoints(rainfall, waterLevel, soilMoisture, antecedent).risk;
+}
+
+// Normalised model features for one reading, as used in training
+function featureVector(rainfall, waterLevel, soilMoisture, antecedent = {}) {
+  return [
+    rainfall / 50,        // Normalize by max expected rainfall
+    soilMoisture,         // Already 0-1
+    waterLevel / 6,       // Normalize by max expected level
+    (antecedent.rain24h || 0) / RAIN_24H_SCALE,
+    (antecedent.api || 0) / API_SCALE
+  ];
+}
+
+// Model input vector for one reading, for the active model unless told
+// whether the model takes antecedent inputs
+function buildModelInput(rainfall, waterLevel, soilMoisture, antecedent, withAntecedent = antecedentInputs) {
+  const features = featureVector(rainfall, waterLevel, soilMoisture, antecedent || {});
+  if (!withAntecedent || !antecedent) {
+    features[3] = 0.05;
+    features[4] = 0.05;
+  }
+  return features;
+}
+
+// Risk for one reading and the model version that produced it ('fallback'
+// when the heuristic was used), with a per-feature explanation if asked for.
+// antecedent is optional: { rain24h, api } from antecedentService
+async function predict(rainfall, waterLevel, soilMoisture, antecedent, { explain = false } = {}) {
+  const reading = { rainfall, waterLevel, soilMoisture };
+  if (antecedent) Object.assign(reading, { rain24h: antecedent.rain24h || 0, api: antecedent.api || 0 });
+
+  const fallback = () => {
+    const { risk, table } = fallbackPoints(rainfall, waterLevel, soilMoisture, antecedent);
+    return {
+      prediction: risk,
+      modelVersion: FALLBACK_VERSION,
+      explanation: explain ? explainPoints(reading, table, risk) : undefined
+    };
+  };
+
+  if (!(await loadModel())) return fallback();
+
+  // Read after the await: a promotion may have swapped the model meanwhile
+  const current = model;
+  const version = activeVersion;
+  if (!current) return fallback();
+
+  try {
+    const prediction = runModel(current, buildModelInput(rainfall, waterLevel, soilMoisture, antecedent));
+
+    let explanation;
+    if (explain) {
+      const withAntecedent = antecedentInputs && Boolean(antecedent);
+      explanation = explainModel(
+        reading,
+        prediction,
+        readings => scoreBatch(current, readings, withAntecedent),
+        withAntecedent ? FEATURES : FEATURES.slice(0, 3)
+      );
+    }
+    return { prediction, modelVersion: version, explanation };
+  } catch (err) {
+    console.warn('Model prediction error, using fallback:', err.message);
+    return fallback();
+  }
+}
+
+// Shadow candidate's risk for one reading: { version, prediction }, or null
+// when no candidate is running
+async function predictCandidate(rainfall, waterLevel, soilMoisture, antecedent) {
+  await loadCandidate();
+
+  // Read after the await, as in predict()
+  const shadow = candidate;
+  if (!shadow) return null;
+
+  try {
+    const input = buildModelInput(rainfall, waterLevel, soilMoisture, antecedent, shadow.antecedentInputs);
+    return { version: shadow.version, prediction: runModel(shadow.model, input) };
+  } catch (err) {
+    console.warn(`Shadow model ${shadow.version} prediction error:`, err.message);
+    return null;
+  }
+}
+
+// Unrounded risk percentages from a loaded model for several readings in one
+// batch, each { rainfall, waterLevel, soilMoisture, rain24h, api }
+function scoreBatch(loadedModel, readings, withAntecedent) {
+  const rows = readings.map(r => buildModelInput(
+    r.rainfall, r.waterLevel, r.soilMoisture, withAntecedent ? r : undefined, withAntecedent
+  ));
+  const input = tf.tensor2d(rows, [rows.length, 5]);
+
+  const output = loadedModel.predict(input);
+  const scores = Array.from(output.dataSync(), value => value * 100);
+
+  tf.dispose([input, output]);
+  return scores;
+}
+
+// Risk percentage from a loaded model for one input vector
+function runModel(loadedModel, features) {
+  const input = tf.tensor2d([features], [1, 5]);
+
+  const prediction = loadedModel.predict(input);
+  const riskPercent = Math.round(prediction.dataSync()[0] * 100);
+  
+  tf.dispose([input, prediction]);
+  
+  return Math.max(0, Math.min(riskPercent, 100));
+}
+
+async function predictFloodRisk(rainfall, waterLevel, soilMoisture, antecedent) {
+  return (await predict(rainfall, waterLevel, soilMoisture, antecedent)).prediction;
+}
+
+function getRiskLevel(riskPercent) {
+  return riskPercent < 30 ? 'low' : riskPercent < 70 ? 'medium' : 'high';
+}
+
+function isUsingFallback() {
+  return !model;
+}
+
+module.exports = {
+  FALLBACK_VERSION,
+  loadModel,
+  reloadModel,
+  promoteModel,
+  rollbackModel,
+  startShadow,
+  stopShadow,
+  getModelInfo,
+  fallbackPoints,
+  calculateRiskFallback,
+  featureVector,
+  buildModelInput,
+  predict,
+  predictCandidate,
+  predictFloodRisk,
+  getRiskLevel,
+  isUsingFallback
+};
\ No newline at end of file
@@ -0,0 +1,119 @@
+// services/providers/index.js
+// Registry of data-source providers for rainfall, water level and soil moisture.
+//
+// A provider is an object with:
+//   name     - source name recorded in FloodData.dataSource
+//   metrics  - metrics it can supply ('rainfall', 'waterLevel', 'soilMoisture')
+//   units    - unit of the returned value, per metric
+//   fetch(metric, station) - resolves to a number, or { value, observedAt } when the
+//                            source reports when it was measured; throws on failure
+//   health() - resolves when the upstream service is reachable, throws otherwise
+const openWeatherMap = require('./openWeatherMap');
+const openMeteo = require('./openMeteo');
+const usgs = require('./usgs');
+const soilGrids = require('./soilGrids');
+const sensor = require('./sensor');
+
+const METRICS = ['rainfall', 'waterLevel', 'soilMoisture'];
+
+// Used when every provider for a metric fails
+const FALLBACK_VALUES = {
+  rainfall: 0,
+  waterLevel: 2.1,
+  soilMoisture: 0.5
+};
+
+// Priority order per metric, overridable with e.g. PROVIDERS_RAINFALL=Open-Meteo,OpenWeatherMap
+// Our own field sensors come first so public sources are only used when they are silent
+const DEFAULT_PRIORITY = {
+  rainfall: process.env.PROVIDERS_RAINFALL || 'Sensor,OpenWeatherMap,Open-Meteo',
+  waterLevel: process.env.PROVIDERS_WATER_LEVEL || 'Sensor,USGS',
+  soilMoisture: process.env.PROVIDERS_SOIL_MOISTURE || 'Sensor,SoilGrids,Open-Meteo'
+};
+
+const providers = new Map();
+
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.fetch !== 'function') {
+    throw new Error('Provider must have a name and a fetch function');
+  }
+  providers.set(provider.name.toLowerCase(), provider);
+}
+
+function getProvider(name) {
+  return providers.get(String(name).toLowerCase()) || null;
+}
+
+function listProviders() {
+  return Array.from(providers.values());
+}
+
+// Provider names to try for a metric, station overrides first
+function getPriority(metric, station) {
+  const stationOrder = station && station.providers && station.providers[metric];
+  if (stationOrder && stationOrder.length > 0) return stationOrder;
+
+  return DEFAULT_PRIORITY[metric].split(',').map(name => name.trim()).filter(Boolean);
+}
+
+// Try each provider in priority order until one answers
+async function fetchMetric(metric, station) {
+  const attempts = [];
+
+  for (const name of getPriority(metric, station)) {
+    const provider = getProvider(name);
+
+    if (!provider || !provider.metrics.includes(metric)) {
+      attempts.push({ source: name, error: 'Provider not registered for this metric' });
+      continue;
+    }
+
+    try {
+      const result = await provider.fetch(metric, station);
+      const value = result !== null && typeof result === 'object' ? result.value : result;
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        throw new Error('Provider returned a non-numeric value');
+      }
+      const observedAt = result && result.observedAt ? new Date(result.observedAt) : undefined;
+
+      console.log(`  → ${metric}: ${value.toFixed(2)} ${provider.units[metric]} (${provider.name})`);
+      return { value, source: provider.name, units: provider.units[metric], observedAt, attempts };
+    } catch (err) {
+      console.warn(`  ⚠ ${provider.name} failed (${metric}):`, err.message);
+      attempts.push({ source: provider.name, error: err.message });
+    }
+  }
+
+  console.warn(`  ⚠ All ${metric} providers failed, using fallback`);
+  return {
+    value: FALLBACK_VALUES[metric],
+    source: 'fallback',
+    error: attempts.map(a => `${a.source}: ${a.error}`).join('; ') || 'No providers configured',
+    attempts
+  };
+}
+
+async function checkHealth() {
+  return Promise.all(listProviders().map(async provider => {
+    const started = Date.now();
+    try {
+      await provider.health();
+      return { name: provider.name, metrics: provider.metrics, healthy: true, latencyMs: Date.now() - started };
+    } catch (err) {
+      return { name: provider.name, metrics: provider.metrics, healthy: false, latencyMs: Date.now() - started, error: err.message };
+    }
+  }));
+}
+
+[sensor, openWeatherMap, openMeteo, usgs, soilGrids].forEach(registerProvider);
+
+module.exports = {
+  METRICS,
+  FALLBACK_VALUES,
+  registerProvider,
+  getProvider,
+  listProviders,
+  getPriority,
+  fetchMetric,
+  checkHealth
+};
\ No newline at end of file
@@ -0,0 +1,41 @@
+// services/providers/openMeteo.js
+const axios = require('axios');
+
+const BASE_URL = process.env.OPEN_METEO_BASE_URL || 'https://api.open-meteo.com';
+
+const HOURLY_VARIABLES = {
+  rainfall: 'precipitation',
+  soilMoisture: 'soil_moisture_0_to_1cm'
+};
+
+module.exports = {
+  name: 'Open-Meteo',
+  metrics: ['rainfall', 'soilMoisture'],
+  units: { rainfall: 'mm/3h', soilMoisture: 'm³/m³' },
+
+  async fetch(metric, station) {
+    const variable = HOURLY_VARIABLES[metric];
+    const res = await axios.get(`${BASE_URL}/v1/forecast`, {
+      params: {
+        latitude: station.lat,
+        longitude: station.lng,
+        hourly: variable,
+        forecast_hours: 3
+      },
+      timeout: 10000
+    });
+
+    const values = (res.data.hourly?.[variable] || []).filter(v => typeof v === 'number');
+    if (values.length === 0) throw new Error(`No ${variable} values returned`);
+
+    // Rainfall is accumulated over the next 3 hours to match OpenWeatherMap
+    return metric === 'rainfall' ? values.reduce((sum, v) => sum + v, 0) : values[0];
+  },
+
+  async health() {
+    await axios.get(`${BASE_URL}/v1/forecast`, {
+      params: { latitude: 0, longitude: 0, current: 'temperature_2m' },
+      timeout: 5000
+    });
+  }
+};
\ No newline at end of file
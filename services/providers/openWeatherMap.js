@@ -0,0 +1,45 @@
+// services/providers/openWeatherMap.js
+const axios = require('axios');
+
+const BASE_URL = process.env.OWM_BASE_URL || 'https://api.openweathermap.org';
+
+// 5-day forecast in 3-hour steps. Each step is { validAt, rainfall, pop }, where
+// rainfall is the mm expected in the 3h ending at validAt if it rains and pop
+// the probability of precipitation (0-1).
+async function fetchForecast(station) {
+  const res = await axios.get(`${BASE_URL}/data/2.5/forecast`, {
+    params: { lat: station.lat, lon: station.lng, appid: process.env.OWM_KEY, units: 'metric' },
+    timeout: 10000
+  });
+
+  const list = res.data.list || [];
+  if (list.length === 0) throw new Error('No forecast steps returned');
+
+  return list.map(step => ({
+    validAt: new Date(step.dt * 1000),
+    rainfall: step.rain?.['3h'] || 0,
+    pop: typeof step.pop === 'number' ? step.pop : 0
+  }));
+}
+
+module.exports = {
+  name: 'OpenWeatherMap',
+  metrics: ['rainfall'],
+  units: { rainfall: 'mm/3h' },
+  fetchForecast,
+
+  async fetch(metric, station) {
+    const [firstStep] = await fetchForecast(station);
+
+    console.log(`  → OpenWeatherMap PoP: ${(firstStep.pop * 100).toFixed(1)}%`);
+    return firstStep.rainfall;
+  },
+
+  async health() {
+    if (!process.env.OWM_KEY) throw new Error('OWM_KEY is not set');
+    await axios.get(`${BASE_URL}/data/2.5/weather`, {
+      params: { lat: 0, lon: 0, appid: process.env.OWM_KEY },
+      timeout: 5000
+    });
+  }
+};
\ No newline at end of file
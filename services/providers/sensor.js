@@ -0,0 +1,52 @@
+// services/providers/sensor.js
+const SensorReading = require('../../models/sensorReading');
+
+// Readings older than this are ignored and the next provider is tried
+const MAX_AGE_MS = (parseInt(process.env.SENSOR_MAX_AGE_MINUTES) || 30) * 60 * 1000;
+const RAINFALL_WINDOW_MS = 3 * 60 * 60 * 1000;
+
+module.exports = {
+  name: 'Sensor',
+  metrics: ['rainfall', 'waterLevel', 'soilMoisture'],
+  units: { rainfall: 'mm/3h', waterLevel: 'm', soilMoisture: 'fraction' },
+
+  async fetch(metric, station) {
+    if (!station._id) throw new Error('Station has no ID');
+
+    if (metric === 'rainfall') {
+      // Rain buckets report increments, so sum each gauge's last 3h to match the
+      // forecast APIs, then average the gauges so a second one doesn't double it
+      const since = new Date(Date.now() - RAINFALL_WINDOW_MS);
+      const readings = await SensorReading.find({
+        station: station._id,
+        timestamp: { $gte: since },
+        rainfall: { $ne: null }
+      }).select('device rainfall timestamp');
+
+      if (readings.length === 0) throw new Error('No recent sensor readings');
+      const totals = new Map();
+      readings.forEach(r => {
+        const device = String(r.device);
+        totals.set(device, (totals.get(device) || 0) + r.rainfall);
+      });
+      const gauges = [...totals.values()];
+      return {
+        value: gauges.reduce((sum, mm) => sum + mm, 0) / gauges.length,
+        observedAt: new Date(Math.max(...readings.map(r => r.timestamp.getTime())))
+      };
+    }
+
+    const latest = await SensorReading.findOne({
+      station: station._id,
+      timestamp: { $gte: new Date(Date.now() - MAX_AGE_MS) },
+      [metric]: { $ne: null }
+    }).sort({ timestamp: -1 });
+
+    if (!latest) throw new Error('No recent sensor readings');
+    return { value: latest[metric], observedAt: latest.timestamp };
+  },
+
+  async health() {
+    await SensorReading.findOne().select('_id');
+  }
+};
\ No newline at end of file
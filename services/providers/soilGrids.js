@@ -0,0 +1,26 @@
+// services/providers/soilGrids.js
+const axios = require('axios');
+
+const BASE_URL = process.env.SOILGRIDS_BASE_URL || 'https://rest.isric.org';
+
+module.exports = {
+  name: 'SoilGrids',
+  metrics: ['soilMoisture'],
+  units: { soilMoisture: 'fraction' },
+
+  async fetch(metric, station) {
+    const res = await axios.get(`${BASE_URL}/soilgrids/v2.0/properties/query`, {
+      params: { lon: station.lng, lat: station.lat, property: 'wgssd', depth: '0-5cm', value: 'mean' },
+      timeout: 10000
+    });
+
+    const mean = res.data.properties.layers[0].depths[0].values.mean;
+    if (!mean) throw new Error('No soil moisture value returned');
+
+    return mean / 100;
+  },
+
+  async health() {
+    await axios.get(`${BASE_URL}/soilgrids/v2.0/properties/layers`, { timeout: 5000 });
+  }
+};
\ No newline at end of file
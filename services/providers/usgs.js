@@ -0,0 +1,33 @@
+// services/providers/usgs.js
+const axios = require('axios');
+
+const BASE_URL = process.env.USGS_BASE_URL || 'https://waterservices.usgs.gov';
+// Gage height (parameter 00065) is reported in feet
+const FEET_TO_METRES = 0.3048;
+
+module.exports = {
+  name: 'USGS',
+  metrics: ['waterLevel'],
+  units: { waterLevel: 'm' },
+
+  async fetch(metric, station) {
+    if (!station.riverGaugeId) throw new Error('No river gauge configured');
+
+    const res = await axios.get(`${BASE_URL}/nwis/iv/`, {
+      params: { format: 'json', sites: station.riverGaugeId, parameterCd: '00065' },
+      timeout: 8000
+    });
+
+    const reading = res.data.value?.timeSeries?.[0]?.values?.[0]?.value?.[0];
+    if (!reading || !reading.value) throw new Error('No gauge reading returned');
+
+    return { value: parseFloat(reading.value) * FEET_TO_METRES, observedAt: reading.dateTime };
+  },
+
+  async health() {
+    await axios.get(`${BASE_URL}/nwis/site/`, {
+      params: { format: 'rdb', sites: '01646500' },
+      timeout: 5000
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,342 @@
+// services/retentionService.js
+// Retention policy for FloodData. Readings older than RETENTION_RAW_DAYS are
+// rolled into hourly and daily summary collections, optionally archived to
+// gzipped NDJSON files, then deleted. Hourly rollups are kept for
+// RETENTION_HOURLY_DAYS; daily rollups are kept indefinitely.
+//
+// A run only deletes raw readings after their rollups (and archive file, when
+// enabled) have been written, so an interrupted run can simply be repeated.
+// Each hourly bucket records the run boundary it was compacted up to, and a
+// repeat run skips readings the bucket already counts. Readings archived by
+// an interrupted run may be archived again, in the repeat run's file.
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const FloodData = require('../models/floodData');
+const { METRICS, HourlyRollup, DailyRollup } = require('../models/floodRollup');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getPolicy() {
+  return {
+    rawDays: parseInt(process.env.RETENTION_RAW_DAYS) || 90,
+    hourlyDays: parseInt(process.env.RETENTION_HOURLY_DAYS) || 730,
+    // Archiving is off unless a directory is configured
+    archiveDir: process.env.RETENTION_ARCHIVE_DIR || null
+  };
+}
+
+let jobInProgress = false;
+let lastReport = null;
+
+function isJobInProgress() {
+  return jobInProgress;
+}
+
+function getLastReport() {
+  return lastReport;
+}
+
+function startOfUtcDay(date) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+}
+
+// Group raw readings into hourly buckets per station. With compactedBefore
+// (the run boundary) readings an existing bucket already counts are skipped,
+// and the buckets are stamped with the boundary.
+function hourlyPipeline(match, compactedBefore) {
+  const group = {
+    _id: {
+      station: '$station',
+      bucket: { $dateTrunc: { date: '$timestamp', unit: 'hour' } }
+    },
+    count: { $sum: 1 },
+    high: { $sum: { $cond: [{ $eq: ['$riskLevel', 'high'] }, 1, 0] } },
+    medium: { $sum: { $cond: [{ $eq: ['$riskLevel', 'medium'] }, 1, 0] } },
+    low: { $sum: { $cond: [{ $eq: ['$riskLevel', 'low'] }, 1, 0] } },
+    alertsSent: { $sum: { $cond: ['$sentAlert', 1, 0] } },
+    fallbackReadings: {
+      $sum: { $cond: [{ $in: ['fallback', ['$dataSource.rainfall', '$dataSource.waterLevel', '$dataSource.soilMoisture']] }, 1, 0] }
+    }
+  };
+  const project = {
+    _id: 0,
+    station: '$_id.station',
+    bucket: '$_id.bucket',
+    count: 1,
+    risk: { high: '$high', medium: '$medium', low: '$low' },
+    alertsSent: 1,
+    fallbackReadings: 1
+  };
+
+  METRICS.forEach(metric => {
+    group[`${metric}Min`] = { $min: `$${metric}` };
+    group[`${metric}Max`] = { $max: `$${metric}` };
+    group[`${metric}Sum`] = { $sum: `$${metric}` };
+    group[`${metric}N`] = { $sum: { $cond: [{ $isNumber: `$${metric}` }, 1, 0] } };
+    project[metric] = metricSummary(`$${metric}Min`, `$${metric}Max`, `$${metric}Sum`, `$${metric}N`);
+  });
+
+  if (!compactedBefore) {
+    return [
+      { $match: match },
+      { $group: group },
+      { $project: project }
+    ];
+  }
+
+  project.compactedBefore = { $literal: compactedBefore };
+  return [
+    { $match: match },
+    {
+      $lookup: {
+        from: HourlyRollup.collection.collectionName,
+        let: { station: '$station', bucket: { $dateTrunc: { date: '$timestamp', unit: 'hour' } } },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ['$station', '$$station'] }, { $eq: ['$bucket', '$$bucket'] }] } } },
+          { $project: { _id: 0, compactedBefore: 1 } }
+        ],
+        as: 'rollup'
+      }
+    },
+    // Readings inserted before an earlier run's boundary are already counted
+    { $match: { $expr: { $gte: ['$_id', { $ifNull: [{ $first: '$rollup.compactedBefore' }, null] }] } } },
+    { $group: group },
+    { $project: project }
+  ];
+}
+
+function metricSummary(min, max, sum, n) {
+  return {
+    min,
+    max,
+    sum,
+    n,
+    avg: { $cond: [{ $gt: [n, 0] }, { $divide: [sum, n] }, null] }
+  };
+}
+
+// When an hourly bucket already exists (readings that arrived late for an
+// hour compacted earlier) combine the two summaries instead of replacing
+function combineHourly() {
+  const add = (field) => ({ $add: [{ $ifNull: [`$${field}`, 0] }, `$$new.${field}`] });
+  const set = {
+    count: add('count'),
+    'risk.high': add('risk.high'),
+    'risk.medium': add('risk.medium'),
+    'risk.low': add('risk.low'),
+    alertsSent: add('alertsSent'),
+    fallbackReadings: add('fallbackReadings'),
+    compactedBefore: '$$new.compactedBefore'
+  };
+
+  METRICS.forEach(metric => {
+    set[metric] = metricSummary(
+      { $min: [`$${metric}.min`, `$$new.${metric}.min`] },
+      { $max: [`$${metric}.max`, `$$new.${metric}.max`] },
+      add(`${metric}.sum`),
+      add(`${metric}.n`)
+    );
+  });
+
+  return [{ $set: set }];
+}
+
+// Rebuild daily buckets for a day range from the (complete) hourly rollups
+function dailyPipeline(from, to) {
+  const group = {
+    _id: {
+      station: '$station',
+      bucket: { $dateTrunc: { date: '$bucket', unit: 'day' } }
+    },
+    count: { $sum: '$count' },
+    high: { $sum: '$risk.high' },
+    medium: { $sum: '$risk.medium' },
+    low: { $sum: '$risk.low' },
+    alertsSent: { $sum: '$alertsSent' },
+    fallbackReadings: { $sum: '$fallbackReadings' }
+  };
+  const project = {
+    _id: 0,
+    station: '$_id.station',
+    bucket: '$_id.bucket',
+    count: 1,
+    risk: { high: '$high', medium: '$medium', low: '$low' },
+    alertsSent: 1,
+    fallbackReadings: 1
+  };
+
+  METRICS.forEach(metric => {
+    group[`${metric}Min`] = { $min: `$${metric}.min` };
+    group[`${metric}Max`] = { $max: `$${metric}.max` };
+    group[`${metric}Sum`] = { $sum: `$${metric}.sum` };
+    group[`${metric}N`] = { $sum: `$${metric}.n` };
+    project[metric] = metricSummary(`$${metric}Min`, `$${metric}Max`, `$${metric}Sum`, `$${metric}N`);
+  });
+
+  return [
+    { $match: { bucket: { $gte: from, $lt: to } } },
+    { $group: group },
+    { $project: project }
+  ];
+}
+
+// Write matching raw readings to a gzipped NDJSON file. The file is written
+// under a temporary name and renamed once complete.
+async function archiveReadings(match, dir, from, to) {
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const day = (date) => date.toISOString().slice(0, 10);
+  const name = `flooddata-${day(from)}_${day(to)}-${Date.now()}.ndjson.gz`;
+  const file = path.join(dir, name);
+  const tmp = `${file}.partial`;
+
+  let records = 0;
+  const cursor = FloodData.find(match).sort({ timestamp: 1 }).lean().cursor();
+  const lines = Readable.from((async function* () {
+    for await (const doc of cursor) {
+      records++;
+      yield JSON.stringify(doc) + '\n';
+    }
+  })());
+
+  try {
+    await pipeline(lines, zlib.createGzip(), fs.createWriteStream(tmp));
+    await fs.promises.rename(tmp, file);
+  } catch (err) {
+    await fs.promises.rm(tmp, { force: true });
+    throw err;
+  }
+
+  const { size } = await fs.promises.stat(file);
+  return { file, records, bytes: size };
+}
+
+// Apply the retention policy. With dryRun nothing is written or deleted; the
+// report shows what a real run would compact. Resolves to the report.
+async function runRetention({ dryRun = false, trigger = 'manual' } = {}) {
+  if (jobInProgress) {
+    const err = new Error('A retention run is already in progress');
+    err.status = 409;
+    throw err;
+  }
+  jobInProgress = true;
+
+  const startedAt = new Date();
+  const policy = getPolicy();
+  // Whole days only, so every daily rollup is built from a complete day
+  const cutoff = startOfUtcDay(startedAt.getTime() - policy.rawDays * DAY_MS);
+  const hourlyCutoff = startOfUtcDay(startedAt.getTime() - policy.hourlyDays * DAY_MS);
+  // Readings inserted after the run starts are left for the next run.
+  // Legacy readings without a station can't be rolled up and are left alone.
+  const boundary = new mongoose.Types.ObjectId();
+  const match = { timestamp: { $lt: cutoff }, _id: { $lt: boundary }, station: { $ne: null } };
+
+  const report = {
+    trigger,
+    dryRun,
+    startedAt,
+    policy,
+    cutoff,
+    raw: { eligible: 0, deleted: 0, from: null },
+    hourly: { buckets: 0, pruned: 0 },
+    daily: { buckets: 0 },
+    archive: null
+  };
+
+  try {
+    const oldest = await FloodData.findOne(match).sort({ timestamp: 1 }).select('timestamp').lean();
+    report.raw.eligible = await FloodData.countDocuments(match);
+    report.raw.from = oldest ? oldest.timestamp : null;
+
+    if (oldest) {
+      const firstDay = startOfUtcDay(oldest.timestamp);
+
+      if (dryRun) {
+        const [hourly] = await FloodData.aggregate([...hourlyPipeline(match), { $count: 'buckets' }]).allowDiskUse(true);
+        report.hourly.buckets = hourly ? hourly.buckets : 0;
+        const [daily] = await FloodData.aggregate([
+          { $match: match },
+          { $group: { _id: { station: '$station', day: { $dateTrunc: { date: '$timestamp', unit: 'day' } } } } },
+          { $count: 'buckets' }
+        ]).allowDiskUse(true);
+        report.daily.buckets = daily ? daily.buckets : 0;
+      } else {
+        await Promise.all([HourlyRollup.init(), DailyRollup.init()]);
+
+        await FloodData.aggregate([
+          ...hourlyPipeline(match, boundary),
+          {
+            $merge: {
+              into: HourlyRollup.collection.collectionName,
+              on: ['station', 'bucket'],
+              whenMatched: combineHourly(),
+              whenNotMatched: 'insert'
+            }
+          }
+        ]).allowDiskUse(true);
+        report.hourly.buckets = await HourlyRollup.countDocuments({ bucket: { $gte: firstDay, $lt: cutoff } });
+
+        // Days whose hourly rollups were already pruned can't be rebuilt
+        const dailyFrom = firstDay > hourlyCutoff ? firstDay : hourlyCutoff;
+        await HourlyRollup.aggregate([
+          ...dailyPipeline(dailyFrom, cutoff),
+          {
+            $merge: {
+              into: DailyRollup.collection.collectionName,
+              on: ['station', 'bucket'],
+              whenMatched: 'replace',
+              whenNotMatched: 'insert'
+            }
+          }
+        ]).allowDiskUse(true);
+        report.daily.buckets = await DailyRollup.countDocuments({ bucket: { $gte: firstDay, $lt: cutoff } });
+
+        if (policy.archiveDir) {
+          report.archive = await archiveReadings(match, policy.archiveDir, firstDay, cutoff);
+        }
+
+        const { deletedCount } = await FloodData.deleteMany(match);
+        report.raw.deleted = deletedCount;
+      }
+    }
+
+    // Hourly rollups past their own retention; daily rollups cover them
+    const expiredHourly = { bucket: { $lt: hourlyCutoff } };
+    report.hourly.pruned = dryRun
+      ? await HourlyRollup.countDocuments(expiredHourly)
+      : (await HourlyRollup.deleteMany(expiredHourly)).deletedCount;
+
+    report.finishedAt = new Date();
+    report.durationMs = report.finishedAt - startedAt;
+    lastReport = report;
+
+    console.log(
+      `🗄️  Retention ${dryRun ? 'dry run' : 'run'}: ${report.raw.eligible} reading(s) before ${cutoff.toISOString().slice(0, 10)}, ` +
+      `${report.hourly.buckets} hourly / ${report.daily.buckets} daily bucket(s), ` +
+      `${report.raw.deleted} deleted, ${report.hourly.pruned} hourly bucket(s) pruned` +
+      (report.archive ? `, archived to ${report.archive.file}` : '')
+    );
+    return report;
+  } catch (err) {
+    lastReport = { ...report, error: err.message, finishedAt: new Date() };
+    throw err;
+  } finally {
+    jobInProgress = false;
+  }
+}
+
+module.exports = {
+  getPolicy,
+  isJobInProgress,
+  getLastReport,
+  runRetention,
+  hourlyPipeline,
+  combineHourly,
+  dailyPipeline
+};
\ No newline at end of file
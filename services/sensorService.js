@@ -0,0 +1,147 @@
+// services/sensorService.js
+const SensorReading = require('../models/sensorReading');
+const Device = require('../models/device');
+
+const MAX_BATCH_SIZE = 500;
+const MAX_FUTURE_SKEW_MS = 5 * 60 * 1000;
+const MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Unit conversions to canonical units, and accepted ranges in canonical units
+const METRIC_RULES = {
+  waterLevel: {
+    units: { m: 1, cm: 0.01, mm: 0.001, ft: 0.3048 },
+    defaultUnit: 'm',
+    min: -10,
+    max: 100
+  },
+  rainfall: {
+    units: { mm: 1, cm: 10, in: 25.4 },
+    defaultUnit: 'mm',
+    min: 0,
+    max: 500
+  },
+  soilMoisture: {
+    units: { fraction: 1, '%': 0.01, percent: 0.01 },
+    defaultUnit: 'fraction',
+    min: 0,
+    max: 1
+  },
+  battery: {
+    units: { '%': 1, percent: 1 },
+    defaultUnit: '%',
+    min: 0,
+    max: 100
+  }
+};
+
+// Validate a raw reading and convert it to canonical units.
+// Returns { reading } on success or { errors } listing every problem found.
+function normalizeReading(raw, now = Date.now()) {
+  const errors = [];
+  const reading = {};
+
+  if (!raw || typeof raw !== 'object') {
+    return { errors: ['Reading must be an object'] };
+  }
+
+  const units = raw.units || {};
+  let hasMetric = false;
+
+  Object.entries(METRIC_RULES).forEach(([metric, rule]) => {
+    if (raw[metric] === undefined || raw[metric] === null) return;
+
+    const value = Number(raw[metric]);
+    if (!Number.isFinite(value)) {
+      errors.push(`${metric} must be a number`);
+      return;
+    }
+
+    const unit = units[metric] || rule.defaultUnit;
+    const factor = rule.units[unit];
+    if (factor === undefined) {
+      errors.push(`${metric} unit '${unit}' is not supported (use ${Object.keys(rule.units).join(', ')})`);
+      return;
+    }
+
+    const converted = value * factor;
+    if (converted < rule.min || converted > rule.max) {
+      errors.push(`${metric} ${converted} ${rule.defaultUnit} is outside ${rule.min}-${rule.max} ${rule.defaultUnit}`);
+      return;
+    }
+
+    reading[metric] = converted;
+    hasMetric = true;
+  });
+
+  if (!hasMetric && errors.length === 0) {
+    errors.push('Reading must include waterLevel, rainfall, soilMoisture or battery');
+  }
+
+  const timestamp = raw.timestamp ? new Date(raw.timestamp) : new Date(now);
+  if (Number.isNaN(timestamp.getTime())) {
+    errors.push('timestamp is not a valid date');
+  } else if (timestamp.getTime() > now + MAX_FUTURE_SKEW_MS) {
+    errors.push('timestamp is in the future');
+  } else if (timestamp.getTime() < now - MAX_AGE_MS) {
+    errors.push('timestamp is older than 30 days');
+  }
+  reading.timestamp = timestamp;
+
+  return errors.length > 0 ? { errors } : { reading };
+}
+
+// Validate and store readings from a device or directly for a station,
+// updating the device's last-seen state. Invalid readings are rejected
+// individually; valid ones are still stored. Readings are upserted on
+// station, device and timestamp, so a retried HTTP request or a redelivered
+// MQTT message updates the stored reading instead of adding a duplicate.
+async function storeReadings({ device, station }, rawReadings, transport = 'http') {
+  if (rawReadings.length > MAX_BATCH_SIZE) {
+    const err = new Error(`Batch cannot exceed ${MAX_BATCH_SIZE} readings`);
+    err.status = 400;
+    throw err;
+  }
+
+  const docs = [];
+  const rejected = [];
+
+  rawReadings.forEach((raw, index) => {
+    const { reading, errors } = normalizeReading(raw);
+    if (errors) {
+      rejected.push({ index, errors });
+      return;
+    }
+    docs.push({
+      ...reading,
+      device: device ? device._id : undefined,
+      station: device ? device.station : station,
+      transport
+    });
+  });
+
+  if (docs.length > 0) {
+    await SensorReading.bulkWrite(docs.map(({ timestamp, device: deviceId, station: stationId, ...fields }) => ({
+      updateOne: {
+        filter: { station: stationId, device: deviceId || null, timestamp },
+        update: { $set: fields, $setOnInsert: { receivedAt: new Date() } },
+        upsert: true
+      }
+    })));
+  }
+
+  if (docs.length > 0 && device) {
+    const latest = docs.reduce((a, b) => (a.timestamp > b.timestamp ? a : b));
+    const update = { lastSeenAt: new Date() };
+    if (latest.battery !== undefined) update.lastBattery = latest.battery;
+    await Device.updateOne({ _id: device._id }, { $set: update });
+  }
+
+  return { accepted: docs.length, rejected };
+}
+
+module.exports = {
+  METRIC_RULES,
+  MAX_BATCH_SIZE,
+  normalizeReading,
+  storeReadings
+};
\ No newline at end of file
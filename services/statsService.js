@@ -0,0 +1,220 @@
+// services/statsService.js
+// Windowed flood statistics (overall and per station) computed in a single
+// aggregation, with a trend against the previous window of equal length.
+// Results are cached briefly since dashboards poll this endpoint.
+const mongoose = require('mongoose');
+const FloodData = require('../models/floodData');
+
+const CACHE_TTL_MS = (parseInt(process.env.STATS_CACHE_SECONDS) || 30) * 1000;
+const CACHE_MAX_ENTRIES = 100;
+const MAX_WINDOW_MS = 366 * 24 * 60 * 60 * 1000;
+// Mean prediction must move by more than this many points to count as a trend
+const TREND_THRESHOLD = 2;
+
+const UNIT_MS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const METRICS = ['rainfall', 'waterLevel', 'soilMoisture'];
+
+const cache = new Map();
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// ?window=24h|7d|30d|<n>h|<n>d|all, or ?from=&to= for a custom range.
+// Defaults to all, which has no previous window to compare against.
+function parseStatsWindow(query) {
+  if (query.from || query.to) {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - UNIT_MS.d);
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) throw badRequest('Invalid from or to date');
+    if (from >= to) throw badRequest('from must be before to');
+    if (to - from > MAX_WINDOW_MS) throw badRequest('Stats window cannot exceed 366 days');
+    return { name: 'custom', from, to };
+  }
+
+  const name = query.window || 'all';
+  if (name === 'all') return { name, from: null, to: new Date() };
+
+  const match = /^(\d+)(h|d)$/.exec(name);
+  const length = match && parseInt(match[1]) * UNIT_MS[match[2]];
+  if (!length || length > MAX_WINDOW_MS) {
+    throw badRequest('window must be all or a duration such as 24h, 7d or 30d (max 366d)');
+  }
+
+  const to = new Date();
+  return { name, from: new Date(to.getTime() - length), to };
+}
+
+// Accumulators shared by the overall and per-station summaries
+function summaryGroup(id) {
+  const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+  // $max over { value, at } documents compares value first, so it keeps the peak and its time
+  // ($ifNull keeps "value" present; a missing field would change the comparison order)
+  const peak = (field) => ({ $max: { value: { $ifNull: [`$${field}`, null] }, at: '$timestamp' } });
+
+  const group = {
+    _id: id,
+    total: { $sum: 1 },
+    high: countIf({ $eq: ['$riskLevel', 'high'] }),
+    medium: countIf({ $eq: ['$riskLevel', 'medium'] }),
+    low: countIf({ $eq: ['$riskLevel', 'low'] }),
+    meanPrediction: { $avg: '$prediction' },
+    peakPrediction: peak('prediction'),
+    fallbackReadings: countIf({ $in: ['fallback', METRICS.map(m => `$dataSource.${m}`)] })
+  };
+
+  METRICS.forEach(metric => {
+    group[`peak_${metric}`] = peak(metric);
+    group[`fallback_${metric}`] = countIf({ $eq: [`$dataSource.${metric}`, 'fallback'] });
+  });
+
+  return group;
+}
+
+function percent(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+}
+
+function round(value) {
+  return typeof value === 'number' ? Math.round(value * 100) / 100 : null;
+}
+
+function formatSummary(group) {
+  if (!group) {
+    return {
+      total: 0,
+      riskDistribution: { high: 0, medium: 0, low: 0 },
+      meanPrediction: null,
+      peaks: {},
+      fallback: { readings: 0, percent: 0, byMetric: {} }
+    };
+  }
+
+  const peakOf = (entry) => (entry && entry.value !== null ? entry : null);
+  const peaks = { prediction: peakOf(group.peakPrediction) };
+  const byMetric = {};
+  METRICS.forEach(metric => {
+    peaks[metric] = peakOf(group[`peak_${metric}`]);
+    byMetric[metric] = percent(group[`fallback_${metric}`], group.total);
+  });
+
+  return {
+    total: group.total,
+    riskDistribution: { high: group.high, medium: group.medium, low: group.low },
+    meanPrediction: round(group.meanPrediction),
+    peaks,
+    fallback: {
+      readings: group.fallbackReadings,
+      percent: percent(group.fallbackReadings, group.total),
+      byMetric
+    }
+  };
+}
+
+// Compare the current window with the previous one of the same length
+function computeTrend(current, previous) {
+  if (!previous || previous.total === 0 || current.total === 0) {
+    return { direction: null, meanPredictionChange: null, highRiskShareChange: null };
+  }
+
+  const change = current.meanPrediction - previous.meanPrediction;
+  let direction = 'steady';
+  if (change > TREND_THRESHOLD) direction = 'rising';
+  if (change < -TREND_THRESHOLD) direction = 'falling';
+
+  return {
+    direction,
+    meanPredictionChange: round(change),
+    highRiskShareChange: round(
+      percent(current.riskDistribution.high, current.total) - percent(previous.riskDistribution.high, previous.total)
+    )
+  };
+}
+
+async function computeStats(window, stationId) {
+  const base = stationId ? { station: new mongoose.Types.ObjectId(stationId) } : {};
+  const currentRange = { $lte: window.to };
+  if (window.from) currentRange.$gte = window.from;
+
+  const facets = {
+    current: [
+      { $match: { timestamp: currentRange } },
+      { $group: summaryGroup(null) }
+    ],
+    stations: [
+      { $match: { timestamp: currentRange } },
+      { $group: summaryGroup('$station') },
+      { $lookup: { from: 'monitoringstations', localField: '_id', foreignField: '_id', as: 'stationDoc' } },
+      { $sort: { meanPrediction: -1 } }
+    ],
+    latest: [
+      { $match: { timestamp: currentRange } },
+      { $sort: { timestamp: -1 } },
+      { $limit: 1 }
+    ]
+  };
+
+  const match = { ...base };
+  if (window.from) {
+    const length = window.to - window.from;
+    const previousFrom = new Date(window.from.getTime() - length);
+    match.timestamp = { $gte: previousFrom, $lte: window.to };
+    facets.previous = [
+      { $match: { timestamp: { $gte: previousFrom, $lt: window.from } } },
+      { $group: summaryGroup(null) }
+    ];
+  }
+
+  const [result] = await FloodData.aggregate([
+    { $match: match },
+    { $facet: facets }
+  ]).allowDiskUse(true);
+
+  const current = formatSummary(result.current[0]);
+  const previous = facets.previous ? formatSummary(result.previous[0]) : null;
+
+  return {
+    window: { name: window.name, from: window.from, to: window.to },
+    ...current,
+    latest: result.latest[0] || null,
+    previous: previous && { total: previous.total, meanPrediction: previous.meanPrediction },
+    trend: computeTrend(current, previous),
+    stations: result.stations.map(group => ({
+      station: group._id,
+      name: group.stationDoc[0] ? group.stationDoc[0].name : null,
+      ...formatSummary(group)
+    }))
+  };
+}
+
+// Cached wrapper around computeStats. Resolves to { stats, cached }.
+async function getStats(window, stationId) {
+  // Named windows move with the clock, so key them by name rather than exact times
+  const key = window.name === 'custom'
+    ? `${stationId || ''}|${window.from.toISOString()}|${window.to.toISOString()}`
+    : `${stationId || ''}|${window.name}`;
+
+  const now = Date.now();
+  const hit = cache.get(key);
+  if (hit && hit.expiresAt > now) return { stats: hit.stats, cached: true };
+
+  const stats = await computeStats(window, stationId);
+
+  if (cache.size >= CACHE_MAX_ENTRIES) {
+    for (const [k, entry] of cache) {
+      if (entry.expiresAt <= now) cache.delete(k);
+    }
+    if (cache.size >= CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { stats, expiresAt: now + CACHE_TTL_MS });
+
+  return { stats, cached: false };
+}
+
+module.exports = {
+  parseStatsWindow,
+  computeStats,
+  getStats
+};
\ No newline at end of file
@@ -0,0 +1,168 @@
+// services/tokenService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/refreshToken');
+const UserToken = require('../models/userToken');
+const User = require('../models/user');
+
+const DEFAULT_JWT_SECRET = 'your_jwt_secret_key_here';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const getJwtSecret = () => process.env.JWT_SECRET || DEFAULT_JWT_SECRET;
+
+const isDefaultSecret = () => getJwtSecret() === DEFAULT_JWT_SECRET;
+
+// Exit early rather than sign tokens with the well-known default secret in production
+const assertSecureJwtSecret = () => {
+  if (process.env.NODE_ENV === 'production' && isDefaultSecret()) {
+    console.error('✗ JWT_SECRET must be set to a unique value in production');
+    process.exit(1);
+  }
+  if (isDefaultSecret()) {
+    console.warn('⚠ Using the default JWT secret, set JWT_SECRET before deploying');
+  }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Access tokens carry the user's tokenVersion so bumping it revokes them all
+const generateAccessToken = (user) => {
+  return jwt.sign({ id: user._id, tv: user.tokenVersion || 0 }, getJwtSecret(), {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+};
+
+const verifyAccessToken = (token) => jwt.verify(token, getJwtSecret());
+
+const issueRefreshToken = async (user, req, family) => {
+  const token = crypto.randomBytes(40).toString('hex');
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req && req.headers ? req.headers['user-agent'] : undefined,
+    createdByIp: req ? req.ip : undefined
+  });
+
+  return token;
+};
+
+// Issue a fresh access/refresh token pair for a login or registration
+const issueTokenPair = async (user, req) => ({
+  token: generateAccessToken(user),
+  refreshToken: await issueRefreshToken(user, req),
+  expiresIn: ACCESS_TOKEN_EXPIRES_IN
+});
+
+// Exchange a refresh token for a new pair. The presented token is revoked;
+// presenting an already-rotated token revokes its whole family.
+const rotateRefreshToken = async (token, req) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+
+  if (!stored || stored.expiresAt < new Date()) {
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  if (stored.revokedAt) {
+    if (stored.replacedBy) {
+      await revokeFamily(stored.family, 'reuse detected');
+    }
+    return { error: 'Refresh token has been revoked' };
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user || !user.active) {
+    return { error: 'User not found or disabled' };
+  }
+
+  const refreshToken = await issueRefreshToken(user, req, stored.family);
+  stored.revokedAt = new Date();
+  stored.revokedReason = 'rotated';
+  stored.replacedBy = hashToken(refreshToken);
+  await stored.save();
+
+  return {
+    user,
+    token: generateAccessToken(user),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+const revokeFamily = (family, reason) => {
+  return RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Revoke a single refresh token; resolves to the stored token or null
+const revokeRefreshToken = async (token, reason = 'logout') => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!stored) return null;
+
+  if (!stored.revokedAt) {
+    stored.revokedAt = new Date();
+    stored.revokedReason = reason;
+    await stored.save();
+  }
+  return stored;
+};
+
+const revokeUserRefreshTokens = (userId, reason) => {
+  return RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Revoke every refresh token and outstanding access token for a user
+const revokeAllUserTokens = async (userId, reason = 'logout-all') => {
+  await revokeUserRefreshTokens(userId, reason);
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+};
+
+// Create a single-use emailed token, invalidating earlier unused ones of the same type
+const createUserToken = async (user, type, ttlMs) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await UserToken.updateMany(
+    { user: user._id, type, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+  await UserToken.create({
+    user: user._id,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return token;
+};
+
+// Mark a single-use token as used; resolves to its user ID, or null if invalid
+const consumeUserToken = async (token, type) => {
+  const stored = await UserToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } }
+  );
+  return stored ? stored.user : null;
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  getJwtSecret,
+  assertSecureJwtSecret,
+  generateAccessToken,
+  verifyAccessToken,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserRefreshTokens,
+  revokeAllUserTokens,
+  createUserToken,
+  consumeUserToken
+};
\ No newline at end of file
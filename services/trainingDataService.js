@@ -0,0 +1,163 @@
+// services/trainingDataService.js
+// Builds labelled training data from stored FloodData readings and confirmed
+// FloodEvents. A reading is labelled with the tier of the most severe flood at
+// its station that was under way at the time or began within the label
+// horizon after it (minor = medium, moderate/major = high), and low otherwise.
+const FloodData = require('../models/floodData');
+const FloodEvent = require('../models/floodEvent');
+const { featureVector } = require('./predictionService');
+const { getAntecedentRainfall } = require('./antecedentService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const LABEL_HORIZON_HOURS = parseInt(process.env.LABEL_HORIZON_HOURS) || 24;
+// How long an event without an end time is assumed to last
+const EVENT_DEFAULT_HOURS = 24;
+
+const TIER_RANK = { low: 0, medium: 1, high: 2 };
+// Model target per tier, chosen so each lands in the middle of its risk band
+const TIER_TARGET = { low: 0, medium: 0.5, high: 1 };
+
+// Confirmed events grouped by station ID
+async function loadEvents(filter = {}) {
+  const events = await FloodEvent.find({ ...filter, status: 'confirmed' })
+    .select('station startedAt endedAt severity')
+    .sort({ startedAt: 1 })
+    .lean();
+
+  const byStation = new Map();
+  events.forEach(event => {
+    const key = String(event.station);
+    if (!byStation.has(key)) byStation.set(key, []);
+    byStation.get(key).push(event);
+  });
+  return { events, byStation };
+}
+
+// Tier a reading at `timestamp` should have been given, from its station's events
+function labelReading(timestamp, events, horizonHours = LABEL_HORIZON_HOURS) {
+  const time = new Date(timestamp).getTime();
+  let tier = 'low';
+
+  (events || []).forEach(event => {
+    const start = new Date(event.startedAt).getTime();
+    const end = event.endedAt ? new Date(event.endedAt).getTime() : start + EVENT_DEFAULT_HOURS * HOUR_MS;
+    const relevant = (time >= start && time <= end) || (start > time && start - time <= horizonHours * HOUR_MS);
+    const eventTier = FloodEvent.SEVERITY_TIER[event.severity];
+    if (relevant && TIER_RANK[eventTier] > TIER_RANK[tier]) tier = eventTier;
+  });
+
+  return tier;
+}
+
+// Labelled samples from readings between from and to (oldest first).
+// Readings with fallback or suspect inputs are skipped, as are readings too
+// recent for their outcome to be known yet. Readings stored before antecedent
+// rainfall was recorded have it computed from history, once per station-hour.
+async function buildDataset({ from, to, stationIds, horizonHours = LABEL_HORIZON_HOURS } = {}) {
+  const stationFilter = stationIds && stationIds.length > 0 ? { station: { $in: stationIds } } : {};
+  const { events, byStation } = await loadEvents(stationFilter);
+
+  const latest = new Date(Math.min((to ? new Date(to) : new Date()).getTime(), Date.now() - horizonHours * HOUR_MS));
+  const timestamp = { $lte: latest };
+  if (from) timestamp.$gte = new Date(from);
+
+  const cursor = FloodData.find({
+    station: { $ne: null },
+    ...stationFilter,
+    timestamp,
+    rainfall: { $type: 'number' },
+    waterLevel: { $type: 'number' },
+    soilMoisture: { $type: 'number' },
+    'dataSource.rainfall': { $ne: 'fallback' },
+    'dataSource.waterLevel': { $ne: 'fallback' },
+    'dataSource.soilMoisture': { $ne: 'fallback' },
+    'quality.status': { $ne: 'suspect' }
+  })
+    .select('timestamp station rainfall waterLevel soilMoisture antecedent')
+    .sort({ timestamp: 1 })
+    .lean()
+    .cursor();
+
+  const antecedentCache = new Map();
+  const samples = [];
+  let computedAntecedent = 0;
+
+  for await (const reading of cursor) {
+    let antecedent = reading.antecedent;
+    if (!antecedent || typeof antecedent.api !== 'number') {
+      const hour = new Date(Math.floor(reading.timestamp.getTime() / HOUR_MS) * HOUR_MS);
+      const key = `${reading.station}|${hour.getTime()}`;
+      if (!antecedentCache.has(key)) {
+        antecedentCache.set(key, await getAntecedentRainfall(reading.station, hour));
+        computedAntecedent++;
+      }
+      antecedent = antecedentCache.get(key);
+    }
+
+    const tier = labelReading(reading.timestamp, byStation.get(String(reading.station)), horizonHours);
+    samples.push({
+      reading: reading._id,
+      timestamp: reading.timestamp,
+      station: reading.station,
+      rainfall: reading.rainfall,
+      waterLevel: reading.waterLevel,
+      soilMoisture: reading.soilMoisture,
+      antecedent,
+      features: featureVector(reading.rainfall, reading.waterLevel, reading.soilMoisture, antecedent),
+      tier,
+      target: TIER_TARGET[tier]
+    });
+  }
+
+  return {
+    samples,
+    events: events.length,
+    horizonHours,
+    computedAntecedent,
+    range: {
+      from: samples.length > 0 ? samples[0].timestamp : null,
+      to: samples.length > 0 ? samples[samples.length - 1].timestamp : null
+    }
+  };
+}
+
+// Split time-ordered samples into train/validation/test by time. Samples whose
+// label window reaches into the next split are dropped, so no flood is seen by
+// both sides of a boundary.
+function splitByTime(samples, { train = 0.7, validation = 0.15, horizonHours = LABEL_HORIZON_HOURS } = {}) {
+  if (samples.length === 0) {
+    return { train: [], validation: [], test: [], boundaries: { validation: null, test: null } };
+  }
+
+  const gap = horizonHours * HOUR_MS;
+  const at = (share) => samples[Math.min(samples.length - 1, Math.floor(samples.length * share))].timestamp.getTime();
+  const validationStart = at(train);
+  const testStart = at(train + validation);
+
+  const time = (s) => s.timestamp.getTime();
+  return {
+    train: samples.filter(s => time(s) < validationStart - gap),
+    validation: samples.filter(s => time(s) >= validationStart && time(s) < testStart - gap),
+    test: samples.filter(s => time(s) >= testStart),
+    boundaries: { validation: new Date(validationStart), test: new Date(testStart) }
+  };
+}
+
+// Count samples per tier
+function tierCounts(samples) {
+  const counts = { low: 0, medium: 0, high: 0 };
+  samples.forEach(s => {
+    counts[s.tier]++;
+  });
+  return counts;
+}
+
+module.exports = {
+  LABEL_HORIZON_HOURS,
+  TIER_TARGET,
+  loadEvents,
+  labelReading,
+  buildDataset,
+  splitByTime,
+  tierCounts
+};
\ No newline at end of file
@@ -43,9 +43,102 @@ OWM_KEY=your_openweathermap_api_key_here
 # Server Configuration
 PORT=3000
 
+# Authentication (JWT_SECRET is required in production)
+JWT_SECRET=change_me_to_a_long_random_string
+# ACCESS_TOKEN_EXPIRES_IN=15m
+# REFRESH_TOKEN_TTL_DAYS=30
+
+# Outgoing mail (console, file or smtp)
+# MAIL_TRANSPORT=console
+# MAIL_FROM=FloodGuard <no-reply@example.com>
+# MAIL_FILE_DIR=logs/mail
+# APP_URL=http://localhost:3000
+# SMTP_HOST=smtp.example.com
+# SMTP_PORT=587
+# SMTP_USER=
+# SMTP_PASS=
+
 # Optional: Additional API Keys
 # USGS_KEY=your_usgs_key_here
 # SOILGRIDS_KEY=your_soilgrids_key_here
+
+# Optional: Data provider priority (comma-separated, first answer wins)
+# PROVIDERS_RAINFALL=Sensor,OpenWeatherMap,Open-Meteo
+# PROVIDERS_WATER_LEVEL=Sensor,USGS
+# PROVIDERS_SOIL_MOISTURE=Sensor,SoilGrids,Open-Meteo
+# SENSOR_MAX_AGE_MINUTES=30
+
+# Optional: Data quality (flagged values fall back to the last good reading
+# no older than this; stale inputs fade out of the risk by the same age)
+# QUALITY_LKG_MAX_AGE_MINUTES=360
+
+# Optional: Antecedent precipitation index daily decay factor (0-1)
+# API_DECAY=0.85
+
+# Optional: Model training (readings are labelled with floods starting within this many hours)
+# LABEL_HORIZON_HOURS=24
+
+# Optional: Flood reports are linked to the nearest active station within this distance
+# FLOOD_EVENT_MAX_STATION_KM=25
+
+# Optional: Model registry location, and how soon a failed model load is retried
+# MODEL_REGISTRY_DIR=./ai-model/registry
+# MODEL_RETRY_MINUTES=5
+
+# Optional: Risk forecasts from the OpenWeatherMap 5-day forecast (needs OWM_KEY)
+# FORECAST_ENABLED=true
+# FORECAST_CRON=5 * * * *
+# FORECAST_HORIZONS=3,6,12,24,48
+# FORECAST_RETENTION_DAYS=7
+# FORECAST_RUN_COOLDOWN_SECONDS=60
+
+# Optional: MQTT sensor bridge (disabled when MQTT_URL is unset)
+# MQTT_URL=mqtt://localhost:1883
+# MQTT_USERNAME=
+# MQTT_PASSWORD=
+# MQTT_TOPIC_PATTERN=floodguard/{stationId}/{metric}
+
+# Optional: Alert lifecycle
+# ALERT_OPEN_LEVEL=medium
+# ALERT_COOLDOWN_MINUTES=60
+# ALERT_ALL_CLEAR_MINUTES=60
+# ALERT_ACK_TIMEOUT_MINUTES=15
+# ALERT_ESCALATION_LEVEL=high
+# ALERT_ESCALATION_CONTACTS=sms:+2348012345678,email:ops@example.org
+
+# Optional: History API limits
+# HISTORY_MAX_LIMIT=1000
+# HISTORY_MAX_BUCKETS=2000
+# EXPORT_MAX_ROWS=1000000
+# STATS_CACHE_SECONDS=30
+
+# Optional: Data retention (raw readings older than RETENTION_RAW_DAYS are
+# rolled up into hourly/daily summaries, archived if a directory is set, then removed).
+# The scheduled run is off unless enabled here.
+# RETENTION_ENABLED=true
+# RETENTION_CRON=15 3 * * *
+# RETENTION_DRY_RUN=false
+# RETENTION_RAW_DAYS=90
+# RETENTION_HOURLY_DAYS=730
+# RETENTION_ARCHIVE_DIR=archive
+
+# Optional: CAP 1.2 / Atom alert feeds
+# CAP_SENDER=floodguard@example.org
+# CAP_SENDER_NAME=FloodGuard Flood Monitoring
+# CAP_STATUS=Actual
+# CAP_EXPIRES_HOURS=6
+# CAP_FEED_CLOSED_HOURS=24
+
+# Optional: Alert delivery channels (push, sms, email, voice, webhook)
+# SMS_GATEWAY=console
+# SMS_GATEWAY_URL=https://sms.example.com/api
+# SMS_GATEWAY_TOKEN=
+# WEBHOOK_SECRET=
+# ALERT_WEBHOOK_URLS=https://partner.example.com/floodguard
+# Webhooks must be public https URLs unless this is true
+# WEBHOOK_ALLOW_PRIVATE=false
+# NOTIFICATION_MAX_ATTEMPTS=4
+# NOTIFICATION_FAKES=false
 `;
   fs.writeFileSync(envPath, envTemplate);
   console.log('  ✓ Created .env template');
@@ -196,10 +289,12 @@ console.log('\n🍃 Step 7: Testing MongoDB connection...');
   console.log('  1. Update .env with your API keys');
   console.log('  2. Update firebase-service-account.json (if using notifications)');
   console.log('  3. Ensure MongoDB is running');
-  console.log('  4. Run: npm start\n');
+  console.log('  4. Create the first admin: npm run create-admin -- --email <email> --username <name> --password <password>');
+  console.log('  5. Run: npm start\n');
   console.log('📚 Available Commands:\n');
   console.log('  npm start          - Start the server');
   console.log('  npm run dev        - Start with auto-reload (needs nodemon)');
+  console.log('  npm run create-admin - Create or promote the first admin user');
   console.log('  npm run train      - Train the AI model');
   console.log('  npm run test       - Test predictions\n');
   console.log('🌐 Access Points:\n');
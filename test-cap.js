@@ -0,0 +1,142 @@
+// test-cap.js - Validate CAP 1.2 output against the OASIS schema (offline)
+const fs = require('fs');
+const path = require('path');
+const { validateXML } = require('xmllint-wasm');
+const Alert = require('./models/alert');
+const MonitoringStation = require('./models/monitoringStation');
+const { buildCapMessage, buildAtomFeed } = require('./services/capService');
+const { createChecks, report } = require('./test-helpers');
+
+console.log('\n' + '='.repeat(60));
+console.log('🧪 FloodGuard CAP Feed Testing');
+console.log('='.repeat(60) + '\n');
+
+const SCHEMA = {
+  fileName: 'CAP-v1.2.xsd',
+  contents: fs.readFileSync(path.join(__dirname, 'schemas', 'CAP-v1.2.xsd'), 'utf8')
+};
+const BASE_URL = 'https://floodguard.example.org';
+
+const station = new MonitoringStation({
+  name: 'Ikorodu <Riverside> & Co',
+  region: 'Lagos',
+  lat: 6.6194,
+  lng: 3.5105,
+  riverGaugeId: '01646500'
+});
+
+const openedAt = new Date('2024-06-01T08:00:00Z');
+const minutes = (n) => new Date(openedAt.getTime() + n * 60000);
+
+// Alerts at different points in their lifecycle
+function buildAlerts() {
+  const opened = new Alert({
+    station: station._id,
+    level: 'medium',
+    peakLevel: 'medium',
+    peakPrediction: 55,
+    openedAt,
+    transitions: [{ event: 'opened', to: 'medium', at: openedAt, prediction: 55, notified: true }]
+  });
+
+  const escalated = new Alert({
+    station: station._id,
+    level: 'high',
+    peakLevel: 'high',
+    peakPrediction: 82,
+    openedAt,
+    transitions: [
+      { event: 'opened', to: 'medium', at: openedAt, prediction: 55, notified: true },
+      { event: 'status-changed', from: 'open', to: 'acknowledged', at: minutes(5) },
+      { event: 'escalated', from: 'medium', to: 'high', at: minutes(20), prediction: 82, notified: true }
+    ]
+  });
+
+  const closed = new Alert({
+    station: station._id,
+    state: 'closed',
+    level: 'medium',
+    peakLevel: 'high',
+    peakPrediction: 82,
+    openedAt,
+    closedAt: minutes(180),
+    transitions: [
+      { event: 'opened', to: 'high', at: openedAt, prediction: 82, notified: true },
+      { event: 'risk-low', from: 'high', to: 'low', at: minutes(100), prediction: 20 },
+      { event: 'closed', from: 'high', to: 'low', at: minutes(180), prediction: 12, notified: true }
+    ]
+  });
+
+  [opened, escalated, closed].forEach(alert => { alert.station = station; });
+  return { opened, escalated, closed };
+}
+
+const field = (xml, name) => {
+  const match = xml.match(new RegExp(`<${name}>([^<]*)</${name}>`));
+  return match ? match[1] : null;
+};
+
+async function testCap() {
+  const checks = createChecks();
+  const { check } = checks;
+
+  try {
+    const alerts = buildAlerts();
+
+    for (const [name, alert] of Object.entries(alerts)) {
+      console.log(`📄 ${name} alert`);
+      const xml = buildCapMessage(alert, station, { baseUrl: BASE_URL });
+      const result = await validateXML({ xml: { fileName: `${name}.xml`, contents: xml }, schema: SCHEMA });
+
+      check('valid against CAP 1.2 schema', result.valid);
+      result.errors.forEach(error => console.log(`      ${error.rawMessage}`));
+      check('sent uses +00:00 offset', /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\+00:00$/.test(field(xml, 'sent')));
+      check('station name escaped', xml.includes('Ikorodu &lt;Riverside&gt; &amp; Co'));
+
+      const polygon = field(xml, 'polygon').split(' ');
+      check('polygon closed with 4+ points', polygon.length >= 4 && polygon[0] === polygon[polygon.length - 1]);
+      check('polygon uses lat,lon order', polygon.every(p => Math.abs(parseFloat(p.split(',')[0]) - station.lat) < 1));
+
+      if (name === 'opened') {
+        check('msgType Alert without references', field(xml, 'msgType') === 'Alert' && !xml.includes('<references>'));
+        check('medium maps to Expected/Moderate/Likely',
+          field(xml, 'urgency') === 'Expected' && field(xml, 'severity') === 'Moderate' && field(xml, 'certainty') === 'Likely');
+      }
+      if (name === 'escalated') {
+        check('msgType Update referencing the opening', field(xml, 'msgType') === 'Update' &&
+          field(xml, 'references') === `floodguard@example.org,floodguard@example.org.alert.${alert._id}.0,2024-06-01T08:00:00+00:00`);
+        check('high maps to Immediate/Severe', field(xml, 'urgency') === 'Immediate' && field(xml, 'severity') === 'Severe');
+        check('workflow transitions skipped in identifier', field(xml, 'identifier').endsWith('.2'));
+      }
+      if (name === 'closed') {
+        check('all-clear is AllClear/Past/Observed', field(xml, 'responseType') === 'AllClear' &&
+          field(xml, 'urgency') === 'Past' && field(xml, 'certainty') === 'Observed');
+        check('area sized by peak level', field(xml, 'circle').endsWith(' 10'));
+      }
+      console.log('');
+    }
+
+    console.log('📰 Atom feeds');
+    for (const embedCap of [false, true]) {
+      const feed = buildAtomFeed(Object.values(alerts), { baseUrl: BASE_URL, selfPath: '/api/alerts/feed.atom', embedCap });
+      const result = await validateXML({ xml: { fileName: 'feed.xml', contents: feed }, normalization: 'format' });
+      const label = embedCap ? 'CAP feed' : 'Atom feed';
+
+      check(`${label} is well-formed XML`, result.normalized.length > 0 && result.errors.length === 0);
+      check(`${label} has one entry per alert`, (feed.match(/<entry>/g) || []).length === 3);
+      check(`${label} uses tag: IRIs for feed and entry ids`,
+        (feed.match(/<id>[^<]*<\/id>/g) || []).every(id => /^<id>tag:[^,]+,\d{4}:\S+<\/id>$/.test(id)));
+      check(`${label} links to CAP documents`, feed.includes(`${BASE_URL}/api/alerts/${alerts.opened._id}/cap`));
+      check(`${label} ${embedCap ? 'embeds' : 'omits'} CAP content`,
+        feed.includes('<alert xmlns="urn:oasis:names:tc:emergency:cap:1.2">') === embedCap);
+    }
+  } catch (error) {
+    checks.fail(error);
+  }
+
+  return report('CAP feed tests passed!', checks.failures);
+}
+
+testCap().then(success => {
+  process.exit(success ? 0 : 1);
+});
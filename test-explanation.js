@@ -0,0 +1,104 @@
+// test-explanation.js - Check per-feature prediction explanations add up (offline)
+const { FEATURES, summarise, explainPoints, explainModel } = require('./services/explanationService');
+const { fallbackPoints, predict, isUsingFallback } = require('./services/predictionService');
+const { createChecks, report } = require('./test-helpers');
+
+console.log('\n' + '='.repeat(60));
+console.log('🧪 FloodGuard Explanation Testing');
+console.log('='.repeat(60) + '\n');
+
+const reading = { rainfall: 10, waterLevel: 3, soilMoisture: 0.5, rain24h: 20, api: 30 };
+
+// baseline + contributions, compared with the prediction to float precision
+const total = (explanation) => explanation.baseline + explanation.contributions.reduce((sum, row) => sum + row.points, 0);
+const addsUp = (explanation, prediction) => Math.abs(total(explanation) - prediction) < 1e-9;
+const pointsFor = (explanation, feature) => explanation.contributions.find(row => row.feature === feature).points;
+
+// Predictions for a batch of readings from a per-reading function
+const batch = (fn) => (readings) => readings.map(fn);
+
+async function testExplanations() {
+  const checks = createChecks();
+  const { check } = checks;
+
+  try {
+    console.log('🧮 Shapley values');
+    const linear = (r) => 10 + 2 * r.rainfall + 5 * r.waterLevel + 20 * r.soilMoisture + 0.1 * r.rain24h + 0.2 * r.api;
+    const linearExplanation = explainModel(reading, linear(reading), batch(linear));
+    check('baseline is the dry reading', linearExplanation.baseline === 10 && linearExplanation.method === 'shapley');
+    check('linear model gets its own terms',
+      pointsFor(linearExplanation, 'rainfall') === 20 && pointsFor(linearExplanation, 'waterLevel') === 15 &&
+      pointsFor(linearExplanation, 'soilMoisture') === 10 && pointsFor(linearExplanation, 'rain24h') === 2 &&
+      pointsFor(linearExplanation, 'api') === 6);
+    check('largest effect first', linearExplanation.contributions[0].feature === 'rainfall');
+
+    const interaction = (r) => r.rainfall * r.waterLevel;
+    const interactionExplanation = explainModel(reading, interaction(reading), batch(interaction));
+    check('interaction split evenly between its features',
+      pointsFor(interactionExplanation, 'rainfall') === 15 && pointsFor(interactionExplanation, 'waterLevel') === 15);
+    check('unused features get nothing', pointsFor(interactionExplanation, 'api') === 0);
+
+    const subset = explainModel(reading, linear(reading), batch(linear), FEATURES.slice(0, 3));
+    check('only the given features are explained',
+      subset.contributions.length === 3 && !subset.contributions.some(row => row.feature === 'api'));
+
+    console.log('\n⚖️  Baseline plus contributions equals the prediction');
+    const curved = (r) => 3.456 + 40 / (1 + Math.exp(-(r.rainfall / 10 + r.waterLevel - 3))) + 7.77 * r.soilMoisture ** 2;
+    const rounded = Math.round(curved(reading));
+    const curvedExplanation = explainModel(reading, rounded, batch(curved));
+    check('rounded model prediction', addsUp(curvedExplanation, rounded));
+    check('points rounded to 0.1', curvedExplanation.contributions.every(row => Math.abs(row.points * 10 - Math.round(row.points * 10)) < 1e-9));
+
+    let mismatches = 0;
+    for (let i = 0; i < 200; i++) {
+      const random = {
+        rainfall: Math.random() * 80,
+        waterLevel: Math.random() * 7,
+        soilMoisture: Math.random(),
+        rain24h: Math.random() * 120,
+        api: Math.random() * 150
+      };
+      const prediction = Math.round(Math.min(100, curved(random) + random.rain24h / 10 + random.api / 20));
+      const scored = (r) => Math.min(100, curved(r) + r.rain24h / 10 + r.api / 20);
+      if (!addsUp(explainModel(random, prediction, batch(scored)), prediction)) mismatches++;
+    }
+    check('200 random readings add up', mismatches === 0);
+
+    console.log('\n📋 Fallback points');
+    const antecedent = { rain24h: 20, api: 30 };
+    const { risk, table } = fallbackPoints(reading.rainfall, reading.waterLevel, reading.soilMoisture, antecedent);
+    const points = explainPoints(reading, table, risk);
+    check('fallback explanation adds up', points.method === 'points' && points.baseline === 0 && addsUp(points, risk));
+
+    const extreme = { rainfall: 60, waterLevel: 6, soilMoisture: 0.95, rain24h: 80, api: 120 };
+    const capped = fallbackPoints(extreme.rainfall, extreme.waterLevel, extreme.soilMoisture, extreme);
+    const cappedPoints = explainPoints(extreme, capped.table, capped.risk);
+    check('capped risk adds up to 100', capped.risk === 100 && addsUp(cappedPoints, 100));
+    check('combined bonus and cap rows present',
+      pointsFor(cappedPoints, 'combined') > 0 && pointsFor(cappedPoints, 'cap') < 0);
+    check('summary leaves out the cap', cappedPoints.summary.startsWith('rainfall 60.0 mm +45') && !cappedPoints.summary.includes('-50'));
+
+    const drizzle = { rainfall: 2.34, waterLevel: 1, soilMoisture: 0.2 };
+    const light = fallbackPoints(drizzle.rainfall, drizzle.waterLevel, drizzle.soilMoisture);
+    check('fractional points add up to the rounded risk', addsUp(explainPoints(drizzle, light.table, light.risk), light.risk));
+
+    console.log('\n📝 Summaries');
+    check('top contributions with signed points',
+      summarise([{ feature: 'waterLevel', value: 4.2, points: 28 }, { feature: 'rainfall', value: 35, points: -20.4 }]) ===
+      'water level 4.20 m +28, rainfall 35.0 mm -20');
+    check('small contributions are left out', summarise([{ feature: 'api', value: 10, points: 0.4 }]) === 'no notable factors');
+
+    console.log('\n🤖 Active model');
+    const result = await predict(reading.rainfall, reading.waterLevel, reading.soilMoisture, antecedent, { explain: true });
+    console.log(`  → ${result.modelVersion}${isUsingFallback() ? ' (fallback)' : ''}: ${result.prediction}% (${result.explanation.summary})`);
+    check('prediction explanation adds up', addsUp(result.explanation, result.prediction));
+  } catch (error) {
+    checks.fail(error);
+  }
+
+  return report('Explanation tests passed!', checks.failures);
+}
+
+testExplanations().then(success => {
+  process.exit(success ? 0 : 1);
+});
@@ -0,0 +1,32 @@
+// test-helpers.js - Check and report helpers shared by the offline test scripts
+
+// Named checks for one test run; failures counts the ones that didn't hold
+function createChecks() {
+  const checks = {
+    failures: 0,
+    check(name, condition) {
+      console.log(`  ${condition ? '✓' : '✗'} ${name}`);
+      if (!condition) checks.failures++;
+    },
+    // An error that stopped the run early counts as a failure
+    fail(error) {
+      console.error('\n❌ Test failed:', error.message);
+      checks.failures++;
+    }
+  };
+  return checks;
+}
+
+// Print the pass/fail footer; resolves the run's success
+function report(passedMessage, failures) {
+  console.log('\n' + '='.repeat(60));
+  console.log(failures === 0 ? `✅ ${passedMessage}` : `❌ ${failures} check(s) failed`);
+  console.log('='.repeat(60) + '\n');
+
+  return failures === 0;
+}
+
+module.exports = {
+  createChecks,
+  report
+};
@@ -0,0 +1,126 @@
+// test-mqtt.js - Test the MQTT bridge against an embedded local broker (offline)
+const net = require('net');
+const { startMqttBridge, compileTopicPattern } = require('./services/mqttBridge');
+const { normalizeReading } = require('./services/sensorService');
+const { createChecks, report } = require('./test-helpers');
+
+console.log('\n' + '='.repeat(60));
+console.log('🧪 FloodGuard MQTT Bridge Testing');
+console.log('='.repeat(60) + '\n');
+
+const STATION_ID = '650000000000000000000001';
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Start an in-process aedes broker on the given port
+function startBroker(port) {
+  const aedes = require('aedes')();
+  const server = net.createServer(aedes.handle);
+  return new Promise(resolve => {
+    server.listen(port, '127.0.0.1', () => resolve({
+      aedes,
+      close: () => new Promise(done => {
+        aedes.close(() => server.close(() => done()));
+      })
+    }));
+  });
+}
+
+// Resolve once the predicate holds, or fail after the timeout
+async function waitFor(predicate, timeoutMs, label) {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeoutMs) throw new Error(`Timed out waiting for ${label}`);
+    await wait(50);
+  }
+}
+
+function freePort() {
+  return new Promise(resolve => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function testMqttBridge() {
+  let broker = null;
+  let bridge = null;
+  const checks = createChecks();
+  const { check } = checks;
+
+  try {
+    console.log('🔤 Topic pattern parsing');
+    const pattern = compileTopicPattern('floodguard/{stationId}/{metric}');
+    check('subscription uses wildcards', pattern.subscription === 'floodguard/+/+');
+    check('matches station topic', pattern.match(`floodguard/${STATION_ID}/rainfall`)?.metric === 'rainfall');
+    check('ignores unrelated topic', pattern.match('other/x/rainfall') === null);
+    console.log('');
+
+    const port = await freePort();
+    const received = [];
+
+    console.log('🔌 Connecting before the broker is up (backoff)');
+    bridge = startMqttBridge({
+      url: `mqtt://127.0.0.1:${port}`,
+      minReconnectMs: 100,
+      maxReconnectMs: 400,
+      handleReading: async (params, raw) => {
+        const { reading, errors } = normalizeReading(raw);
+        received.push({ params, reading, errors });
+        return { accepted: reading ? 1 : 0, rejected: errors ? [{ index: 0, errors }] : [] };
+      }
+    });
+
+    await wait(300);
+    broker = await startBroker(port);
+    await waitFor(() => bridge.client.connected, 5000, 'initial connection');
+    check('bridge connected once broker started', true);
+    await wait(200);
+    console.log('');
+
+    console.log('📨 Publishing telemetry');
+    const publish = (topic, payload) => new Promise(resolve => {
+      broker.aedes.publish({ topic, payload: Buffer.from(payload), qos: 0, retain: false }, resolve);
+    });
+
+    await publish(`floodguard/${STATION_ID}/waterLevel`, '3.4');
+    await publish(`floodguard/${STATION_ID}/rain`, JSON.stringify({ value: 0.5, unit: 'in', battery: 81 }));
+    await publish(`floodguard/${STATION_ID}/soilMoisture`, JSON.stringify({ value: 140, unit: '%' }));
+    await publish(`floodguard/${STATION_ID}/temperature`, '21');
+    await waitFor(() => received.length >= 3, 5000, 'messages');
+    await wait(200);
+
+    check('three readings handled (unknown metric ignored)', received.length === 3);
+    check('station ID extracted from topic', received.every(r => r.params.stationId === STATION_ID));
+    check('bare number payload parsed', received[0].reading?.waterLevel === 3.4);
+    check('JSON payload converted to mm', Math.abs((received[1].reading?.rainfall || 0) - 12.7) < 1e-9);
+    check('battery carried with reading', received[1].reading?.battery === 81);
+    check('out-of-range value rejected', Array.isArray(received[2].errors));
+    console.log('');
+
+    console.log('🔁 Broker restart (reconnect)');
+    await broker.close();
+    broker = null;
+    await waitFor(() => !bridge.client.connected, 5000, 'disconnect');
+    broker = await startBroker(port);
+    await waitFor(() => bridge.client.connected, 5000, 'reconnection');
+    check('bridge reconnected after restart', true);
+    await wait(200);
+
+    await publish(`floodguard/${STATION_ID}/waterLevel`, '2.9');
+    await waitFor(() => received.length >= 4, 5000, 'message after reconnect');
+    check('resubscribed after reconnect', received[3].reading?.waterLevel === 2.9);
+  } catch (error) {
+    checks.fail(error);
+  } finally {
+    if (bridge) await bridge.stop();
+    if (broker) await broker.close();
+  }
+
+  return report('MQTT bridge tests passed!', checks.failures);
+}
+
+testMqttBridge().then(success => {
+  process.exit(success ? 0 : 1);
+});
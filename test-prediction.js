@@ -1,6 +1,6 @@
 // test-prediction.js - Test FloodGuard Predictions (Browser-compatible)
-const path = require('path');
 const fs = require('fs');
+const modelRegistry = require('./services/modelRegistry');
 
 console.log('\n' + '='.repeat(60));
 console.log('🧪 FloodGuard Prediction Testing');
@@ -11,6 +11,8 @@ async function testPredictions() {
     // Try loading TensorFlow
     let tf, model;
     let usingFallback = false;
+    // Older models took placeholders instead of antecedent rainfall inputs
+    let antecedentInputs = false;
 
     console.log('📦 Loading prediction system...');
     
@@ -27,11 +29,12 @@ async function testPredictions() {
         console.log('✓ TensorFlow.js loaded (Node backend)');
       }
       
-      const modelPath = path.join(__dirname, 'ai-model', 'model.json');
-      
-      if (!fs.existsSync(modelPath)) {
+      // The registry's active version
+      const version = modelRegistry.getActiveVersion();
+      if (!version || !modelRegistry.hasVersion(version)) {
         throw new Error('Model not found');
       }
+      const { model: modelPath, metadata: metadataPath } = modelRegistry.modelPaths(version);
       
       // Custom load handler for browser TensorFlow.js
       class NodeFileSystem {
@@ -66,15 +69,15 @@ async function testPredictions() {
       console.log('✓ AI Model loaded successfully\n');
       
       // Load and display metadata
-      const metadataPath = path.join(__dirname, 'ai-model', 'metadata.json');
       if (fs.existsSync(metadataPath)) {
         const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
         console.log('📊 Model Information:');
-        console.log(`  Version: ${metadata.version}`);
+        console.log(`  Version: ${version}`);
         console.log(`  Trained: ${new Date(metadata.trainedAt).toLocaleString()}`);
         console.log(`  Backend: ${metadata.backend}`);
         console.log(`  Training Loss: ${metadata.training.finalLoss}`);
         console.log(`  Validation Loss: ${metadata.training.finalValLoss}\n`);
+        antecedentInputs = (metadata.inputFeatures || []).some(feature => feature.name === 'rain24h');
       }
       
     } catch (err) {
@@ -84,7 +87,7 @@ async function testPredictions() {
     }
 
     // Fallback prediction function
-    function calculateRiskFallback(rainfall, waterLevel, soilMoisture) {
+    function calculateRiskFallback(rainfall, waterLevel, soilMoisture, antecedent) {
       let risk = 0;
       
       if (rainfall > 50) risk += 45;
@@ -106,6 +109,16 @@ async function testPredictions() {
       else if (soilMoisture > 0.6) risk += 8;
       else if (soilMoisture > 0.5) risk += 4;
       
+      if (antecedent) {
+        if (antecedent.rain24h > 75) risk += 8;
+        else if (antecedent.rain24h > 40) risk += 5;
+        else if (antecedent.rain24h > 15) risk += 2;
+
+        if (antecedent.api > 100) risk += 7;
+        else if (antecedent.api > 50) risk += 4;
+        else if (antecedent.api > 25) risk += 2;
+      }
+      
       if (rainfall > 20 && waterLevel > 3 && soilMoisture > 0.7) {
         risk = Math.min(risk * 1.3, 100);
       }
@@ -114,13 +127,13 @@ async function testPredictions() {
     }
 
     // AI prediction function
-    function predictWithModel(rainfall, waterLevel, soilMoisture) {
+    function predictWithModel(rainfall, waterLevel, soilMoisture, antecedent) {
       const input = tf.tensor2d([[
         rainfall / 50,
         soilMoisture,
         waterLevel / 6,
-        0.05,
-        0.05
+        antecedentInputs ? antecedent.rain24h / 100 : 0.05,
+        antecedentInputs ? antecedent.api / 150 : 0.05
       ]]);
       
       const prediction = model.predict(input);
@@ -135,37 +148,37 @@ async function testPredictions() {
       {
         category: '🟢 LOW RISK SCENARIOS',
         cases: [
-          { name: 'Clear Day', rain: 0, soil: 0.3, water: 1.8 },
-          { name: 'Light Drizzle', rain: 3, soil: 0.4, water: 2.0 },
-          { name: 'Dry Season', rain: 1, soil: 0.2, water: 1.5 },
-          { name: 'Normal Conditions', rain: 5, soil: 0.5, water: 2.2 }
+          { name: 'Clear Day', rain: 0, soil: 0.3, water: 1.8, rain24h: 0, api: 5 },
+          { name: 'Light Drizzle', rain: 3, soil: 0.4, water: 2.0, rain24h: 6, api: 12 },
+          { name: 'Dry Season', rain: 1, soil: 0.2, water: 1.5, rain24h: 1, api: 2 },
+          { name: 'Normal Conditions', rain: 5, soil: 0.5, water: 2.2, rain24h: 10, api: 20 }
         ]
       },
       {
         category: '🟡 MEDIUM RISK SCENARIOS',
         cases: [
-          { name: 'Moderate Rain', rain: 20, soil: 0.6, water: 2.8 },
-          { name: 'High Soil Moisture', rain: 15, soil: 0.8, water: 2.5 },
-          { name: 'Rising Water', rain: 18, soil: 0.5, water: 3.5 },
-          { name: 'Combined Medium', rain: 22, soil: 0.7, water: 3.2 }
+          { name: 'Moderate Rain', rain: 20, soil: 0.6, water: 2.8, rain24h: 35, api: 40 },
+          { name: 'High Soil Moisture', rain: 15, soil: 0.8, water: 2.5, rain24h: 25, api: 70 },
+          { name: 'Rising Water', rain: 18, soil: 0.5, water: 3.5, rain24h: 30, api: 35 },
+          { name: 'Combined Medium', rain: 22, soil: 0.7, water: 3.2, rain24h: 40, api: 55 }
         ]
       },
       {
         category: '🔴 HIGH RISK SCENARIOS',
         cases: [
-          { name: 'Heavy Rainfall', rain: 45, soil: 0.7, water: 4.2 },
-          { name: 'Very High Water', rain: 25, soil: 0.8, water: 5.2 },
-          { name: 'Saturated Soil', rain: 35, soil: 0.95, water: 4.5 },
-          { name: 'Extreme Conditions', rain: 55, soil: 0.9, water: 5.5 }
+          { name: 'Heavy Rainfall', rain: 45, soil: 0.7, water: 4.2, rain24h: 90, api: 110 },
+          { name: 'Very High Water', rain: 25, soil: 0.8, water: 5.2, rain24h: 60, api: 120 },
+          { name: 'Saturated Soil', rain: 35, soil: 0.95, water: 4.5, rain24h: 80, api: 150 },
+          { name: 'Extreme Conditions', rain: 55, soil: 0.9, water: 5.5, rain24h: 130, api: 180 }
         ]
       },
       {
         category: '⚡ EDGE CASES',
         cases: [
-          { name: 'Maximum Values', rain: 60, soil: 1.0, water: 6.0 },
-          { name: 'Minimum Values', rain: 0, soil: 0, water: 0 },
-          { name: 'Mixed Low/High', rain: 50, soil: 0.2, water: 1.5 },
-          { name: 'Mixed High/Low', rain: 5, soil: 0.9, water: 5.0 }
+          { name: 'Maximum Values', rain: 60, soil: 1.0, water: 6.0, rain24h: 180, api: 250 },
+          { name: 'Minimum Values', rain: 0, soil: 0, water: 0, rain24h: 0, api: 0 },
+          { name: 'Mixed Low/High', rain: 50, soil: 0.2, water: 1.5, rain24h: 50, api: 10 },
+          { name: 'Mixed High/Low', rain: 5, soil: 0.9, water: 5.0, rain24h: 5, api: 90 }
         ]
       }
     ];
@@ -180,14 +193,14 @@ async function testPredictions() {
 
       scenario.cases.forEach(testCase => {
         const risk = usingFallback
-          ? calculateRiskFallback(testCase.rain, testCase.water, testCase.soil)
-          : predictWithModel(testCase.rain, testCase.water, testCase.soil);
+          ? calculateRiskFallback(testCase.rain, testCase.water, testCase.soil, testCase)
+          : predictWithModel(testCase.rain, testCase.water, testCase.soil, testCase);
 
         const riskLevel = risk < 30 ? 'LOW' : risk < 70 ? 'MEDIUM' : 'HIGH';
         const color = risk < 30 ? '🟢' : risk < 70 ? '🟡' : '🔴';
 
         console.log(`\n${testCase.name}:`);
-        console.log(`  Input:  Rain=${testCase.rain}mm | Water=${testCase.water}m | Soil=${(testCase.soil*100).toFixed(0)}%`);
+        console.log(`  Input:  Rain=${testCase.rain}mm | Water=${testCase.water}m | Soil=${(testCase.soil*100).toFixed(0)}% | 24h=${testCase.rain24h}mm | API=${testCase.api}`);
         console.log(`  Result: ${color} ${risk}% risk (${riskLevel})`);
       });
 
@@ -201,8 +214,8 @@ async function testPredictions() {
     const results = allTests.map(test => ({
       ...test,
       risk: usingFallback
-        ? calculateRiskFallback(test.rain, test.water, test.soil)
-        : predictWithModel(test.rain, test.water, test.soil)
+        ? calculateRiskFallback(test.rain, test.water, test.soil, test)
+        : predictWithModel(test.rain, test.water, test.soil, test)
     }));
 
     const lowRisk = results.filter(r => r.risk < 30).length;
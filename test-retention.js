@@ -0,0 +1,284 @@
+// test-retention.js - Check retention rollups: merging, run boundaries and daily rebuilds (offline)
+// The retention pipelines are run against in-memory collections by a small
+// evaluator that covers just the aggregation stages and operators they use.
+const mongoose = require('mongoose');
+const { hourlyPipeline, combineHourly, dailyPipeline } = require('./services/retentionService');
+const { HourlyRollup } = require('./models/floodRollup');
+const { createChecks, report } = require('./test-helpers');
+
+const { ObjectId } = mongoose.Types;
+
+console.log('\n' + '='.repeat(60));
+console.log('🧪 FloodGuard Retention Testing');
+console.log('='.repeat(60) + '\n');
+
+const HOUR_MS = 60 * 60 * 1000;
+const start = new Date('2024-06-01T00:00:00Z');
+const hours = (n) => new Date(start.getTime() + n * HOUR_MS);
+
+// ---- In-memory aggregation ----
+
+// Field paths reach into every element of an array, as in MongoDB
+const get = (doc, path) => path.split('.').reduce((value, key) => {
+  if (value == null) return undefined;
+  return Array.isArray(value) ? value.map(item => (item == null ? undefined : item[key])) : value[key];
+}, doc);
+
+// Set a dotted path, copying the objects along it rather than changing them
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((obj, key) => (obj[key] = { ...obj[key] }), doc);
+  parent[last] = value;
+}
+
+// BSON order for the types involved: missing/null, numbers, strings, ObjectIds, dates
+function compare(a, b) {
+  const rank = (v) => (v == null ? 0 : typeof v === 'number' ? 1 : typeof v === 'string' ? 2 : v instanceof ObjectId ? 3 : 4);
+  if (rank(a) !== rank(b)) return rank(a) - rank(b);
+  if (a == null) return 0;
+  if (typeof a === 'string') return a.localeCompare(b);
+  if (a instanceof ObjectId) return a.toHexString().localeCompare(b.toHexString());
+  return Number(a) - Number(b);
+}
+
+const equal = (a, b) => compare(a, b) === 0;
+const truncate = (date, unit) => new Date(Math.floor(date.getTime() / (unit === 'day' ? 24 * HOUR_MS : HOUR_MS)) * (unit === 'day' ? 24 * HOUR_MS : HOUR_MS));
+
+const OPERATORS = {
+  $add: (values) => values.reduce((sum, v) => sum + v, 0),
+  $divide: ([a, b]) => a / b,
+  $ifNull: ([value, fallback]) => (value == null ? fallback : value),
+  $min: (values) => values.filter(v => v != null).reduce((a, b) => (a == null || b < a ? b : a), null),
+  $max: (values) => values.filter(v => v != null).reduce((a, b) => (a == null || b > a ? b : a), null),
+  $cond: ([test, then, otherwise]) => (test ? then : otherwise),
+  $eq: ([a, b]) => equal(a, b),
+  $gt: ([a, b]) => compare(a, b) > 0,
+  $gte: ([a, b]) => compare(a, b) >= 0,
+  $and: (values) => values.every(Boolean),
+  $in: ([value, list]) => list.some(item => equal(item, value)),
+  $isNumber: ([value]) => typeof value === 'number',
+  $first: ([list]) => (Array.isArray(list) ? list[0] : undefined)
+};
+
+function evaluate(expr, doc, vars = {}) {
+  if (typeof expr === 'string' && expr.startsWith('$$')) {
+    const [name, ...rest] = expr.slice(2).split('.');
+    return rest.length ? get(vars[name], rest.join('.')) : vars[name];
+  }
+  if (typeof expr === 'string' && expr.startsWith('$')) return get(doc, expr.slice(1));
+  if (Array.isArray(expr)) return expr.map(e => evaluate(e, doc, vars));
+  if (expr === null || typeof expr !== 'object' || expr instanceof Date || expr instanceof ObjectId) return expr;
+
+  const [op] = Object.keys(expr);
+  if (!op.startsWith('$')) {
+    return Object.fromEntries(Object.entries(expr).map(([key, value]) => [key, evaluate(value, doc, vars)]));
+  }
+  if (op === '$literal') return expr.$literal;
+  if (op === '$dateTrunc') return truncate(evaluate(expr.$dateTrunc.date, doc, vars), expr.$dateTrunc.unit);
+  if (!OPERATORS[op]) throw new Error(`Operator ${op} not supported`);
+  const args = evaluate(expr[op], doc, vars);
+  return OPERATORS[op](Array.isArray(expr[op]) ? args : [args]);
+}
+
+function matches(doc, query, vars) {
+  return Object.entries(query).every(([field, condition]) => {
+    if (field === '$expr') return Boolean(evaluate(condition, doc, vars));
+    const value = get(doc, field);
+    if (condition === null || typeof condition !== 'object' || condition instanceof Date || condition instanceof ObjectId) {
+      return equal(value, condition);
+    }
+    return Object.entries(condition).every(([op, operand]) => {
+      if (op === '$lt') return compare(value, operand) < 0;
+      if (op === '$gte') return compare(value, operand) >= 0;
+      if (op === '$ne') return !equal(value, operand);
+      throw new Error(`Query operator ${op} not supported`);
+    });
+  });
+}
+
+function group(docs, spec) {
+  const groups = new Map();
+  docs.forEach(doc => {
+    const id = evaluate(spec._id, doc);
+    const key = JSON.stringify(id);
+    if (!groups.has(key)) groups.set(key, { _id: id, docs: [] });
+    groups.get(key).docs.push(doc);
+  });
+
+  return [...groups.values()].map(({ _id, docs: members }) => {
+    const result = { _id };
+    Object.entries(spec).forEach(([field, accumulator]) => {
+      if (field === '_id') return;
+      const [op] = Object.keys(accumulator);
+      const values = members.map(doc => evaluate(accumulator[op], doc));
+      if (op === '$sum') result[field] = values.filter(v => typeof v === 'number').reduce((sum, v) => sum + v, 0);
+      else result[field] = OPERATORS[op](values);
+    });
+    return result;
+  });
+}
+
+function project(doc, spec) {
+  const result = {};
+  Object.entries(spec).forEach(([field, value]) => {
+    if (value === 0) return;
+    result[field] = value === 1 ? doc[field] : evaluate(value, doc);
+  });
+  return result;
+}
+
+// Run a pipeline over docs; collections holds the other collections by name
+function aggregate(docs, pipeline, collections, vars = {}) {
+  return pipeline.reduce((current, stage) => {
+    const [name] = Object.keys(stage);
+    const spec = stage[name];
+    switch (name) {
+      case '$match':
+        return current.filter(doc => matches(doc, spec, vars));
+      case '$group':
+        return group(current, spec);
+      case '$project':
+        return current.map(doc => project(doc, spec));
+      case '$set':
+        return current.map(doc => {
+          const updated = { ...doc };
+          Object.entries(spec).forEach(([path, value]) => setPath(updated, path, evaluate(value, doc, vars)));
+          return updated;
+        });
+      case '$lookup':
+        return current.map(doc => ({
+          ...doc,
+          [spec.as]: aggregate(collections[spec.from] || [], spec.pipeline, collections, evaluate(spec.let, doc))
+        }));
+      case '$merge': {
+        const target = collections[spec.into] = collections[spec.into] || [];
+        current.forEach(doc => {
+          const index = target.findIndex(existing => spec.on.every(field => equal(existing[field], doc[field])));
+          if (index === -1) target.push({ _id: new ObjectId(), ...doc });
+          else if (spec.whenMatched === 'replace') target[index] = { _id: target[index]._id, ...doc };
+          else target[index] = aggregate([target[index]], spec.whenMatched, collections, { new: doc })[0];
+        });
+        return [];
+      }
+      default:
+        throw new Error(`Stage ${name} not supported`);
+    }
+  }, docs);
+}
+
+// ---- Fixtures ----
+
+const HOURLY = HourlyRollup.collection.collectionName;
+const station = new ObjectId();
+const otherStation = new ObjectId();
+
+function reading(hour, values, extra = {}) {
+  return {
+    _id: new ObjectId(),
+    station,
+    timestamp: hours(hour),
+    rainfall: values.rainfall,
+    waterLevel: values.waterLevel,
+    soilMoisture: 0.5,
+    prediction: values.prediction,
+    riskLevel: values.riskLevel || 'low',
+    sentAlert: false,
+    dataSource: { rainfall: 'OpenWeather', waterLevel: 'Sensor', soilMoisture: 'Sensor' },
+    ...extra
+  };
+}
+
+// One retention run over the raw readings: roll up, then delete unless interrupted
+function runHourly(raw, collections, { cutoff, deleteAfter = true }) {
+  const boundary = new ObjectId();
+  const match = { timestamp: { $lt: cutoff }, _id: { $lt: boundary }, station: { $ne: null } };
+  aggregate(raw, [
+    ...hourlyPipeline(match, boundary),
+    { $merge: { into: HOURLY, on: ['station', 'bucket'], whenMatched: combineHourly(), whenNotMatched: 'insert' } }
+  ], collections);
+  return { boundary, raw: deleteAfter ? raw.filter(doc => !matches(doc, match)) : raw };
+}
+
+const bucketAt = (collections, hour, id = station) =>
+  collections[HOURLY].find(doc => equal(doc.station, id) && doc.bucket.getTime() === hours(hour).getTime());
+
+async function testRetention() {
+  const checks = createChecks();
+  const { check } = checks;
+
+  try {
+    const cutoff = hours(48);
+    const collections = { [HOURLY]: [] };
+    let raw = [
+      reading(1, { rainfall: 2, waterLevel: 1.5, prediction: 10 }),
+      reading(1.25, { rainfall: 4, waterLevel: 2.5, prediction: 70, riskLevel: 'high' }, { sentAlert: true }),
+      reading(1.5, { rainfall: 6, waterLevel: null, prediction: 40, riskLevel: 'medium' },
+        { dataSource: { rainfall: 'OpenWeather', waterLevel: 'fallback', soilMoisture: 'Sensor' } }),
+      reading(2, { rainfall: 0, waterLevel: 1, prediction: 5 }),
+      reading(30, { rainfall: 1, waterLevel: 1, prediction: 5 }),
+      reading(50, { rainfall: 9, waterLevel: 9, prediction: 90 }),
+      reading(1, { rainfall: 3, waterLevel: 3, prediction: 30 }, { station: null })
+    ];
+
+    console.log('🗂️  Hourly rollups');
+    const first = runHourly(raw, collections, { cutoff, deleteAfter: false });
+    const hour1 = bucketAt(collections, 1);
+    check('one bucket per station and hour before the cutoff', collections[HOURLY].length === 3);
+    check('readings counted by risk level',
+      hour1.count === 3 && hour1.risk.high === 1 && hour1.risk.medium === 1 && hour1.risk.low === 1);
+    check('alerts and fallback readings counted', hour1.alertsSent === 1 && hour1.fallbackReadings === 1);
+    check('metric summary ignores missing values',
+      hour1.waterLevel.n === 2 && hour1.waterLevel.min === 1.5 && hour1.waterLevel.max === 2.5 && hour1.waterLevel.avg === 2);
+    check('bucket stamped with the run boundary', equal(hour1.compactedBefore, first.boundary));
+    check('readings without a station are left alone', !collections[HOURLY].some(doc => doc.station == null));
+
+    console.log('\n🔁 Repeating an interrupted run');
+    raw = runHourly(raw, collections, { cutoff }).raw;
+    const repeated = bucketAt(collections, 1);
+    check('readings already counted are skipped', repeated.count === 3 && repeated.rainfall.sum === 12);
+    check('compacted readings deleted', raw.length === 2 && raw.every(doc => doc.timestamp >= cutoff || doc.station == null));
+
+    console.log('\n➕ Late readings for a compacted hour');
+    raw.push(reading(1.75, { rainfall: 10, waterLevel: 0.5, prediction: 95, riskLevel: 'high' }));
+    const late = runHourly(raw, collections, { cutoff });
+    const combined = bucketAt(collections, 1);
+    check('counts added to the existing bucket', combined.count === 4 && combined.risk.high === 2 && combined.alertsSent === 1);
+    check('min and max combined', combined.waterLevel.min === 0.5 && combined.waterLevel.max === 2.5 && combined.rainfall.max === 10);
+    check('average recomputed from sum and n',
+      combined.waterLevel.n === 3 && combined.waterLevel.sum === 4.5 && combined.waterLevel.avg === 1.5);
+    check('boundary moved to the latest run', equal(combined.compactedBefore, late.boundary));
+
+    collections[HOURLY].push({
+      _id: new ObjectId(), station: otherStation, bucket: hours(3), count: 1,
+      risk: { high: 0, medium: 0, low: 1 }, alertsSent: 0, fallbackReadings: 1,
+      rainfall: { min: 1, max: 1, sum: 1, n: 1, avg: 1 },
+      waterLevel: { min: null, max: null, sum: 0, n: 0, avg: null },
+      soilMoisture: { min: 0.5, max: 0.5, sum: 0.5, n: 1, avg: 0.5 },
+      prediction: { min: 5, max: 5, sum: 5, n: 1, avg: 5 }
+    });
+    runHourly([reading(3.5, { rainfall: 2, waterLevel: 2, prediction: 15 }, { station: otherStation })], collections, { cutoff });
+    const filled = bucketAt(collections, 3, otherStation);
+    check('a metric missing from the bucket takes the late values',
+      filled.waterLevel.min === 2 && filled.waterLevel.max === 2 && filled.waterLevel.n === 1 && filled.waterLevel.avg === 2);
+
+    console.log('\n📅 Daily rebuild');
+    const daily = aggregate(collections[HOURLY], dailyPipeline(hours(0), cutoff), collections);
+    const day1 = daily.find(doc => equal(doc.station, station) && doc.bucket.getTime() === hours(0).getTime());
+    check('one bucket per station and day', daily.length === 3);
+    check('day totals add the hours', day1.count === 5 && day1.risk.high === 2 && day1.alertsSent === 1 && day1.fallbackReadings === 1);
+    check('day average weights hours by their readings',
+      day1.waterLevel.n === 4 && day1.waterLevel.sum === 5.5 && day1.waterLevel.avg === 1.375);
+    check('day min and max span the hours', day1.prediction.min === 5 && day1.prediction.max === 95);
+    check('hours outside the range are left out',
+      aggregate(collections[HOURLY], dailyPipeline(hours(24), cutoff), collections).length === 1);
+  } catch (error) {
+    checks.fail(error);
+  }
+
+  return report('Retention tests passed!', checks.failures);
+}
+
+testRetention().then(success => {
+  process.exit(success ? 0 : 1);
+});
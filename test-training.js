@@ -0,0 +1,95 @@
+// test-training.js - Check training labels, time splits and evaluation metrics (offline)
+const { rocAuc, evaluatePredictions } = require('./services/evaluationService');
+const { labelReading, splitByTime } = require('./services/trainingDataService');
+const { createChecks, report } = require('./test-helpers');
+
+console.log('\n' + '='.repeat(60));
+console.log('🧪 FloodGuard Training Data Testing');
+console.log('='.repeat(60) + '\n');
+
+const HOUR_MS = 60 * 60 * 1000;
+const start = new Date('2024-06-01T00:00:00Z');
+const hours = (n) => new Date(start.getTime() + n * HOUR_MS);
+
+// Hourly samples from the start time, oldest first
+function hourlySamples(count) {
+  return Array.from({ length: count }, (_, i) => ({ timestamp: hours(i), tier: 'low' }));
+}
+
+async function testTraining() {
+  const checks = createChecks();
+  const { check } = checks;
+
+  try {
+    console.log('📈 ROC-AUC');
+    check('perfect ranking is 1', rocAuc([0.1, 0.2, 0.8, 0.9], [false, false, true, true]) === 1);
+    check('reversed ranking is 0', rocAuc([0.9, 0.8, 0.2, 0.1], [false, false, true, true]) === 0);
+    check('known example is 0.75', rocAuc([0.1, 0.4, 0.35, 0.8], [false, false, true, true]) === 0.75);
+    check('ties share ranks (all tied is 0.5)', rocAuc([5, 5, 5, 5], [true, false, true, false]) === 0.5);
+    check('one tied pair counts half', rocAuc([0.2, 0.5, 0.5], [false, false, true]) === 0.75);
+    check('null without positives', rocAuc([0.1, 0.2], [false, false]) === null);
+    check('null without negatives', rocAuc([0.1, 0.2], [true, true]) === null);
+
+    console.log('\n📊 Per-tier evaluation');
+    const evaluation = evaluatePredictions(['low', 'medium', 'high', 'low'], [10, 50, 80, 40]);
+    check('accuracy counts matching tiers', evaluation.samples === 4 && evaluation.accuracy === 0.75);
+    check('confusion matrix rows are actual tiers',
+      evaluation.confusion.low.low === 1 && evaluation.confusion.low.medium === 1 &&
+      evaluation.confusion.medium.medium === 1 && evaluation.confusion.high.high === 1);
+    check('medium tier is "medium or worse"',
+      evaluation.tiers.medium.support === 2 && evaluation.tiers.medium.precision === 0.6667 &&
+      evaluation.tiers.medium.recall === 1 && evaluation.tiers.medium.f1 === 0.8);
+    check('high tier precision and recall', evaluation.tiers.high.precision === 1 && evaluation.tiers.high.recall === 1);
+    check('low tier scores inverted risk', evaluation.tiers.low.rocAuc === 1);
+    check('empty input has null accuracy', evaluatePredictions([], []).accuracy === null);
+
+    console.log('\n🏷️  Labels');
+    const events = [
+      { startedAt: hours(48), severity: 'moderate' },
+      { startedAt: hours(100), endedAt: hours(110), severity: 'minor' },
+      { startedAt: hours(104), endedAt: hours(106), severity: 'major' }
+    ];
+    check('low with no events', labelReading(hours(0), []) === 'low');
+    check('high within the horizon before a moderate flood', labelReading(hours(25), events, 24) === 'high');
+    check('low just outside the horizon', labelReading(hours(23), events, 24) === 'low');
+    check('high while the flood is under way', labelReading(hours(60), events, 24) === 'high');
+    check('open-ended events last 24 hours', labelReading(hours(73), events, 24) === 'low');
+    check('minor flood labels medium', labelReading(hours(109), events, 1) === 'medium');
+    check('most severe overlapping event wins', labelReading(hours(105), events, 1) === 'high');
+    check('events after the reading only count within the horizon', labelReading(hours(90), events, 6) === 'low');
+
+    console.log('\n✂️  Time split');
+    const horizonHours = 5;
+    const samples = hourlySamples(100);
+    const split = splitByTime(samples, { train: 0.7, validation: 0.15, horizonHours });
+    const time = (s) => s.timestamp.getTime();
+    const gap = horizonHours * HOUR_MS;
+
+    check('boundaries at 70% and 85%',
+      split.boundaries.validation.getTime() === hours(70).getTime() && split.boundaries.test.getTime() === hours(85).getTime());
+    check('sizes after dropping the gap', split.train.length === 65 && split.validation.length === 10 && split.test.length === 15);
+    check('train labels stop short of validation',
+      split.train.every(s => time(s) + gap < split.boundaries.validation.getTime()));
+    check('validation labels stop short of test',
+      split.validation.every(s => time(s) >= split.boundaries.validation.getTime() && time(s) + gap < split.boundaries.test.getTime()));
+    check('test starts at its boundary', split.test.every(s => time(s) >= split.boundaries.test.getTime()));
+
+    // A flood just after the validation boundary must not label any training sample
+    const flood = [{ startedAt: hours(71), severity: 'major' }];
+    check('no flood is seen across a boundary',
+      split.train.every(s => labelReading(s.timestamp, flood, horizonHours) === 'low') &&
+      split.validation.some(s => labelReading(s.timestamp, flood, horizonHours) === 'high'));
+
+    const empty = splitByTime([], { horizonHours });
+    check('empty input splits to empty sets',
+      empty.train.length === 0 && empty.validation.length === 0 && empty.test.length === 0 && empty.boundaries.test === null);
+  } catch (error) {
+    checks.fail(error);
+  }
+
+  return report('Training data tests passed!', checks.failures);
+}
+
+testTraining().then(success => {
+  process.exit(success ? 0 : 1);
+});